@@ -2,32 +2,117 @@
  * Shared configuration constants for GitHub automation scripts
  *
  * This file provides centralized configuration for all GitHub issues automation,
- * including task ID patterns, utility functions, and shared constants.
+ * including task ID patterns, utility functions, and shared constants. Settings
+ * that are not code (task selection, labels, bot identity, repository defaults)
+ * are read from .github/config/issue-automation.json.
  *
  * IMPORTANT: All task ID regex patterns are centralized here to ensure consistency
  * across all automation scripts. When modifying task ID formats, only update
  * the patterns in this file.
  */
 
+const fs = require('fs');
+const path = require('path');
+const { SchemaValidator } = require('./schema-validator.js');
+const AUTOMATION_CONFIG_SCHEMA = require('../config/issue-automation.schema.json');
+const PACKAGE = require('./package.json');
+
+// Automation settings file, validated against issue-automation.schema.json on load
+const AUTOMATION_CONFIG_FILE = path.resolve(__dirname, '../config/issue-automation.json');
+
+/**
+ * Check automation settings against the schema, returning the problems found as {path, message}
+ */
+function validateAutomationConfig(config) {
+    return new SchemaValidator(AUTOMATION_CONFIG_SCHEMA).validate(config);
+}
+
+/**
+ * Load and validate an automation settings file
+ *
+ * Throws an error listing every problem when the file cannot be read, is not
+ * valid JSON or does not match the schema.
+ */
+function loadAutomationConfig(filePath = AUTOMATION_CONFIG_FILE) {
+    const name = path.relative(process.cwd(), filePath) || filePath;
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot load automation config ${name}: ${error.message}`);
+    }
+
+    const errors = validateAutomationConfig(config);
+    if (errors.length > 0) {
+        const problems = errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+        throw new Error(`Invalid automation config ${name}:\n${problems}`);
+    }
+    return config;
+}
+
+const AUTOMATION_CONFIG = loadAutomationConfig();
+
 // Bot configuration
-const BOT_USER_AGENT = 'MSP430-Emulator-Issues-Bot v1.0.0';
+const BOT_USER_AGENT = AUTOMATION_CONFIG.bot.userAgent;
+
+// Default task selection rules ({only, exclude}, see task-selection.js)
+const TASK_SELECTION = AUTOMATION_CONFIG.selection;
+
+// Label marking manually created issues as protected from automation ({name, color, description})
+const PROTECTION_LABEL = AUTOMATION_CONFIG.protection.label;
+
+// Effort labels. A task gets the first label whose maxHours covers its lower effort
+// estimate; the last label has no maxHours and catches the rest.
+const EFFORT_LABELS = AUTOMATION_CONFIG.labels.efforts;
+
+// Generator name and version recorded in the identity marker of generated issues
+const GENERATOR_VERSION = `${PACKAGE.name}@${PACKAGE.version}`;
+
+// Footer line of generated issue bodies, used to recognize issues without an identity marker
+const AUTOMATION_FOOTER = AUTOMATION_CONFIG.bot.footer;
 
-// Tasks to exclude from automation (already implemented or actively being developed)
-const EXCLUDED_TASKS = ['1.1', '1.2', '1.3', '1.4', '1.5'];
+// Hidden identity marker in generated issue bodies: an HTML comment holding one
+// "key: value" line each for the task ID, source file, content hash, render hash and generator
+const ISSUE_MARKER = /<!-- issue-automation\n([\s\S]*?)-->/;
+
+// Marker fields and the property of the parsed marker each one is read into
+const ISSUE_MARKER_FIELDS = {
+    'task-id': 'taskId',
+    source: 'source',
+    'task-hash': 'hash',
+    'render-hash': 'renderHash',
+    generator: 'generator'
+};
+
+// Namespaces of the task sources registered in task-sources.js. Their task IDs are the
+// namespace, a section code and the item number within the section (e.g. "TR-G2").
+const TASK_SOURCE_NAMESPACES = ['TR', 'SLAU'];
+
+// Namespaced task ID of a task source item, e.g. "TR-G2" or "SLAU-H1"
+const SOURCE_TASK_ID = `(?:${TASK_SOURCE_NAMESPACES.join('|')})-[A-Z]+\\d+`;
 
 // Task ID regex patterns - centralized for consistency across all scripts
 const TASK_ID_PATTERNS = {
-    // Matches task IDs in format X.Y or X.Y.Z (e.g., "1.1", "5.5.2")
-    TASK_ID: /(\d+\.\d+(?:\.\d+)?)/,
+    // Matches task IDs in format X.Y or X.Y.Z (e.g., "1.1", "5.5.2"), or namespaced IDs of
+    // items from other task sources (e.g., "TR-G2", see task-sources.js)
+    TASK_ID: new RegExp(`(\\d+\\.\\d+(?:\\.\\d+)?|${SOURCE_TASK_ID})`),
+
+    // Matches namespaced task IDs from other task sources: the namespace and the section
+    // code with the item number (e.g., "SLAU-H1")
+    SOURCE_TASK_ID: new RegExp(`^(${TASK_SOURCE_NAMESPACES.join('|')})-([A-Z]+\\d+)$`),
+
+    // Matches the text of a task heading in markdown (e.g., "Task 1.1: Some Title" from "### Task 1.1: Some Title")
+    TASK_HEADING: /^Task (\d+\.\d+(?:\.\d+)?): (.+)$/,
 
-    // Matches full task headers in markdown (e.g., "### Task 1.1: Some Title")
-    TASK_HEADER: /### Task (\d+\.\d+(?:\.\d+)?): (.+?)(?=### Task|\n## |$)/gs,
+    // Matches the text of a phase heading in markdown (e.g., "Phase 5.5: Critical Corrections")
+    PHASE_HEADING: /^Phase (\d+(?:\.\d+)*):\s*(.+)$/,
 
-    // Matches task titles in GitHub issues (e.g., "Task 1.1: Some Title")
-    ISSUE_TITLE: /Task (\d+\.\d+(?:\.\d+)?): /,
+    // Matches task titles in GitHub issues (e.g., "Task 1.1: Some Title" or "Task TR-G2: Some Title")
+    ISSUE_TITLE: new RegExp(`Task (\\d+\\.\\d+(?:\\.\\d+)?|${SOURCE_TASK_ID}): `),
 
     // Matches task titles at start of line (for validation)
-    ISSUE_TITLE_STRICT: /^Task \d+\.\d+(?:\.\d+)?:/,
+    ISSUE_TITLE_STRICT: new RegExp(`^Task (?:\\d+\\.\\d+(?:\\.\\d+)?|${SOURCE_TASK_ID}):`),
 
     // Matches any task reference in text (e.g., "Task 1.1" or "task 5.5.2")
     TASK_REFERENCE: /Task (\d+\.\d+(?:\.\d+)?)/i
@@ -53,8 +138,8 @@ const TASK_UTILS = {
      * @returns {boolean} True if contains valid task ID
      */
     isValidTaskId(str) {
-        // Ensure the entire string matches the pattern (2-part or 3-part only)
-        return /^\d+\.\d+(?:\.\d+)?$/.test(str);
+        // Ensure the entire string matches the pattern (2-part or 3-part only, or namespaced)
+        return /^\d+\.\d+(?:\.\d+)?$/.test(str) || TASK_ID_PATTERNS.SOURCE_TASK_ID.test(str);
     },
 
     /**
@@ -83,12 +168,104 @@ const TASK_UTILS = {
      * @returns {boolean} True if issue matches the task ID
      */
     issueMatchesTaskId(issue, taskId) {
-        const extractedId = TASK_UTILS.extractTaskIdFromTitle(issue.title);
-        return extractedId === taskId;
+        return TASK_UTILS.getIssueTaskId(issue) === taskId;
+    },
+
+    /**
+     * Get the task ID of an issue, from its identity marker or else from its title
+     * @param {Object} issue - GitHub issue object
+     * @returns {string|null} The task ID or null if the issue is not a task issue
+     */
+    getIssueTaskId(issue) {
+        const marker = TASK_UTILS.extractIssueMarker(issue.body);
+        if (marker && marker.taskId) {
+            return marker.taskId;
+        }
+        return issue.title ? TASK_UTILS.extractTaskIdFromTitle(issue.title) : null;
+    },
+
+    /**
+     * Index task issues by task ID; when several issues claim a task, the first one wins
+     * @param {Object[]} issues - GitHub issue objects
+     * @returns {Map<string, Object>} Issues keyed by task ID
+     */
+    indexIssuesByTaskId(issues) {
+        const index = new Map();
+        for (const issue of issues) {
+            const taskId = TASK_UTILS.getIssueTaskId(issue);
+            if (taskId && !index.has(taskId)) {
+                index.set(taskId, issue);
+            }
+        }
+        return index;
+    },
+
+    /**
+     * Format the hidden identity marker embedded in a generated issue body
+     * @param {Object} task - Parsed task
+     * @param {string|null} renderHash - Fingerprint of the template, configuration and other
+     *   inputs the body was rendered from besides the task (see issue-templates.js)
+     * @returns {string} HTML comment block identifying the task the issue was generated from
+     */
+    formatIssueMarker(task, renderHash = null) {
+        const lines = [
+            `task-id: ${task.id}`,
+            `source: ${task.source || 'MSP430_EMULATOR_TASKS.md'}`
+        ];
+        if (task.hash) {
+            lines.push(`task-hash: ${task.hash}`);
+        }
+        if (renderHash) {
+            lines.push(`render-hash: ${renderHash}`);
+        }
+        lines.push(`generator: ${GENERATOR_VERSION}`);
+        return `<!-- issue-automation\n${lines.join('\n')}\n-->`;
+    },
+
+    /**
+     * Parse the hidden identity marker of an issue body
+     * @param {string|null} body - The GitHub issue body
+     * @returns {Object|null} {taskId, source, hash, renderHash, generator}, or null if the body has none
+     */
+    extractIssueMarker(body) {
+        const match = body ? body.match(ISSUE_MARKER) : null;
+        if (!match) {
+            return null;
+        }
+
+        const marker = {
+            taskId: null,
+            source: null,
+            hash: null,
+            renderHash: null,
+            generator: null
+        };
+        for (const line of match[1].split('\n')) {
+            const field = line.match(/^\s*([\w-]+):\s*(.*?)\s*$/);
+            if (field && ISSUE_MARKER_FIELDS[field[1]]) {
+                marker[ISSUE_MARKER_FIELDS[field[1]]] = field[2];
+            }
+        }
+        return marker;
+    },
+
+    /**
+     * Check if an issue was generated by the automation
+     * @param {Object} issue - GitHub issue object
+     * @returns {boolean} True if the issue has an identity marker or the automation footer
+     */
+    isAutomatedIssue(issue) {
+        if (TASK_UTILS.extractIssueMarker(issue.body)) {
+            return true;
+        }
+        return Boolean(issue.body) && issue.body.includes(AUTOMATION_FOOTER);
     },
 
     /**
      * Parse and validate task ID components
+     *
+     * Namespaced IDs (e.g., "TR-G2") have their namespace and item (section code and
+     * number, e.g. "G2") set.
      * @param {string} taskId - The task ID to parse
      * @returns {Object} Parsed components with validation
      */
@@ -97,9 +274,23 @@ const TASK_UTILS = {
             return { valid: false, major: null, minor: null, patch: null };
         }
 
+        const sourceMatch = taskId.match(TASK_ID_PATTERNS.SOURCE_TASK_ID);
+        if (sourceMatch) {
+            return {
+                valid: true,
+                namespace: sourceMatch[1],
+                item: sourceMatch[2],
+                major: null,
+                minor: null,
+                patch: null,
+                is3Part: false
+            };
+        }
+
         const parts = taskId.split('.');
         return {
             valid: true,
+            namespace: null,
             major: parseInt(parts[0], 10),
             minor: parseInt(parts[1], 10),
             patch: parts[2] ? parseInt(parts[2], 10) : null,
@@ -121,6 +312,19 @@ const TASK_UTILS = {
             return 0; // Can't compare invalid IDs
         }
 
+        // Task list IDs come before namespaced IDs, which are grouped by namespace
+        if (parsedA.namespace !== parsedB.namespace) {
+            if (!parsedA.namespace || !parsedB.namespace) {
+                return parsedA.namespace ? 1 : -1;
+            }
+            return parsedA.namespace < parsedB.namespace ? -1 : 1;
+        }
+
+        // Items of the same namespace sort by section code, then item number
+        if (parsedA.namespace) {
+            return parsedA.item.localeCompare(parsedB.item, 'en', { numeric: true });
+        }
+
         // Compare major version
         if (parsedA.major !== parsedB.major) {
             return parsedA.major - parsedB.major;
@@ -144,14 +348,120 @@ const TASK_UTILS = {
      */
     extractTaskIdsFromIssues(issues) {
         return issues
-            .map(issue => TASK_UTILS.extractTaskIdFromTitle(issue.title))
+            .map(issue => TASK_UTILS.getIssueTaskId(issue))
             .filter(taskId => taskId !== null);
+    },
+
+    /**
+     * Extract the content hash recorded in an issue body
+     * @param {string|null} body - The GitHub issue body
+     * @returns {string|null} The task hash, or null if the issue has none
+     */
+    extractTaskHash(body) {
+        const marker = TASK_UTILS.extractIssueMarker(body);
+        return marker ? marker.hash : null;
+    },
+
+    /**
+     * Read the acceptance criteria checkboxes from a generated issue body
+     * @param {string|null} body - The GitHub issue body
+     * @returns {Array} Criteria as {text, checked}, in order
+     */
+    extractIssueCriteria(body) {
+        const criteria = [];
+        let inSection = false;
+
+        for (const line of (body || '').split(/\r?\n/)) {
+            if (/^## /.test(line) || line.trim() === '---') {
+                inSection = line.trim() === '## Acceptance Criteria';
+                continue;
+            }
+
+            const checkbox = inSection && line.match(/^- \[([ xX])\] (.*)$/);
+            if (checkbox) {
+                criteria.push({ text: checkbox[2].trim(), checked: checkbox[1] !== ' ' });
+            }
+        }
+
+        return criteria;
+    },
+
+    /**
+     * Get the effort label for a parsed effort estimate
+     * @param {Object|null} estimate - Effort estimate in hours ({min, max, unit})
+     * @returns {string|null} The effort label name, or null if the task is not estimated
+     */
+    getEffortLabel(estimate) {
+        if (!estimate) {
+            return null;
+        }
+
+        const bucket = EFFORT_LABELS.find(
+            label => label.maxHours === undefined || estimate.min <= label.maxHours
+        );
+        return bucket ? bucket.name : null;
+    },
+
+    /**
+     * Get the status label of a task
+     * @param {Object} task - Parsed task
+     * @returns {string} The status label name
+     */
+    getStatusLabel(task) {
+        if (task.completed) {
+            return 'status-completed';
+        }
+        if (task.status === 'blocked') {
+            return 'status-blocked';
+        }
+        if (task.status === 'in-progress') {
+            return 'status-in-progress';
+        }
+        return 'status-pending';
+    },
+
+    /**
+     * Get the labels of a task's issue: phase, priority, type, effort, status, area and metadata labels
+     * @param {Object} task - Parsed task
+     * @returns {string[]} Label names
+     */
+    getTaskLabels(task) {
+        const labels = [
+            task.phase.toLowerCase().replace(' ', '-'),
+            `priority-${task.priority.toLowerCase()}`,
+            'task'
+        ];
+
+        const effortLabel = this.getEffortLabel(task.effortEstimate);
+        if (effortLabel) {
+            labels.push(effortLabel);
+        }
+
+        labels.push(this.getStatusLabel(task));
+
+        // Area and extra labels from the task's metadata block
+        if (task.metadata && task.metadata.area) {
+            labels.push(`area-${task.metadata.area.toLowerCase().replace(/\s+/g, '-')}`);
+        }
+        if (task.metadata) {
+            labels.push(...task.metadata.labels.filter(label => !labels.includes(label)));
+        }
+
+        return labels;
     }
 };
 
 module.exports = {
+    AUTOMATION_CONFIG,
+    AUTOMATION_FOOTER,
     BOT_USER_AGENT,
-    EXCLUDED_TASKS,
+    EFFORT_LABELS,
+    GENERATOR_VERSION,
+    PROTECTION_LABEL,
+    TASK_SELECTION,
+    TASK_SOURCE_NAMESPACES,
+    loadAutomationConfig,
+    validateAutomationConfig,
     TASK_ID_PATTERNS,
     TASK_UTILS
 };
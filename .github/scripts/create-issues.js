@@ -7,15 +7,20 @@
  * Handles proper formatting, metadata assignment, and rate limiting.
  */
 
+const path = require('path');
 const { Octokit } = require('@octokit/rest');
 const { TaskParser } = require('./parse-tasks.js');
 const {
     isPermissionError,
-    executeWithPermissionHandling,
     executeWithRateLimit,
+    paginate,
     smartDelay
 } = require('./github-utils.js');
-const { BOT_USER_AGENT, EXCLUDED_TASKS, TASK_UTILS } = require('./config.js');
+const { FileEvidenceChecker } = require('./file-evidence.js');
+const { renderTaskBody, renderTaskTitle } = require('./issue-templates.js');
+const { LabelReconciler } = require('./label-reconciler.js');
+const { TaskSelector, isSelectionOption } = require('./task-selection.js');
+const { AUTOMATION_CONFIG, BOT_USER_AGENT, TASK_UTILS } = require('./config.js');
 
 class GitHubIssuesCreator {
     constructor(token, owner, repo) {
@@ -27,8 +32,25 @@ class GitHubIssuesCreator {
         this.repo = repo;
         this.dryRun = false;
 
-        // Tasks to exclude from issue creation (already implemented or actively being developed)
-        this.excludedTasks = EXCLUDED_TASKS;
+        // Tasks that get issues (by default, all but those already implemented or actively being developed)
+        this.selection = new TaskSelector();
+
+        // Phase metadata from the task document, keyed by phase title
+        this.phases = new Map();
+
+        // File evidence checker for the Files checklist in issue bodies (off by default)
+        this.fileEvidence = null;
+
+        // Task issues keyed by task ID and milestones keyed by title, fetched once per run
+        this.issueIndex = null;
+        this.milestones = null;
+    }
+
+    /**
+     * Use task selection rules other than the configured ones (see task-selection.js)
+     */
+    setSelection(selection) {
+        this.selection = selection;
     }
 
     /**
@@ -38,6 +60,45 @@ class GitHubIssuesCreator {
         this.dryRun = true;
     }
 
+    /**
+     * Add a checklist of the task's files found in the working tree to issue bodies
+     */
+    enableFileEvidence(rootDir) {
+        this.fileEvidence = new FileEvidenceChecker(rootDir);
+    }
+
+    /**
+     * Use phase metadata parsed from the task document for labels and milestones
+     */
+    setPhases(phases) {
+        this.phases = new Map(phases.map(phase => [phase.title, phase]));
+    }
+
+    /**
+     * Use task issues fetched by the caller instead of fetching them (see sync-tasks.js)
+     */
+    useIssues(issues) {
+        this.issueIndex = TASK_UTILS.indexIssuesByTaskId(issues);
+    }
+
+    /**
+     * Forget the fetched issues and milestones, so the next lookup fetches them again
+     */
+    clearIndex() {
+        this.issueIndex = null;
+        this.milestones = null;
+    }
+
+    /**
+     * Get the milestone description for a phase
+     */
+    milestoneDescription(phase) {
+        const metadata = this.phases.get(phase);
+        return metadata
+            ? metadata.description
+            : `Tasks for ${phase} of MSP430 Emulator development`;
+    }
+
     /**
      * Create GitHub issues from tasks
      */
@@ -51,10 +112,20 @@ class GitHubIssuesCreator {
         for (const task of tasks) {
             try {
                 // Check if task is excluded from issue creation
-                if (this.excludedTasks.includes(task.id)) {
+                if (!this.selection.matches(task)) {
                     results.skipped.push({
                         task: task,
-                        reason: 'Task excluded (already implemented or actively being developed)',
+                        reason: 'Task excluded by task selection rules',
+                        issueNumber: null
+                    });
+                    continue;
+                }
+
+                // Check if the task opts out of having an issue
+                if (task.metadata && task.metadata.skipIssue) {
+                    results.skipped.push({
+                        task: task,
+                        reason: 'skip-issue set in task metadata',
                         issueNumber: null
                     });
                     continue;
@@ -80,10 +151,16 @@ class GitHubIssuesCreator {
                 } else {
                     const issue = await this.createIssue(issueData);
                     results.created.push({ task, issueNumber: issue.number });
+                    if (this.issueIndex) {
+                        this.issueIndex.set(task.id, issue);
+                    }
 
                     // Add labels and milestone
                     await this.applyMetadata(issue.number, task);
 
+                    // Link the issue to the issues of its parent and child tasks
+                    await this.linkSubIssues(issue, task);
+
                     // Smart delay to respect rate limits
                     await smartDelay(1000);
                 }
@@ -113,151 +190,89 @@ class GitHubIssuesCreator {
                 return null;
             }
 
+            const issueIndex = await this.getIssueIndex();
+            return issueIndex.get(task.id) || null;
+        } catch (error) {
+            console.warn(
+                `Warning: Could not check for existing issue for task ${task.id}: ${error.message}`
+            );
+            return null;
+        }
+    }
+
+    /**
+     * Get the task issues keyed by task ID, fetching them on first use
+     *
+     * Issues are matched to tasks by identity marker or else by title; when several
+     * issues claim a task, the most recently created one wins.
+     */
+    async getIssueIndex() {
+        if (!this.issueIndex) {
             // Use the regular issues list API instead of deprecated search API
             // This is more reliable and doesn't have the deprecation warnings
-            const issues = await executeWithRateLimit(
-                () =>
-                    this.octokit.rest.issues.listForRepo({
-                        owner: this.owner,
-                        repo: this.repo,
-                        state: 'all',
-                        labels: 'task',
-                        per_page: 100,
-                        sort: 'created',
-                        direction: 'desc'
-                    }),
-                `list issues for task ${task.id}`,
-                3
+            const issues = await paginate(
+                params => this.octokit.rest.issues.listForRepo(params),
+                {
+                    owner: this.owner,
+                    repo: this.repo,
+                    state: 'all',
+                    labels: 'task',
+                    sort: 'created',
+                    direction: 'desc'
+                },
+                { operationName: 'list task issues', logProgress: true }
             );
 
-            // Check if any issue matches our exact task ID
-            for (const issue of issues.data) {
-                if (TASK_UTILS.issueMatchesTaskId(issue, task.id)) {
-                    return issue;
-                }
-            }
+            this.issueIndex = TASK_UTILS.indexIssuesByTaskId(issues);
+        }
+        return this.issueIndex;
+    }
 
-            return null;
-        } catch (error) {
-            console.warn(
-                `Warning: Could not check for existing issue for task ${task.id}: ${error.message}`
+    /**
+     * Get the milestones keyed by title, fetching them on first use
+     */
+    async getMilestones() {
+        if (!this.milestones) {
+            const milestones = await paginate(
+                params => this.octokit.rest.issues.listMilestones(params),
+                { owner: this.owner, repo: this.repo, state: 'all' },
+                { operationName: 'list milestones' }
             );
-            return null;
+            this.milestones = new Map(milestones.map(milestone => [milestone.title, milestone]));
         }
+        return this.milestones;
     }
 
     /**
      * Format task data for GitHub issue creation
      */
     formatIssueData(task) {
-        const title = TASK_UTILS.formatIssueTitle(task.id, task.title);
+        const title = renderTaskTitle(task);
         const body = this.generateIssueBody(task);
 
         return {
             title,
             body,
-            labels: this.generateLabels(task)
+            labels: this.generateLabels(task),
+            assignees: (task.metadata && task.metadata.assignees) || []
         };
     }
 
     /**
-     * Generate issue body markdown from task data
+     * Generate issue body markdown from task data with the "task" issue template
+     *
+     * Child tasks are referenced by their issues, as far as the issue index has them.
      */
     generateIssueBody(task) {
-        let body = '';
-
-        // Task metadata
-        body += `**Priority**: ${task.priority}\n`;
-        body += `**Estimated Effort**: ${task.effort}\n`;
-        body += `**Phase**: ${task.phase}\n`;
-
-        if (task.dependencies && task.dependencies.length > 0) {
-            body += `**Dependencies**: ${task.dependencies.map(dep => `Task ${dep}`).join(', ')}\n`;
-        } else {
-            body += '**Dependencies**: None\n';
-        }
-        body += '\n';
-
-        // Description
-        if (task.description) {
-            body += `${task.description}\n\n`;
-        }
-
-        // Acceptance Criteria
-        if (task.acceptanceCriteria && task.acceptanceCriteria.length > 0) {
-            body += '## Acceptance Criteria\n\n';
-            for (const criterion of task.acceptanceCriteria) {
-                const checkbox = criterion.completed ? '[x]' : '[ ]';
-                body += `- ${checkbox} ${criterion.text}\n`;
-            }
-            body += '\n';
-        }
-
-        // Files to Create
-        if (task.filesToCreate && task.filesToCreate.length > 0) {
-            body += '## Files to Create\n\n';
-            body += '```\n';
-            for (const file of task.filesToCreate) {
-                body += `${file}\n`;
-            }
-            body += '```\n\n';
-        }
-
-        // Testing Strategy
-        if (task.testingStrategy && task.testingStrategy.length > 0) {
-            body += '## Testing Strategy\n\n';
-            for (const strategy of task.testingStrategy) {
-                body += `- ${strategy}\n`;
-            }
-            body += '\n';
-        }
-
-        // Automation footer
-        body += '---\n\n';
-        body += '*This issue was automatically generated from MSP430_EMULATOR_TASKS.md*\n';
-        body += '*🤖 Managed by GitHub Issues Automation*';
-
-        return body;
+        const files = this.fileEvidence ? this.fileEvidence.checkTask(task).files : [];
+        return renderTaskBody(task, files, this.issueIndex);
     }
 
     /**
      * Generate labels for the task
      */
     generateLabels(task) {
-        const labels = [];
-
-        // Phase label
-        labels.push(task.phase.toLowerCase().replace(' ', '-'));
-
-        // Priority label
-        labels.push(`priority-${task.priority.toLowerCase()}`);
-
-        // Task type label
-        labels.push('task');
-
-        // Effort label (if contains hours)
-        if (task.effort.includes('hours')) {
-            const hours = task.effort.match(/(\d+)-?(\d+)?/);
-            if (hours) {
-                const minHours = parseInt(hours[1]);
-                if (minHours <= 2) {
-                    labels.push('effort-small');
-                } else if (minHours <= 4) {
-                    labels.push('effort-medium');
-                } else {
-                    labels.push('effort-large');
-                }
-            }
-        }
-
-        // Status label
-        if (task.completed) {
-            labels.push('status-completed');
-        } else {
-            labels.push('status-pending');
-        }
-
-        return labels;
+        return TASK_UTILS.getTaskLabels(task);
     }
 
     /**
@@ -271,7 +286,8 @@ class GitHubIssuesCreator {
                     repo: this.repo,
                     title: issueData.title,
                     body: issueData.body,
-                    labels: issueData.labels
+                    labels: issueData.labels,
+                    assignees: issueData.assignees
                 }),
             `create issue: ${issueData.title}`
         );
@@ -305,25 +321,60 @@ class GitHubIssuesCreator {
         }
     }
 
+    /**
+     * Link a new issue into the sub-issue hierarchy of its task
+     *
+     * The issue becomes a sub-issue of its parent task's issue, and the existing
+     * issues of its child tasks become its sub-issues.
+     */
+    async linkSubIssues(issue, task) {
+        try {
+            if (task.parent) {
+                const parentIssue = await this.findExistingIssue({ id: task.parent });
+                if (parentIssue) {
+                    await this.addSubIssue(parentIssue, issue);
+                }
+            }
+
+            for (const child of task.children || []) {
+                const childIssue = await this.findExistingIssue(child);
+                if (childIssue) {
+                    await this.addSubIssue(issue, childIssue);
+                }
+            }
+        } catch (error) {
+            console.warn(
+                `Warning: Could not link sub-issues of issue ${issue.number}: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Make an issue a sub-issue of another, moving it from any previous parent
+     */
+    async addSubIssue(parentIssue, childIssue) {
+        await executeWithRateLimit(
+            () =>
+                this.octokit.rest.issues.addSubIssue({
+                    owner: this.owner,
+                    repo: this.repo,
+                    issue_number: parentIssue.number,
+                    sub_issue_id: childIssue.id,
+                    replace_parent: true
+                }),
+            `add issue #${childIssue.number} as sub-issue of #${parentIssue.number}`
+        );
+    }
+
     /**
      * Find or create milestone for the phase
      */
     async findOrCreateMilestone(phase) {
         try {
             // Try to find existing milestone
-            const milestones = await executeWithRateLimit(
-                () =>
-                    this.octokit.rest.issues.listMilestones({
-                        owner: this.owner,
-                        repo: this.repo,
-                        state: 'all'
-                    }),
-                `list milestones for ${phase}`
-            );
-
-            const existingMilestone = milestones.data.find(m => m.title === phase);
-            if (existingMilestone) {
-                return existingMilestone;
+            const milestones = await this.getMilestones();
+            if (milestones.has(phase)) {
+                return milestones.get(phase);
             }
 
             // Create new milestone if it doesn't exist
@@ -334,10 +385,12 @@ class GitHubIssuesCreator {
                             owner: this.owner,
                             repo: this.repo,
                             title: phase,
-                            description: `Tasks for ${phase} of MSP430 Emulator development`
+                            description: this.milestoneDescription(phase)
                         }),
                     `create milestone for ${phase}`
                 );
+                console.log(`Created milestone: ${phase}`);
+                milestones.set(phase, response.data);
                 return response.data;
             } else {
                 console.log(`[DRY RUN] Would create milestone: ${phase}`);
@@ -351,122 +404,29 @@ class GitHubIssuesCreator {
     }
 
     /**
-     * Ensure required labels exist in the repository
+     * Ensure the labels of the label catalogue exist with their declared colours and descriptions
+     *
+     * Phase labels are only included for phases passed to setPhases(). Undeclared
+     * labels are left alone; pruning them is up to label-reconciler.js.
      */
     async ensureLabelsExist() {
-        const requiredLabels = [
-            { name: 'task', color: '0075ca', description: 'Development task from task list' },
-            {
-                name: 'phase-1',
-                color: 'c5def5',
-                description: 'Phase 1: Project Infrastructure & Setup'
-            },
-            {
-                name: 'phase-2',
-                color: 'c5def5',
-                description: 'Phase 2: Core Architecture Foundation'
-            },
-            {
-                name: 'phase-3',
-                color: 'c5def5',
-                description: 'Phase 3: Memory System Implementation'
-            },
-            {
-                name: 'phase-4',
-                color: 'c5def5',
-                description: 'Phase 4: CPU Core Implementation'
-            },
-            {
-                name: 'phase-5',
-                color: 'c5def5',
-                description: 'Phase 5: CPU Instruction Set Implementation'
-            },
-            {
-                name: 'phase-6',
-                color: 'c5def5',
-                description: 'Phase 6: CPU Instruction Set - Control Flow'
-            },
-            {
-                name: 'phase-7',
-                color: 'c5def5',
-                description: 'Phase 7: CPU Instruction Set - System Control'
-            },
-            {
-                name: 'phase-8',
-                color: 'c5def5',
-                description: 'Phase 8: Interrupt System'
-            },
-            {
-                name: 'phase-9',
-                color: 'c5def5',
-                description: 'Phase 9: Binary File Import/Export'
-            },
-            {
-                name: 'phase-10',
-                color: 'c5def5',
-                description: 'Phase 10: Hardware Validation & Testing'
-            },
-            {
-                name: 'phase-11',
-                color: 'c5def5',
-                description: 'Phase 11: Documentation & Advanced Features'
-            },
-            { name: 'priority-critical', color: 'd73a49', description: 'Critical priority task' },
-            { name: 'priority-high', color: 'fd7e14', description: 'High priority task' },
-            { name: 'priority-medium', color: 'fbca04', description: 'Medium priority task' },
-            { name: 'priority-low', color: '28a745', description: 'Low priority task' },
-            { name: 'effort-small', color: 'e4e669', description: '1-2 hours effort' },
-            { name: 'effort-medium', color: 'f9d71c', description: '3-4 hours effort' },
-            { name: 'effort-large', color: 'd4ac0d', description: '5+ hours effort' },
-            { name: 'status-pending', color: 'ededed', description: 'Task not yet started' },
-            { name: 'status-completed', color: '28a745', description: 'Task completed' }
-        ];
-
-        for (const labelData of requiredLabels) {
-            try {
-                await executeWithRateLimit(
-                    () =>
-                        this.octokit.rest.issues.getLabel({
-                            owner: this.owner,
-                            repo: this.repo,
-                            name: labelData.name
-                        }),
-                    `get label ${labelData.name}`
-                );
-            } catch (error) {
-                if (error.status === 404) {
-                    // Label doesn't exist, create it
-                    if (!this.dryRun) {
-                        const createResult = await executeWithPermissionHandling(
-                            async () => {
-                                await executeWithRateLimit(
-                                    () =>
-                                        this.octokit.rest.issues.createLabel({
-                                            owner: this.owner,
-                                            repo: this.repo,
-                                            name: labelData.name,
-                                            color: labelData.color,
-                                            description: labelData.description
-                                        }),
-                                    `create label ${labelData.name}`
-                                );
-                            },
-                            `create label ${labelData.name}`,
-                            'repository'
-                        );
-                        if (createResult.success) {
-                            console.log(`Created label: ${labelData.name}`);
-                        }
-                    } else {
-                        console.log(`[DRY RUN] Would create label: ${labelData.name}`);
-                    }
-                } else if (isPermissionError(error)) {
-                    console.warn(
-                        `⚠️  Cannot access label ${labelData.name} due to insufficient permissions`
-                    );
-                } else {
-                    console.warn(`⚠️  Error checking label ${labelData.name}: ${error.message}`);
-                }
+        // Share this creator's authenticated client
+        const reconciler = new LabelReconciler(null, this.owner, this.repo, this.octokit);
+        reconciler.setPhases(this.phases.values());
+        if (this.dryRun) {
+            reconciler.enableDryRun();
+        }
+
+        try {
+            const { plan } = await reconciler.reconcile();
+            if (plan.create.length > 0 || plan.update.length > 0) {
+                reconciler.printPlan(plan);
+            }
+        } catch (error) {
+            if (isPermissionError(error)) {
+                console.warn('⚠️  Cannot access repository labels due to insufficient permissions');
+            } else {
+                console.warn(`⚠️  Error reconciling labels: ${error.message}`);
             }
         }
     }
@@ -478,10 +438,16 @@ module.exports = { GitHubIssuesCreator };
 // Main function for CLI usage
 async function main() {
     const token = process.env.GITHUB_TOKEN;
-    const owner = process.env.GITHUB_REPOSITORY?.split('/')[0] || 'grahame-white';
-    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || 'ai_msp430_emulator';
-    const tasksFile = process.argv[2] || '../../MSP430_EMULATOR_TASKS.md';
-    const dryRun = process.argv.includes('--dry-run');
+    const owner =
+        process.env.GITHUB_REPOSITORY?.split('/')[0] || AUTOMATION_CONFIG.repository.owner;
+    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || AUTOMATION_CONFIG.repository.repo;
+    const args = process.argv.slice(2);
+    const taskFileArg = args.find(
+        (arg, index) => !arg.startsWith('--') && !isSelectionOption(args[index - 1])
+    );
+    const tasksFile = taskFileArg || '../../MSP430_EMULATOR_TASKS.md';
+    const dryRun = args.includes('--dry-run');
+    const fileEvidence = args.includes('--file-evidence');
 
     if (!token) {
         console.error('Error: GITHUB_TOKEN environment variable is required');
@@ -498,12 +464,17 @@ async function main() {
 
         // Create issues
         const creator = new GitHubIssuesCreator(token, owner, repo);
+        creator.setSelection(TaskSelector.fromArgs(args));
         if (dryRun) {
             creator.enableDryRun();
             console.log('Running in DRY RUN mode - no actual changes will be made');
         }
+        if (fileEvidence) {
+            creator.enableFileEvidence(path.dirname(path.resolve(tasksFile)));
+        }
 
         // Ensure labels exist
+        creator.setPhases(parser.getPhases());
         await creator.ensureLabelsExist();
 
         // Create issues for incomplete tasks
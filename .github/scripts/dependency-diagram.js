@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+/**
+ * Task Dependency Diagram Generator
+ *
+ * Renders the task dependency graph as a Mermaid flowchart (for GitHub-rendered
+ * markdown) or as Graphviz DOT. Tasks are grouped by phase and coloured by
+ * status: completed, ready (all dependencies complete) or blocked. When a
+ * GITHUB_TOKEN is available, each task links to its GitHub issue.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Octokit } = require('@octokit/rest');
+const { TaskParser, formatHours } = require('./parse-tasks.js');
+const { DependencyGraph } = require('./dependency-graph.js');
+const { paginate } = require('./github-utils.js');
+const { AUTOMATION_CONFIG, BOT_USER_AGENT, TASK_UTILS } = require('./config.js');
+
+// Fill and stroke colours for each node status
+const STATUS_STYLES = {
+    completed: { fill: '#c8e6c9', stroke: '#2e7d32', description: 'Completed' },
+    ready: { fill: '#e3f2fd', stroke: '#1565c0', description: 'Ready (dependencies complete)' },
+    blocked: {
+        fill: '#ffcdd2',
+        stroke: '#c62828',
+        description: 'Blocked (waiting on dependencies)'
+    }
+};
+
+class DependencyDiagram {
+    constructor(tasks, issueUrls = new Map(), phases = []) {
+        this.graph = new DependencyGraph(tasks);
+        this.issueUrls = issueUrls;
+        this.phaseNames = new Map(phases.map(phase => [phase.title, phase.name]));
+        this.readyIds = new Set(this.graph.getReadyTasks().map(task => task.id));
+    }
+
+    /**
+     * Get the display status of a task
+     */
+    statusOf(task) {
+        if (task.completed) {
+            return 'completed';
+        }
+        return this.readyIds.has(task.id) ? 'ready' : 'blocked';
+    }
+
+    /**
+     * Group tasks by phase, keeping task-list order
+     */
+    tasksByPhase() {
+        const phases = new Map();
+        for (const id of this.graph.sortedIds()) {
+            const task = this.graph.tasks.get(id);
+            if (!phases.has(task.phase)) {
+                phases.set(task.phase, []);
+            }
+            phases.get(task.phase).push(task);
+        }
+        return phases;
+    }
+
+    /**
+     * Get the display label of a phase, including its name when known
+     */
+    phaseLabel(phase) {
+        return this.phaseNames.has(phase) ? `${phase}: ${this.phaseNames.get(phase)}` : phase;
+    }
+
+    /**
+     * Get all dependency edges as [dependencyId, taskId] pairs
+     */
+    edges() {
+        const edges = [];
+        for (const id of this.graph.sortedIds()) {
+            for (const depId of this.graph.dependenciesOf(id)) {
+                edges.push([depId, id]);
+            }
+        }
+        return edges;
+    }
+
+    /**
+     * Render the graph as a Mermaid flowchart
+     */
+    toMermaid() {
+        const nodeId = id => `T${id.replace(/\./g, '_')}`;
+        const label = task => `${task.id}: ${task.title}`.replace(/"/g, '#quot;');
+        const lines = ['flowchart TD'];
+
+        for (const [phase, tasks] of this.tasksByPhase()) {
+            const phaseLabel = this.phaseLabel(phase).replace(/"/g, '#quot;');
+            lines.push(`    subgraph ${phase.replace(/\W/g, '_')}["${phaseLabel}"]`);
+            for (const task of tasks) {
+                lines.push(`        ${nodeId(task.id)}["${label(task)}"]`);
+            }
+            lines.push('    end');
+        }
+
+        for (const [depId, id] of this.edges()) {
+            lines.push(`    ${nodeId(depId)} --> ${nodeId(id)}`);
+        }
+
+        for (const [status, style] of Object.entries(STATUS_STYLES)) {
+            lines.push(`    classDef ${status} fill:${style.fill},stroke:${style.stroke}`);
+        }
+
+        for (const task of this.graph.tasks.values()) {
+            lines.push(`    class ${nodeId(task.id)} ${this.statusOf(task)}`);
+        }
+
+        for (const [id, url] of this.issueUrls) {
+            if (this.graph.tasks.has(id)) {
+                lines.push(
+                    `    click ${nodeId(id)} href "${url}" "Open issue for Task ${id}" _blank`
+                );
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Render the graph as Graphviz DOT
+     */
+    toDot() {
+        const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        const lines = [
+            'digraph task_dependencies {',
+            '    rankdir=TB;',
+            '    node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+        ];
+
+        for (const [phase, tasks] of this.tasksByPhase()) {
+            lines.push(`    subgraph ${quote(`cluster_${phase}`)} {`);
+            lines.push(`        label=${quote(this.phaseLabel(phase))};`);
+            for (const task of tasks) {
+                const style = STATUS_STYLES[this.statusOf(task)];
+                const attributes = [
+                    `label=${quote(`${task.id}: ${task.title}`)}`,
+                    `fillcolor=${quote(style.fill)}`,
+                    `color=${quote(style.stroke)}`
+                ];
+                if (this.issueUrls.has(task.id)) {
+                    attributes.push(`URL=${quote(this.issueUrls.get(task.id))}`);
+                }
+                lines.push(`        ${quote(task.id)} [${attributes.join(', ')}];`);
+            }
+            lines.push('    }');
+        }
+
+        for (const [depId, id] of this.edges()) {
+            lines.push(`    ${quote(depId)} -> ${quote(id)};`);
+        }
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Render a markdown page with the Mermaid diagram, legend and planning summary
+     */
+    toMarkdown() {
+        const criticalPath = this.graph.getCriticalPath();
+        const taskLink = id =>
+            this.issueUrls.has(id) ? `[Task ${id}](${this.issueUrls.get(id)})` : `Task ${id}`;
+
+        const lines = [
+            '# MSP430 Emulator Task Dependencies',
+            '',
+            '<!-- Generated by .github/scripts/dependency-diagram.js from MSP430_EMULATOR_TASKS.md. Do not edit by hand. -->',
+            '',
+            'This document shows the dependencies between the tasks in',
+            '[MSP430_EMULATOR_TASKS.md](../../../MSP430_EMULATOR_TASKS.md), grouped by phase and coloured',
+            'by progress. Regenerate it with `npm run diagram` in `.github/scripts`.',
+            '',
+            '## Task Dependency Flowchart',
+            '',
+            '```mermaid',
+            this.toMermaid(),
+            '```',
+            '',
+            '## Legend',
+            '',
+            '| Colour | Status |',
+            '| ------ | ------ |',
+            ...Object.values(STATUS_STYLES).map(
+                style => `| \`${style.fill}\` | ${style.description} |`
+            ),
+            '',
+            '## Ready to Start',
+            ''
+        ];
+
+        const ready = this.graph.getReadyTasks();
+        if (ready.length === 0) {
+            lines.push('No tasks are ready to start.');
+        }
+        for (const task of ready) {
+            lines.push(`- ${taskLink(task.id)}: ${task.title} (${task.priority}, ${task.effort})`);
+        }
+
+        lines.push('', '## Critical Path', '');
+        if (!criticalPath) {
+            lines.push(
+                'The dependency graph contains a cycle; run `npm run lint:tasks` for details.'
+            );
+        } else if (criticalPath.tasks.length === 0) {
+            lines.push('All tasks are complete.');
+        } else {
+            const hours = formatHours(criticalPath.hours);
+            lines.push(`The longest chain of remaining work is estimated at ${hours} hours:`, '');
+            criticalPath.tasks.forEach((id, index) => {
+                const task = this.graph.tasks.get(id);
+                lines.push(`${index + 1}. ${taskLink(id)}: ${task.title} (${task.effort})`);
+            });
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+/**
+ * Fetch task issue URLs from GitHub, keyed by task ID
+ */
+async function fetchIssueUrls(token, owner, repo) {
+    const octokit = new Octokit({ auth: token, userAgent: BOT_USER_AGENT });
+    const issues = await paginate(
+        params => octokit.rest.issues.listForRepo(params),
+        { owner, repo, state: 'all', labels: 'task' },
+        { operationName: 'list task issues for diagram links' }
+    );
+
+    const urls = new Map();
+    for (const issue of issues) {
+        const taskId = TASK_UTILS.getIssueTaskId(issue);
+        if (taskId && !urls.has(taskId)) {
+            urls.set(taskId, issue.html_url);
+        }
+    }
+    return urls;
+}
+
+// Export for use as module
+module.exports = { DependencyDiagram, STATUS_STYLES };
+
+// Main function for CLI usage
+async function main() {
+    const args = process.argv.slice(2);
+    const optionValue = name => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const format = optionValue('--format') || 'markdown';
+    const outputFile = optionValue('--output');
+    const taskFileArg = args.find(
+        (arg, index) => !arg.startsWith('--') && !['--format', '--output'].includes(args[index - 1])
+    );
+    const filePath = taskFileArg || path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
+
+    const token = process.env.GITHUB_TOKEN;
+    const owner =
+        process.env.GITHUB_REPOSITORY?.split('/')[0] || AUTOMATION_CONFIG.repository.owner;
+    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || AUTOMATION_CONFIG.repository.repo;
+
+    try {
+        const parser = new TaskParser(filePath);
+        const tasks = await parser.parse();
+
+        let issueUrls = new Map();
+        if (token) {
+            try {
+                issueUrls = await fetchIssueUrls(token, owner, repo);
+            } catch (error) {
+                console.warn(`Warning: Could not fetch task issues: ${error.message}`);
+            }
+        }
+
+        const diagram = new DependencyDiagram(tasks, issueUrls, parser.getPhases());
+        const renderers = {
+            mermaid: () => `${diagram.toMermaid()}\n`,
+            dot: () => `${diagram.toDot()}\n`,
+            markdown: () => diagram.toMarkdown()
+        };
+
+        if (!renderers[format]) {
+            throw new Error(`Unknown format "${format}" (expected mermaid, dot or markdown)`);
+        }
+
+        const output = renderers[format]();
+        if (outputFile) {
+            fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+            fs.writeFileSync(outputFile, output);
+            console.log(`✅ Wrote ${format} diagram to ${outputFile}`);
+        } else {
+            process.stdout.write(output);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+// CLI usage if run directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Task Dependency Graph
+ *
+ * Builds a graph from the dependencies parsed out of MSP430_EMULATOR_TASKS.md and
+ * answers planning questions about it: dependency cycles, a topological work
+ * order, the critical path through the remaining work (weighted by estimated
+ * effort) and which incomplete tasks are ready to start.
+ */
+
+const path = require('path');
+const { TaskParser } = require('./parse-tasks.js');
+const { TASK_UTILS } = require('./config.js');
+
+class DependencyGraph {
+    constructor(tasks) {
+        // First declaration wins when a task ID is duplicated (reported by lint-tasks.js)
+        this.tasks = new Map();
+        for (const task of tasks) {
+            if (!this.tasks.has(task.id)) {
+                this.tasks.set(task.id, task);
+            }
+        }
+    }
+
+    /**
+     * Get the dependencies of a task that refer to known tasks
+     */
+    dependenciesOf(taskId) {
+        const task = this.tasks.get(taskId);
+        return task ? task.dependencies.filter(depId => this.tasks.has(depId)) : [];
+    }
+
+    /**
+     * Get task IDs in task-list order
+     */
+    sortedIds() {
+        return [...this.tasks.keys()].sort(TASK_UTILS.compareTaskIds);
+    }
+
+    /**
+     * Find dependency cycles, each reported once as the list of task IDs on it
+     */
+    findCycles() {
+        const cycles = [];
+        const state = new Map();
+        const stack = [];
+        const seen = new Set();
+
+        const visit = id => {
+            state.set(id, 'visiting');
+            stack.push(id);
+
+            for (const depId of this.dependenciesOf(id)) {
+                if (state.get(depId) === 'visiting') {
+                    const cycle = stack.slice(stack.indexOf(depId));
+                    const key = [...cycle].sort(TASK_UTILS.compareTaskIds).join(',');
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        cycles.push(cycle);
+                    }
+                } else if (!state.has(depId)) {
+                    visit(depId);
+                }
+            }
+
+            stack.pop();
+            state.set(id, 'done');
+        };
+
+        for (const id of this.tasks.keys()) {
+            if (!state.has(id)) {
+                visit(id);
+            }
+        }
+
+        return cycles;
+    }
+
+    /**
+     * Order tasks so that every task comes after its dependencies
+     *
+     * Among tasks that are free to go next, the lowest task ID is taken first.
+     * Returns null when a cycle makes a complete ordering impossible.
+     */
+    topologicalOrder() {
+        const remaining = new Map();
+        const dependents = new Map();
+
+        for (const id of this.tasks.keys()) {
+            const deps = new Set(this.dependenciesOf(id));
+            remaining.set(id, deps.size);
+            for (const depId of deps) {
+                if (!dependents.has(depId)) {
+                    dependents.set(depId, []);
+                }
+                dependents.get(depId).push(id);
+            }
+        }
+
+        const available = this.sortedIds().filter(id => remaining.get(id) === 0);
+        const order = [];
+
+        while (available.length > 0) {
+            const id = available.shift();
+            order.push(id);
+
+            for (const dependent of dependents.get(id) || []) {
+                remaining.set(dependent, remaining.get(dependent) - 1);
+                if (remaining.get(dependent) === 0) {
+                    available.push(dependent);
+                    available.sort(TASK_UTILS.compareTaskIds);
+                }
+            }
+        }
+
+        return order.length === this.tasks.size ? order : null;
+    }
+
+    /**
+     * Get incomplete tasks whose dependencies are all complete
+     *
+     * A dependency on a task that does not exist is never satisfied.
+     */
+    getReadyTasks() {
+        return this.sortedIds()
+            .map(id => this.tasks.get(id))
+            .filter(
+                task =>
+                    !task.completed &&
+                    task.dependencies.every(depId => {
+                        const dep = this.tasks.get(depId);
+                        return dep && dep.completed;
+                    })
+            );
+    }
+
+    /**
+     * Compute the longest chain of remaining work, weighted by estimated effort
+     *
+     * Completed tasks take no time. The path is chosen by the upper effort
+     * estimate; tasks without a parseable estimate count as zero hours.
+     * Returns null when the graph has a cycle.
+     */
+    getCriticalPath() {
+        const order = this.topologicalOrder();
+        if (!order) {
+            return null;
+        }
+
+        const best = new Map();
+        for (const id of order) {
+            const task = this.tasks.get(id);
+            const effort =
+                task.completed || !task.effortEstimate ? { min: 0, max: 0 } : task.effortEstimate;
+
+            let previous = null;
+            for (const depId of this.dependenciesOf(id)) {
+                if (!previous || best.get(depId).max > previous.max) {
+                    previous = best.get(depId);
+                }
+            }
+
+            best.set(id, {
+                min: (previous ? previous.min : 0) + effort.min,
+                max: (previous ? previous.max : 0) + effort.max,
+                tasks: [...(previous ? previous.tasks : []), ...(task.completed ? [] : [id])]
+            });
+        }
+
+        let longest = { min: 0, max: 0, tasks: [] };
+        for (const id of order) {
+            if (best.get(id).max > longest.max) {
+                longest = best.get(id);
+            }
+        }
+
+        return { tasks: longest.tasks, hours: { min: longest.min, max: longest.max } };
+    }
+
+    /**
+     * Run all analyses and return a JSON-serialisable report
+     */
+    analyze() {
+        const summarize = task => ({
+            id: task.id,
+            title: task.title,
+            priority: task.priority,
+            effort: task.effort
+        });
+
+        return {
+            totalTasks: this.tasks.size,
+            cycles: this.findCycles(),
+            topologicalOrder: this.topologicalOrder(),
+            criticalPath: this.getCriticalPath(),
+            readyTasks: this.getReadyTasks().map(summarize)
+        };
+    }
+}
+
+// Export for use as module
+module.exports = { DependencyGraph };
+
+// Main function for CLI usage
+async function main() {
+    const filePath = process.argv[2] || path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
+
+    try {
+        const parser = new TaskParser(filePath);
+        const tasks = await parser.parse();
+        const graph = new DependencyGraph(tasks);
+
+        console.log(JSON.stringify(graph.analyze(), null, 2));
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+// CLI usage if run directly
+if (require.main === module) {
+    main();
+}
@@ -10,7 +10,10 @@
 const { Octokit } = require('@octokit/rest');
 const { TaskParser } = require('./parse-tasks.js');
 const { GitHubIssuesCreator } = require('./create-issues.js');
-const { BOT_USER_AGENT, TASK_UTILS } = require('./config.js');
+const { TaskSelector, isSelectionOption } = require('./task-selection.js');
+const { paginate } = require('./github-utils.js');
+const { renderTaskTitle } = require('./issue-templates.js');
+const { AUTOMATION_CONFIG, BOT_USER_AGENT, TASK_UTILS } = require('./config.js');
 
 class DisasterRecovery {
     constructor(token, owner, repo) {
@@ -23,8 +26,11 @@ class DisasterRecovery {
         this.dryRun = false;
         this.force = false;
 
-        // Tasks to exclude from recovery (already implemented or actively being developed)
-        this.excludedTasks = ['1.1', '1.2', '1.3', '1.4', '1.5'];
+        // Tasks to recover (by default, all but those already implemented or actively being developed)
+        this.selection = new TaskSelector();
+
+        // Phase metadata from the task document, used for phase labels and milestones
+        this.phases = [];
     }
 
     /**
@@ -42,10 +48,17 @@ class DisasterRecovery {
     }
 
     /**
-     * Filter out excluded tasks
+     * Use task selection rules other than the configured ones (see task-selection.js)
+     */
+    setSelection(selection) {
+        this.selection = selection;
+    }
+
+    /**
+     * Get the tasks selected by the task selection rules
      */
     filterIncludedTasks(tasks) {
-        return tasks.filter(task => !this.excludedTasks.includes(task.id));
+        return this.selection.filter(tasks);
     }
 
     /**
@@ -82,6 +95,7 @@ class DisasterRecovery {
             const parser = new TaskParser(tasksFile);
             const allTasks = await parser.parse();
             const tasks = this.filterIncludedTasks(allTasks);
+            this.phases = parser.getPhases();
             results.analyzed = tasks.length;
             console.log(
                 `Found ${allTasks.length} tasks (${allTasks.length - tasks.length} excluded, ${tasks.length} to recover)`
@@ -123,17 +137,20 @@ class DisasterRecovery {
             await this.delay(1000);
 
             // Backup existing task issues
-            const issues = await this.octokit.rest.issues.listForRepo({
-                owner: this.owner,
-                repo: this.repo,
-                state: 'all',
-                per_page: 100,
-                sort: 'created',
-                direction: 'desc'
-            });
+            const issues = await paginate(
+                params => this.octokit.rest.issues.listForRepo(params),
+                {
+                    owner: this.owner,
+                    repo: this.repo,
+                    state: 'all',
+                    sort: 'created',
+                    direction: 'desc'
+                },
+                { operationName: 'back up issues', logProgress: true }
+            );
 
             // Filter to only issues that have "Task" in the title
-            const taskIssues = issues.data.filter(issue => issue.title.includes('Task'));
+            const taskIssues = issues.filter(issue => issue.title.includes('Task'));
 
             backup.issues = taskIssues.map(issue => ({
                 number: issue.number,
@@ -149,20 +166,20 @@ class DisasterRecovery {
                     : null,
                 created_at: issue.created_at,
                 updated_at: issue.updated_at,
-                taskId: this.extractTaskId(issue.title),
+                taskId: this.extractTaskId(issue),
                 isAutomated: this.isAutomatedIssue(issue)
             }));
 
             console.log(`   Backed up ${backup.issues.length} existing issues`);
 
             // Backup labels
-            const labels = await this.octokit.rest.issues.listLabelsForRepo({
-                owner: this.owner,
-                repo: this.repo,
-                per_page: 100
-            });
+            const labels = await paginate(
+                params => this.octokit.rest.issues.listLabelsForRepo(params),
+                { owner: this.owner, repo: this.repo },
+                { operationName: 'back up labels' }
+            );
 
-            backup.labels = labels.data.map(label => ({
+            backup.labels = labels.map(label => ({
                 name: label.name,
                 color: label.color,
                 description: label.description
@@ -171,14 +188,13 @@ class DisasterRecovery {
             console.log(`   Backed up ${backup.labels.length} labels`);
 
             // Backup milestones
-            const milestones = await this.octokit.rest.issues.listMilestones({
-                owner: this.owner,
-                repo: this.repo,
-                state: 'all',
-                per_page: 100
-            });
+            const milestones = await paginate(
+                params => this.octokit.rest.issues.listMilestones(params),
+                { owner: this.owner, repo: this.repo, state: 'all' },
+                { operationName: 'back up milestones' }
+            );
 
-            backup.milestones = milestones.data.map(milestone => ({
+            backup.milestones = milestones.map(milestone => ({
                 number: milestone.number,
                 title: milestone.title,
                 description: milestone.description,
@@ -245,11 +261,7 @@ class DisasterRecovery {
      */
     needsRecreation(task, issue) {
         // Check for significant corruption or missing automation markers
-        return (
-            !issue.body ||
-            !issue.body.includes('🤖 Managed by GitHub Issues Automation') ||
-            issue.title !== `Task ${task.id}: ${task.title}`
-        );
+        return !this.isAutomatedIssue(issue) || issue.title !== renderTaskTitle(task);
     }
 
     /**
@@ -258,11 +270,13 @@ class DisasterRecovery {
     async executeRecoveryPlan(plan, tasks, results) {
         const creator = new GitHubIssuesCreator(this.octokit.auth, this.owner, this.repo);
 
+        creator.setSelection(this.selection);
         if (this.dryRun) {
             creator.enableDryRun();
         }
 
         // Ensure labels and milestones exist
+        creator.setPhases(this.phases);
         await creator.ensureLabelsExist();
 
         // Create new issues
@@ -344,25 +358,26 @@ class DisasterRecovery {
             await this.delay(1000);
 
             // Re-fetch issues to verify
-            const issues = await this.octokit.rest.issues.listForRepo({
-                owner: this.owner,
-                repo: this.repo,
-                state: 'all',
-                labels: 'task',
-                per_page: 100,
-                sort: 'created',
-                direction: 'desc'
-            });
-
-            // Filter to only issues that have "Task" in the title
-            const recoveredIssues = issues.data.filter(
-                issue => issue.title.includes('Task') && TASK_UTILS.isTaskIssueTitle(issue.title)
+            const issues = await paginate(
+                params => this.octokit.rest.issues.listForRepo(params),
+                {
+                    owner: this.owner,
+                    repo: this.repo,
+                    state: 'all',
+                    labels: 'task',
+                    sort: 'created',
+                    direction: 'desc'
+                },
+                { operationName: 'verify recovered issues', logProgress: true }
             );
+
+            // Filter to only task issues, identified by marker or by title
+            const recoveredIssues = issues.filter(issue => TASK_UTILS.getIssueTaskId(issue));
             const taskIds = new Set(tasks.map(task => task.id));
             const recoveredTaskIds = new Set();
 
             for (const issue of recoveredIssues) {
-                const taskId = this.extractTaskId(issue.title);
+                const taskId = this.extractTaskId(issue);
                 if (taskId && taskIds.has(taskId)) {
                     recoveredTaskIds.add(taskId);
                 }
@@ -383,17 +398,17 @@ class DisasterRecovery {
     }
 
     /**
-     * Extract task ID from issue title
+     * Extract task ID from the issue's identity marker, or else from its title
      */
-    extractTaskId(title) {
-        return TASK_UTILS.extractTaskIdFromTitle(title);
+    extractTaskId(issue) {
+        return TASK_UTILS.getIssueTaskId(issue);
     }
 
     /**
      * Check if an issue was created by automation
      */
     isAutomatedIssue(issue) {
-        return issue.body && issue.body.includes('🤖 Managed by GitHub Issues Automation');
+        return TASK_UTILS.isAutomatedIssue(issue);
     }
 
     /**
@@ -434,11 +449,16 @@ module.exports = { DisasterRecovery };
 // Main function for CLI usage
 async function main() {
     const token = process.env.GITHUB_TOKEN;
-    const owner = process.env.GITHUB_REPOSITORY?.split('/')[0] || 'grahame-white';
-    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || 'ai_msp430_emulator';
-    const tasksFile = process.argv[2] || '../../MSP430_EMULATOR_TASKS.md';
-    const dryRun = process.argv.includes('--dry-run');
-    const force = process.argv.includes('--force');
+    const owner =
+        process.env.GITHUB_REPOSITORY?.split('/')[0] || AUTOMATION_CONFIG.repository.owner;
+    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || AUTOMATION_CONFIG.repository.repo;
+    const args = process.argv.slice(2);
+    const taskFileArg = args.find(
+        (arg, index) => !arg.startsWith('--') && !isSelectionOption(args[index - 1])
+    );
+    const tasksFile = taskFileArg || '../../MSP430_EMULATOR_TASKS.md';
+    const dryRun = args.includes('--dry-run');
+    const force = args.includes('--force');
 
     if (!token) {
         console.error('Error: GITHUB_TOKEN environment variable is required');
@@ -447,6 +467,7 @@ async function main() {
 
     try {
         const recovery = new DisasterRecovery(token, owner, repo);
+        recovery.setSelection(TaskSelector.fromArgs(args));
 
         if (dryRun) {
             recovery.enableDryRun();
@@ -9,6 +9,8 @@
 
 const { TaskParser } = require('./parse-tasks.js');
 const { GitHubIssuesSynchronizer } = require('./sync-tasks.js');
+const { TaskSelector, isSelectionOption } = require('./task-selection.js');
+const { AUTOMATION_CONFIG, TASK_UTILS } = require('./config.js');
 
 class DryRunPreview {
     constructor() {
@@ -22,15 +24,22 @@ class DryRunPreview {
             labels: []
         };
 
-        // Tasks to exclude from preview (already implemented or actively being developed)
-        this.excludedTasks = ['1.1', '1.2', '1.3', '1.4', '1.5'];
+        // Tasks to preview (by default, all but those already implemented or actively being developed)
+        this.selection = new TaskSelector();
     }
 
     /**
-     * Filter out excluded tasks
+     * Use task selection rules other than the configured ones (see task-selection.js)
+     */
+    setSelection(selection) {
+        this.selection = selection;
+    }
+
+    /**
+     * Get the tasks selected by the task selection rules
      */
     filterIncludedTasks(tasks) {
-        return tasks.filter(task => !this.excludedTasks.includes(task.id));
+        return this.selection.filter(tasks);
     }
 
     /**
@@ -115,30 +124,7 @@ class DryRunPreview {
 
         for (const task of tasks) {
             phases.add(task.phase);
-
-            // Phase label
-            allLabels.add(task.phase.toLowerCase().replace(' ', '-'));
-
-            // Priority label
-            allLabels.add(`priority-${task.priority.toLowerCase()}`);
-
-            // Effort label
-            if (task.effort.includes('hours')) {
-                const hours = task.effort.match(/(\d+)-?(\d+)?/);
-                if (hours) {
-                    const minHours = parseInt(hours[1]);
-                    if (minHours <= 2) {
-                        allLabels.add('effort-small');
-                    } else if (minHours <= 4) {
-                        allLabels.add('effort-medium');
-                    } else {
-                        allLabels.add('effort-large');
-                    }
-                }
-            }
-
-            // Status label
-            allLabels.add(task.completed ? 'status-completed' : 'status-pending');
+            TASK_UTILS.getTaskLabels(task).forEach(label => allLabels.add(label));
         }
 
         this.changes.labels = Array.from(allLabels);
@@ -160,6 +146,7 @@ class DryRunPreview {
         console.log('🔗 Analyzing with GitHub API...');
 
         const synchronizer = new GitHubIssuesSynchronizer(token, owner, repo);
+        synchronizer.setSelection(this.selection);
         synchronizer.enableDryRun();
 
         const results = await synchronizer.synchronize('../../MSP430_EMULATOR_TASKS.md');
@@ -335,13 +322,19 @@ module.exports = { DryRunPreview };
 // Main function for CLI usage
 async function main() {
     const token = process.env.GITHUB_TOKEN;
-    const owner = process.env.GITHUB_REPOSITORY?.split('/')[0] || 'grahame-white';
-    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || 'ai_msp430_emulator';
-    const tasksFile = process.argv[2] || '../../MSP430_EMULATOR_TASKS.md';
-    const jsonOutput = process.argv.includes('--json');
+    const owner =
+        process.env.GITHUB_REPOSITORY?.split('/')[0] || AUTOMATION_CONFIG.repository.owner;
+    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || AUTOMATION_CONFIG.repository.repo;
+    const args = process.argv.slice(2);
+    const taskFileArg = args.find(
+        (arg, index) => !arg.startsWith('--') && !isSelectionOption(args[index - 1])
+    );
+    const tasksFile = taskFileArg || '../../MSP430_EMULATOR_TASKS.md';
+    const jsonOutput = args.includes('--json');
 
     try {
         const preview = new DryRunPreview();
+        preview.setSelection(TaskSelector.fromArgs(args));
         await preview.generatePreview(tasksFile, token, owner, repo);
 
         if (jsonOutput) {
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * Repository Evidence Check for Task Files
+ *
+ * Checks the files each task says it produces against the working tree: the
+ * "Files to Create" list and backtick-quoted paths in acceptance criteria. Flags
+ * completed tasks whose files are missing and incomplete tasks whose files all
+ * exist already, either of which means the task list is out of date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TaskParser } = require('./parse-tasks.js');
+
+// Backtick-quoted text in an acceptance criterion
+const BACKTICK_SPAN = /`([^`]+)`/g;
+
+// File names with an extension used in this repository, e.g. "MemoryMap.cs" or "ci.yml"
+const FILE_NAME =
+    /\.(?:cs|csproj|sln|props|targets|ruleset|md|json|ya?ml|js|sh|ps1|txt|xml|editorconfig)$/;
+
+// Annotation after a listed path, e.g. "src/Foo/ (directory)" or "Foo.cs  # main class"
+const PATH_ANNOTATION = /\s+(?:\(.*\)|#.*)$/;
+
+// Directories never searched when looking up a bare file name
+const IGNORED_DIRECTORIES = new Set(['.git', 'node_modules', 'bin', 'obj', 'TestResults']);
+
+class FileEvidenceChecker {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.fileIndex = null;
+    }
+
+    /**
+     * Normalize a listed path, or return null if it does not look like a path
+     */
+    normalizePath(text) {
+        const candidate = text.trim().replace(PATH_ANNOTATION, '').replace(/^\.\//, '');
+        if (!/^[\w./-]+$/.test(candidate)) {
+            return null;
+        }
+        if (candidate.includes('/') || FILE_NAME.test(candidate) || /^\.\w/.test(candidate)) {
+            return candidate;
+        }
+        return null;
+    }
+
+    /**
+     * Get the paths a task refers to, from Files to Create and then acceptance criteria
+     */
+    extractPaths(task) {
+        const paths = new Map();
+        const add = (text, origin) => {
+            const filePath = this.normalizePath(text);
+            if (filePath && !paths.has(filePath)) {
+                paths.set(filePath, { path: filePath, origin });
+            }
+        };
+
+        for (const file of task.filesToCreate || []) {
+            add(file, 'files');
+        }
+        for (const criterion of task.acceptanceCriteria || []) {
+            for (const match of criterion.text.matchAll(BACKTICK_SPAN)) {
+                add(match[1], 'criteria');
+            }
+        }
+
+        return [...paths.values()];
+    }
+
+    /**
+     * Check whether a path exists in the working tree
+     *
+     * Paths containing a slash are resolved from the repository root, and a trailing
+     * slash requires a directory. A bare file name exists if a file with that name is
+     * anywhere in the tree.
+     */
+    exists(filePath) {
+        if (!filePath.includes('/')) {
+            return (
+                fs.existsSync(path.join(this.rootDir, filePath)) ||
+                this.getFileIndex().has(filePath)
+            );
+        }
+
+        const fullPath = path.join(this.rootDir, filePath);
+        if (!fs.existsSync(fullPath)) {
+            return false;
+        }
+        return !filePath.endsWith('/') || fs.statSync(fullPath).isDirectory();
+    }
+
+    /**
+     * Index the names of all files and directories in the working tree
+     */
+    getFileIndex() {
+        if (!this.fileIndex) {
+            this.fileIndex = new Set();
+            const walk = dir => {
+                for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                    if (entry.isDirectory() && IGNORED_DIRECTORIES.has(entry.name)) {
+                        continue;
+                    }
+                    this.fileIndex.add(entry.name);
+                    if (entry.isDirectory()) {
+                        walk(path.join(dir, entry.name));
+                    }
+                }
+            };
+            walk(this.rootDir);
+        }
+        return this.fileIndex;
+    }
+
+    /**
+     * Check the files of a single task
+     *
+     * The finding is 'missing-files' for a completed task with missing files and
+     * 'files-exist' for an incomplete task whose files all exist; otherwise null.
+     */
+    checkTask(task) {
+        const files = this.extractPaths(task).map(file => ({
+            ...file,
+            exists: this.exists(file.path)
+        }));
+        const missing = files.filter(file => !file.exists).length;
+
+        let finding = null;
+        if (task.completed && missing > 0) {
+            finding = 'missing-files';
+        } else if (!task.completed && files.length > 0 && missing === 0) {
+            finding = 'files-exist';
+        }
+
+        return {
+            taskId: task.id,
+            title: task.title,
+            completed: task.completed,
+            files,
+            missing,
+            finding
+        };
+    }
+
+    /**
+     * Check all tasks and summarize the findings
+     */
+    createReport(tasks) {
+        const results = tasks.map(task => this.checkTask(task));
+
+        return {
+            checkedTasks: results.filter(result => result.files.length > 0).length,
+            checkedFiles: results.reduce((total, result) => total + result.files.length, 0),
+            completedWithMissingFiles: results.filter(r => r.finding === 'missing-files'),
+            incompleteWithExistingFiles: results.filter(r => r.finding === 'files-exist'),
+            tasks: results
+        };
+    }
+
+    /**
+     * Render a report as markdown
+     */
+    toMarkdown(report) {
+        const fileLine = file => `- ${file.exists ? '✅' : '❌'} \`${file.path}\``;
+        const taskLines = result => [
+            '',
+            `### Task ${result.taskId}: ${result.title}`,
+            '',
+            ...result.files.map(fileLine)
+        ];
+
+        const lines = [
+            '# Task File Evidence Report',
+            '',
+            `Checked ${report.checkedFiles} files across ${report.checkedTasks} tasks.`,
+            '',
+            `## Completed Tasks With Missing Files (${report.completedWithMissingFiles.length})`,
+            ...report.completedWithMissingFiles.flatMap(taskLines),
+            '',
+            `## Incomplete Tasks Whose Files Exist (${report.incompleteWithExistingFiles.length})`,
+            ...report.incompleteWithExistingFiles.flatMap(taskLines)
+        ];
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+// Export for use as module
+module.exports = { FileEvidenceChecker };
+
+// Main function for CLI usage
+async function main() {
+    const args = process.argv.slice(2);
+    const formatIndex = args.indexOf('--format');
+    const format = formatIndex >= 0 ? args[formatIndex + 1] : 'markdown';
+    const strict = args.includes('--strict');
+    const taskFileArg = args.find(
+        (arg, index) => !arg.startsWith('--') && args[index - 1] !== '--format'
+    );
+    const filePath = taskFileArg || path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
+
+    try {
+        if (!['markdown', 'json'].includes(format)) {
+            throw new Error(`Unknown format "${format}" (expected markdown or json)`);
+        }
+
+        const parser = new TaskParser(filePath);
+        const tasks = await parser.parse();
+        const checker = new FileEvidenceChecker(path.dirname(path.resolve(filePath)));
+        const report = checker.createReport(tasks);
+
+        if (format === 'json') {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            process.stdout.write(checker.toMarkdown(report));
+        }
+
+        const findings =
+            report.completedWithMissingFiles.length + report.incompleteWithExistingFiles.length;
+        if (strict && findings > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+// CLI usage if run directly
+if (require.main === module) {
+    main();
+}
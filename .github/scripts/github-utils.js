@@ -165,6 +165,63 @@ async function executeWithRateLimit(apiCall, operationName = 'API call', maxRetr
     throw lastError;
 }
 
+/**
+ * Fetch every page of a GitHub list endpoint with rate limiting
+ *
+ * Requests pages of 100 items (unless params set per_page) and follows the
+ * rel="next" link of each response's Link header until there is none, or until
+ * maxItems items have been fetched.
+ * @param {Function} listPage - Function that requests one page, given the request parameters
+ * @param {Object} params - Request parameters (owner, repo, filters, ...)
+ * @param {Object} options - {operationName, maxItems, logProgress, maxRetries}
+ * @returns {Promise<Array>} - Items of all fetched pages, at most maxItems
+ */
+async function paginate(listPage, params = {}, options = {}) {
+    const {
+        operationName = 'list items',
+        maxItems = Infinity,
+        logProgress = false,
+        maxRetries = 3
+    } = options;
+    const items = [];
+    let page = params.page || 1;
+
+    while (page !== null && items.length < maxItems) {
+        const response = await executeWithRateLimit(
+            () => listPage({ per_page: 100, ...params, page }),
+            `${operationName} (page ${page})`,
+            maxRetries
+        );
+        items.push(...response.data);
+        page = getNextPage(response.headers);
+
+        if (logProgress && (page !== null || items.length > response.data.length)) {
+            console.log(`   📄 ${operationName}: fetched ${items.length} item(s)`);
+        }
+    }
+
+    if (items.length > maxItems) {
+        items.length = maxItems;
+    }
+    return items;
+}
+
+/**
+ * Get the page number of the rel="next" link of a Link header, or null on the last page
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Next page number
+ */
+function getNextPage(headers) {
+    const link = headers?.link;
+    if (!link) {
+        return null;
+    }
+
+    const next = link.split(',').find(part => /rel="next"/.test(part));
+    const match = next && next.match(/<[^>]*[?&]page=(\d+)[^>]*>/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
 /**
  * Smart delay that includes rate limit-aware spacing
  * @param {number} baseDelay - Base delay in milliseconds
@@ -206,6 +263,8 @@ module.exports = {
     executeWithPermissionHandling,
     handleRateLimit,
     executeWithRateLimit,
+    paginate,
+    getNextPage,
     smartDelay,
     delay
 };
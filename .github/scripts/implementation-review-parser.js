@@ -0,0 +1,120 @@
+/**
+ * Implementation Review Parser
+ *
+ * Parses the "Areas for Improvement" sections of SLAU445_IMPLEMENTATION_REVIEW.md
+ * into tasks. Each numbered "**Title** - description" item becomes a task, with
+ * its priority taken from the "High/Medium/Low Priority" heading above it. Items are
+ * numbered within their priority heading, as in the document, and task IDs combine
+ * the first letter of the priority with that number (e.g. the first High Priority
+ * item is SLAU-H1), so adding an item under one priority leaves the others alone.
+ */
+
+const path = require('path');
+const { TaskParser } = require('./parse-tasks.js');
+
+// Heading of a section listing improvements, e.g. "Areas for Improvement ⚠️"
+const IMPROVEMENTS_HEADING = /^Areas for Improvement\b/;
+
+// Priority heading inside an improvements section, e.g. "High Priority"
+const PRIORITY_HEADING = /^(Critical|High|Medium|Low) Priority\b/i;
+
+// Improvement item text, e.g. "**Interrupt Handling** - Implement interrupt controller"
+const ITEM_TEXT = /^\*\*(.+?)\*\*\s*(?:[-–:]\s*)?(.*)$/;
+
+// Completion marker at the start of an item, e.g. "✅ **Interrupt Handling** - ..."
+const COMPLETED_PREFIX = /^✅\s*/u;
+
+// Phase that all implementation review items belong to
+const PHASE_TITLE = 'SLAU445 Review';
+
+class ImplementationReviewParser extends TaskParser {
+    constructor(filePath, namespace = 'SLAU') {
+        super(filePath);
+        this.namespace = namespace;
+    }
+
+    /**
+     * Extract improvement items as tasks
+     *
+     * An improvements section runs up to the next heading of the same or a higher
+     * level; items before any priority heading are Medium priority.
+     */
+    extractTasks() {
+        const blocks = this.blockParser.parse(this.content);
+        const documentTitle = blocks.find(block => block.type === 'heading' && block.level === 1);
+        const name = documentTitle ? documentTitle.text : PHASE_TITLE;
+        this.phases.push({
+            number: null,
+            title: PHASE_TITLE,
+            name: name,
+            intro: '',
+            description: `${name}\n\nAreas for improvement tracked in ${path.basename(this.filePath)}`,
+            line: documentTitle ? documentTitle.line : 1
+        });
+
+        let section = null;
+        let priority = 'Medium';
+        let itemNumber = 0;
+
+        for (const block of blocks) {
+            if (block.type === 'heading') {
+                if (IMPROVEMENTS_HEADING.test(block.text)) {
+                    section = block;
+                    priority = 'Medium';
+                    itemNumber = 0;
+                } else if (section && block.level <= section.level) {
+                    section = null;
+                } else if (section) {
+                    const match = block.text.match(PRIORITY_HEADING);
+                    if (match) {
+                        priority =
+                            match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase();
+                        itemNumber = 0;
+                    }
+                }
+                continue;
+            }
+
+            if (section && block.type === 'list') {
+                for (const item of block.items) {
+                    itemNumber++;
+                    const id = `${this.namespace}-${priority.charAt(0)}${itemNumber}`;
+                    const task = this.createItemTask(item, id, priority);
+                    if (task) {
+                        this.tasks.push(task);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Build the task for an improvement item, or null if it has no bold title
+     */
+    createItemTask(item, id, priority) {
+        const completed = COMPLETED_PREFIX.test(item.text);
+        const match = item.text.replace(COMPLETED_PREFIX, '').match(ITEM_TEXT);
+        if (!match) {
+            return null;
+        }
+
+        return this.createTask({
+            id: id,
+            title: match[1].trim(),
+            status: completed ? 'completed' : null,
+            phase: PHASE_TITLE,
+            priority: priority,
+            description: match[2].trim(),
+            source: path.basename(this.filePath),
+            location: {
+                startLine: item.line,
+                endLine: item.endLine,
+                dependencies: [],
+                filesToCreate: []
+            }
+        });
+    }
+}
+
+// Export for use as module
+module.exports = { ImplementationReviewParser };
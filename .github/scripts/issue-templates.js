@@ -0,0 +1,379 @@
+/**
+ * Issue Template Renderer
+ *
+ * Renders the templates in .github/config/issue-templates.json. Templates are
+ * plain text with these tags:
+ *
+ *   {name}                       value of a field; null renders as nothing
+ *   {list|formatter}             list rendered with a formatter from "formatting"
+ *   {#if name}...{#else}...{/if} section rendered when a field is set (a
+ *                                non-empty string or list, or any other value
+ *                                but null and false)
+ *   {#each list}...{/each}       section rendered once per item, with the fields
+ *                                of the item (or {item} for a plain value)
+ *
+ * A list without a formatter uses the formatter named after the field. Field
+ * values are inserted as they are, so task text containing braces is never
+ * interpreted as a tag. Referencing a field the data does not have is an error,
+ * so a typo in a template fails loudly instead of silently rendering nothing.
+ */
+
+const crypto = require('crypto');
+const ISSUE_TEMPLATES = require('../config/issue-templates.json');
+const { STRUCTURED_SECTIONS } = require('./parse-tasks.js');
+const {
+    AUTOMATION_CONFIG,
+    AUTOMATION_FOOTER,
+    GENERATOR_VERSION,
+    TASK_UTILS
+} = require('./config.js');
+
+// Template tag: {name}, {name|formatter}, {#if name}, {#else}, {/if}, {#each name} or {/each}
+const TEMPLATE_TAG = /\{(?:(#if|#each) ([\w-]+)|(#else|\/if|\/each)|([\w-]+)(?:\|([\w-]+))?)\}/g;
+
+// Source file of tasks from the task list itself
+const DEFAULT_SOURCE = 'MSP430_EMULATOR_TASKS.md';
+
+class IssueTemplateRenderer {
+    constructor(config = ISSUE_TEMPLATES) {
+        this.templates = config.templates || {};
+        this.milestoneTemplate = (config.milestones && config.milestones.template) || {};
+        this.formatters = config.formatting || {};
+        this.parsed = new Map();
+    }
+
+    /**
+     * Render a part ("title" or "body") of a named template
+     */
+    renderTemplate(name, part, data) {
+        const template = this.templates[name];
+        if (!template || typeof template[part] !== 'string') {
+            throw new Error(`Issue template "${name}" has no ${part}`);
+        }
+        return this.render(template[part], data, `${name}.${part}`);
+    }
+
+    /**
+     * Render a part ("title" or "description") of the milestone template
+     */
+    renderMilestone(part, data) {
+        if (typeof this.milestoneTemplate[part] !== 'string') {
+            throw new Error(`Milestone template has no ${part}`);
+        }
+        return this.render(this.milestoneTemplate[part], data, `milestones.${part}`);
+    }
+
+    /**
+     * Render template text with the given data
+     *
+     * The name identifies the template in error messages.
+     */
+    render(text, data, name = 'template') {
+        return this.renderNodes(this.parse(text, name), [data], name);
+    }
+
+    /**
+     * Parse template text into a tree of text, value, if and each nodes (cached)
+     */
+    parse(text, name) {
+        if (this.parsed.has(text)) {
+            return this.parsed.get(text);
+        }
+
+        const nodes = [];
+        // Open sections, each with the node list that tags are currently added to
+        const stack = [{ node: null, nodes }];
+        let position = 0;
+
+        const fail = message => {
+            throw new Error(`Issue template ${name}: ${message}`);
+        };
+
+        for (const match of text.matchAll(TEMPLATE_TAG)) {
+            const open = stack[stack.length - 1];
+            if (match.index > position) {
+                open.nodes.push({ type: 'text', text: text.slice(position, match.index) });
+            }
+            position = match.index + match[0].length;
+
+            const [tag, block, blockField, closing, field, formatter] = match;
+            if (block === '#if') {
+                const node = { type: 'if', field: blockField, then: [], else: [] };
+                open.nodes.push(node);
+                stack.push({ node, nodes: node.then });
+            } else if (block === '#each') {
+                const node = { type: 'each', field: blockField, nodes: [] };
+                open.nodes.push(node);
+                stack.push({ node, nodes: node.nodes });
+            } else if (closing === '#else') {
+                if (!open.node || open.node.type !== 'if' || open.nodes === open.node.else) {
+                    fail(`${tag} outside of an {#if} section`);
+                }
+                open.nodes = open.node.else;
+            } else if (closing) {
+                const type = closing === '/if' ? 'if' : 'each';
+                if (!open.node || open.node.type !== type) {
+                    fail(`${tag} without a matching {#${type}}`);
+                }
+                stack.pop();
+            } else {
+                open.nodes.push({ type: 'value', field, formatter: formatter || null });
+            }
+        }
+
+        if (stack.length > 1) {
+            const { node } = stack[stack.length - 1];
+            fail(`{#${node.type} ${node.field}} is not closed`);
+        }
+        if (position < text.length) {
+            nodes.push({ type: 'text', text: text.slice(position) });
+        }
+
+        this.parsed.set(text, nodes);
+        return nodes;
+    }
+
+    /**
+     * Render parsed nodes, looking fields up from the innermost scope outwards
+     */
+    renderNodes(nodes, scopes, name) {
+        let output = '';
+
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                output += node.text;
+            } else if (node.type === 'value') {
+                output += this.formatValue(node, this.lookup(node.field, scopes, name), name);
+            } else if (node.type === 'if') {
+                const branch = isSet(this.lookup(node.field, scopes, name)) ? node.then : node.else;
+                output += this.renderNodes(branch, scopes, name);
+            } else {
+                const items = this.lookup(node.field, scopes, name) || [];
+                for (const item of items) {
+                    output += this.renderNodes(node.nodes, [...scopes, toScope(item)], name);
+                }
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Render the value of a field, formatting lists
+     */
+    formatValue(node, value, name) {
+        if (Array.isArray(value)) {
+            return this.formatList(node.formatter || node.field, value, name);
+        }
+        if (node.formatter) {
+            throw new Error(`Issue template ${name}: {${node.field}} is not a list`);
+        }
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    /**
+     * Render a list with a formatter from the "formatting" section
+     *
+     * A formatter has a per-item format, a separator (a newline by default), the
+     * text to use for an empty list (nothing by default) and optionally the
+     * {checkbox} texts for items with and without a true "completed" field.
+     */
+    formatList(formatterName, items, name) {
+        const formatter = this.formatters[formatterName];
+        if (!formatter) {
+            throw new Error(`Issue template ${name}: unknown list formatter "${formatterName}"`);
+        }
+        if (items.length === 0) {
+            return formatter.none || '';
+        }
+
+        const separator = formatter.separator === undefined ? '\n' : formatter.separator;
+        const format = this.parse(formatter.format, `formatting.${formatterName}`);
+        return items
+            .map(item => {
+                const scope = toScope(item);
+                if (formatter.checkboxCompleted !== undefined) {
+                    scope.checkbox = item.completed
+                        ? formatter.checkboxCompleted
+                        : formatter.checkboxPending;
+                }
+                return this.renderNodes(format, [scope], `formatting.${formatterName}`);
+            })
+            .join(separator);
+    }
+
+    /**
+     * Look a field up in the innermost scope that has it
+     */
+    lookup(field, scopes, name) {
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            if (field in scopes[i]) {
+                return scopes[i][field];
+            }
+        }
+        throw new Error(`Issue template ${name}: unknown field {${field}}`);
+    }
+
+    /**
+     * Render the issue body of a task with the "task" template
+     *
+     * Files are the file evidence results of the task, when file evidence is enabled.
+     * Issues are the task issues keyed by task ID, used to reference child issues.
+     */
+    renderTaskBody(task, files = [], issues = null) {
+        const data = createTaskTemplateData(task, files, issues);
+        data.marker = TASK_UTILS.formatIssueMarker(task, this.hashRenderInputs(data));
+        return this.renderTemplate('task', 'body', data);
+    }
+
+    /**
+     * Render the issue title of a task with the "task" template
+     */
+    renderTaskTitle(task) {
+        return this.renderTemplate('task', 'title', createTaskTemplateData(task));
+    }
+
+    /**
+     * Fingerprint what the issue of a task is generated from besides the task itself
+     *
+     * Covers the task template and formatters, the template data (file evidence, child
+     * issue numbers, footer, ...), the label configuration and the generator version.
+     * Together with the task hash it tells whether a synced issue is up to date.
+     */
+    hashRenderInputs(data) {
+        const inputs = [
+            this.templates.task,
+            this.formatters,
+            { ...data, marker: null },
+            AUTOMATION_CONFIG.labels,
+            GENERATOR_VERSION
+        ];
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify(inputs))
+            .digest('hex')
+            .slice(0, 16);
+    }
+
+    /**
+     * Render hash the issue body of a task would record (see hashRenderInputs)
+     */
+    hashTaskRender(task, files = [], issues = null) {
+        return this.hashRenderInputs(createTaskTemplateData(task, files, issues));
+    }
+}
+
+// Renderer of the templates in issue-templates.json, shared by the issue creator and updater
+const TEMPLATE_RENDERER = new IssueTemplateRenderer();
+
+/**
+ * Render the issue body of a task with the templates in issue-templates.json
+ */
+function renderTaskBody(task, files = [], issues = null) {
+    return TEMPLATE_RENDERER.renderTaskBody(task, files, issues);
+}
+
+/**
+ * Render the issue title of a task with the templates in issue-templates.json
+ */
+function renderTaskTitle(task) {
+    return TEMPLATE_RENDERER.renderTaskTitle(task);
+}
+
+/**
+ * Render hash the issue body of a task would record with the templates in issue-templates.json
+ */
+function hashTaskRender(task, files = [], issues = null) {
+    return TEMPLATE_RENDERER.hashTaskRender(task, files, issues);
+}
+
+/**
+ * Render the description of a phase milestone with the templates in issue-templates.json
+ *
+ * Progress is {completedTasks, totalTasks, progressPercent, remainingHours}.
+ */
+function renderMilestoneDescription(phase, phaseDescription, progress) {
+    return TEMPLATE_RENDERER.renderMilestone('description', {
+        phase,
+        phaseDescription,
+        ...progress
+    });
+}
+
+/**
+ * Collect the template fields of a task
+ */
+function createTaskTemplateData(task, files = [], issues = null) {
+    const metadata = task.metadata || {};
+    const criteria = task.acceptanceCriteria || [];
+
+    // Other sections from the task list (references, notes, procedures, ...)
+    const sections = Object.entries(task.sections || {})
+        .filter(([label, value]) => !STRUCTURED_SECTIONS.includes(label) && value.length > 0)
+        .map(([label, value]) => ({
+            label,
+            items: Array.isArray(value) ? value : [],
+            text: Array.isArray(value) ? '' : value
+        }));
+
+    return {
+        taskId: task.id,
+        taskTitle: task.title,
+        priority: task.priority,
+        effort: task.effort,
+        phase: task.phase,
+        dependencies: task.dependencies || [],
+        parent: task.parent || null,
+        area: metadata.area || null,
+        due: metadata.due || null,
+        description: task.description || '',
+        // Child issues as references (rendered live by GitHub), or child tasks without an issue yet
+        subtasks: (task.children || []).map(child => {
+            const issue = issues && issues.get(child.id);
+            return {
+                text: issue
+                    ? `#${issue.number}`
+                    : TASK_UTILS.formatIssueTitle(child.id, child.title),
+                completed: child.completed
+            };
+        }),
+        acceptanceCriteria: criteria,
+        // Checkbox state as synced, so reverse-sync.js can tell which boxes were changed on GitHub
+        syncedCriteria: criteria.map(c => (c.completed ? '1' : '0')).join(''),
+        filesToCreate: task.filesToCreate || [],
+        files: files.map(file => ({ path: file.path, icon: file.exists ? '✅' : '❌' })),
+        testingStrategy: task.testingStrategy || [],
+        sections,
+        // Identity of the task the issue was generated from, with its content and render
+        // hashes as synced; set by renderTaskBody once the other fields are known
+        marker: null,
+        source: task.source || DEFAULT_SOURCE,
+        footer: AUTOMATION_FOOTER
+    };
+}
+
+/**
+ * Check whether a field counts as set for an {#if} section
+ */
+function isSet(value) {
+    if (Array.isArray(value) || typeof value === 'string') {
+        return value.length > 0;
+    }
+    return value !== null && value !== undefined && value !== false;
+}
+
+/**
+ * Get the scope of a list item: its fields, or {item} for a plain value
+ */
+function toScope(item) {
+    return item !== null && typeof item === 'object' ? { ...item } : { item };
+}
+
+// Export for use as module
+module.exports = {
+    IssueTemplateRenderer,
+    hashTaskRender,
+    renderMilestoneDescription,
+    renderTaskBody,
+    renderTaskTitle
+};
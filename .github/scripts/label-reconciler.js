@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+/**
+ * GitHub Label Reconciler
+ *
+ * Compares the repository's labels with the label catalogue declared in
+ * .github/config/issue-automation.json (plus one label per task list phase) and
+ * plans the changes that bring them in line: creating missing labels, fixing
+ * colours and descriptions, and deleting stale automation labels. A stale label
+ * is an undeclared label in one of the automation namespaces (labels.namespaces);
+ * stale labels are only deleted when pruning is explicitly enabled. Other
+ * undeclared labels belong to people and are reported, never changed.
+ */
+
+const path = require('path');
+const { Octokit } = require('@octokit/rest');
+const { TaskParser } = require('./parse-tasks.js');
+const { loadSourceTasks } = require('./task-sources.js');
+const {
+    executeWithRateLimit,
+    executeWithPermissionHandling,
+    paginate
+} = require('./github-utils.js');
+const { AUTOMATION_CONFIG, BOT_USER_AGENT, PROTECTION_LABEL } = require('./config.js');
+
+class LabelReconciler {
+    /**
+     * An existing Octokit client can be passed to share its authentication
+     */
+    constructor(token, owner, repo, octokit = null) {
+        this.octokit =
+            octokit ||
+            new Octokit({
+                auth: token,
+                userAgent: BOT_USER_AGENT
+            });
+        this.owner = owner;
+        this.repo = repo;
+        this.dryRun = false;
+
+        // Delete stale labels in the automation namespaces
+        this.prune = false;
+
+        // Phases of the task list, each of which gets a phase label
+        this.phases = [];
+    }
+
+    /**
+     * Enable dry run mode (plan only, no changes)
+     */
+    enableDryRun() {
+        this.dryRun = true;
+    }
+
+    /**
+     * Enable deleting stale labels in the automation namespaces
+     */
+    enablePrune() {
+        this.prune = true;
+    }
+
+    /**
+     * Use phase metadata parsed from the task documents for phase labels
+     */
+    setPhases(phases) {
+        this.phases = [...phases];
+    }
+
+    /**
+     * Get the label catalogue: every label the automation declares
+     */
+    getDeclaredLabels() {
+        const labels = AUTOMATION_CONFIG.labels;
+        const phaseLabels = this.phases.map(phase => ({
+            name: phase.title.toLowerCase().replace(' ', '-'),
+            color: labels.phase.color,
+            // GitHub limits label descriptions to 100 characters
+            description: `${phase.title}: ${phase.name}`.slice(0, 100)
+        }));
+
+        const declared = new Map();
+        for (const label of [
+            labels.task,
+            ...phaseLabels,
+            ...labels.priorities,
+            ...labels.efforts,
+            ...labels.statuses,
+            PROTECTION_LABEL,
+            ...labels.other
+        ]) {
+            const { name, color, description } = label;
+            declared.set(name.toLowerCase(), { name, color, description });
+        }
+        return [...declared.values()];
+    }
+
+    /**
+     * Fetch the repository's labels
+     */
+    async fetchLabels() {
+        return paginate(
+            params => this.octokit.rest.issues.listLabelsForRepo(params),
+            { owner: this.owner, repo: this.repo },
+            { operationName: 'list repository labels' }
+        );
+    }
+
+    /**
+     * Plan the changes that make the repository's labels match the catalogue
+     *
+     * Labels are matched by name, ignoring case as GitHub does. Returns
+     * {create, update, delete, undeclared}: labels to create, labels whose name
+     * case, colour or description to fix ({name, label, current, changes}), stale
+     * labels to delete (only when pruning), and the remaining undeclared labels
+     * ({name, stale}).
+     */
+    planChanges(existingLabels) {
+        const existing = new Map(existingLabels.map(label => [label.name.toLowerCase(), label]));
+        const declared = this.getDeclaredLabels();
+        const declaredNames = new Set(declared.map(label => label.name.toLowerCase()));
+        const plan = { create: [], update: [], delete: [], undeclared: [] };
+
+        for (const label of declared) {
+            const current = existing.get(label.name.toLowerCase());
+            if (!current) {
+                plan.create.push(label);
+                continue;
+            }
+
+            const changes = [];
+            if (current.name !== label.name) {
+                changes.push('name');
+            }
+            if ((current.color || '').toLowerCase() !== label.color.toLowerCase()) {
+                changes.push('color');
+            }
+            if ((current.description || '') !== label.description) {
+                changes.push('description');
+            }
+            if (changes.length > 0) {
+                plan.update.push({ name: current.name, label, current, changes });
+            }
+        }
+
+        for (const label of existingLabels) {
+            if (declaredNames.has(label.name.toLowerCase())) {
+                continue;
+            }
+
+            const stale = isNamespaced(label.name);
+            if (stale && this.prune) {
+                plan.delete.push(label);
+            } else {
+                plan.undeclared.push({ name: label.name, stale });
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * Fetch the repository's labels, plan the changes and apply them (unless in dry run mode)
+     *
+     * Returns {plan, applied, errors}, where applied counts the changes made.
+     */
+    async reconcile() {
+        const plan = this.planChanges(await this.fetchLabels());
+        const results = { plan, applied: { created: 0, updated: 0, deleted: 0 }, errors: [] };
+
+        if (this.dryRun) {
+            return results;
+        }
+
+        const apply = async (operation, description, call) => {
+            const result = await executeWithPermissionHandling(
+                () => executeWithRateLimit(call, description),
+                description,
+                'repository'
+            );
+            if (result.success) {
+                results.applied[operation]++;
+            } else {
+                results.errors.push({ label: description, error: result.error.message });
+            }
+        };
+
+        for (const label of plan.create) {
+            await apply('created', `create label ${label.name}`, () =>
+                this.octokit.rest.issues.createLabel({
+                    owner: this.owner,
+                    repo: this.repo,
+                    ...label
+                })
+            );
+        }
+        for (const { name, label } of plan.update) {
+            await apply('updated', `update label ${name}`, () =>
+                this.octokit.rest.issues.updateLabel({
+                    owner: this.owner,
+                    repo: this.repo,
+                    name,
+                    new_name: label.name,
+                    color: label.color,
+                    description: label.description
+                })
+            );
+        }
+        for (const { name } of plan.delete) {
+            await apply('deleted', `delete label ${name}`, () =>
+                this.octokit.rest.issues.deleteLabel({
+                    owner: this.owner,
+                    repo: this.repo,
+                    name
+                })
+            );
+        }
+
+        return results;
+    }
+
+    /**
+     * Print a plan as a preview of the label changes
+     */
+    printPlan(plan) {
+        console.log(`🏷️  Label plan${this.dryRun ? ' (dry run, nothing changed)' : ''}:`);
+        for (const label of plan.create) {
+            console.log(`   ➕ create ${label.name} (#${label.color})`);
+        }
+        for (const { name, label, current, changes } of plan.update) {
+            const details = changes.map(field => {
+                if (field === 'name') {
+                    return `name → "${label.name}"`;
+                }
+                if (field === 'color') {
+                    return `color #${current.color} → #${label.color}`;
+                }
+                return `description "${current.description || ''}" → "${label.description}"`;
+            });
+            console.log(`   ✏️  update ${name}: ${details.join(', ')}`);
+        }
+        for (const label of plan.delete) {
+            console.log(`   🗑️  delete ${label.name} (stale)`);
+        }
+
+        const stale = plan.undeclared.filter(label => label.stale);
+        const other = plan.undeclared.filter(label => !label.stale);
+        if (stale.length > 0) {
+            console.log(
+                `⚠️  ${stale.length} stale automation label(s), deleted with --prune: ${stale.map(l => l.name).join(', ')}`
+            );
+        }
+        if (other.length > 0) {
+            console.log(
+                `ℹ️  ${other.length} undeclared label(s) left untouched: ${other.map(l => l.name).join(', ')}`
+            );
+        }
+
+        console.log(
+            `📊 Label plan: ${plan.create.length} to create, ${plan.update.length} to update, ${plan.delete.length} to delete`
+        );
+    }
+}
+
+/**
+ * Check whether a label name is in one of the automation namespaces
+ */
+function isNamespaced(name) {
+    const lowerName = name.toLowerCase();
+    return AUTOMATION_CONFIG.labels.namespaces.some(prefix =>
+        lowerName.startsWith(prefix.toLowerCase())
+    );
+}
+
+// Export for use as module
+module.exports = { LabelReconciler };
+
+// Main function for CLI usage
+async function main() {
+    const token = process.env.GITHUB_TOKEN;
+    const owner =
+        process.env.GITHUB_REPOSITORY?.split('/')[0] || AUTOMATION_CONFIG.repository.owner;
+    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || AUTOMATION_CONFIG.repository.repo;
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const prune = args.includes('--prune');
+    const json = args.includes('--json');
+    const taskFileArg = args.find(arg => !arg.startsWith('--'));
+    const tasksFile = taskFileArg || path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
+
+    if (!token && !dryRun) {
+        console.error('Error: GITHUB_TOKEN environment variable is required');
+        process.exit(1);
+    }
+
+    try {
+        // Phase labels come from the task list and every other task source
+        const parser = new TaskParser(tasksFile);
+        await parser.parse();
+        const sources = await loadSourceTasks(path.dirname(tasksFile));
+
+        const reconciler = new LabelReconciler(token, owner, repo);
+        reconciler.setPhases([...parser.getPhases(), ...sources.phases]);
+        if (dryRun) {
+            reconciler.enableDryRun();
+        }
+        if (prune) {
+            reconciler.enablePrune();
+        }
+
+        const { plan, applied, errors } = await reconciler.reconcile();
+
+        if (json) {
+            console.log(JSON.stringify({ plan, applied, errors }, null, 2));
+        } else {
+            reconciler.printPlan(plan);
+            if (!dryRun) {
+                console.log(
+                    `✅ Created ${applied.created}, updated ${applied.updated}, deleted ${applied.deleted} label(s)`
+                );
+            }
+        }
+
+        if (errors.length > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+// CLI usage if run directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * Task List Linter
+ *
+ * Checks MSP430_EMULATOR_TASKS.md for structural problems that the parser would
+ * otherwise accept silently, and reports each one with a line and column number.
+ * Diagnostics are also emitted as GitHub Actions annotations so they appear
+ * inline on pull requests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TaskParser } = require('./parse-tasks.js');
+const { DependencyGraph } = require('./dependency-graph.js');
+
+// Priority words recognised by the issue automation (see generateLabels)
+const KNOWN_PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+// Sections every task must declare
+const REQUIRED_SECTIONS = ['Priority', 'Estimated Effort', 'Acceptance Criteria'];
+
+class TaskLinter {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.diagnostics = [];
+    }
+
+    /**
+     * Load and lint the task markdown file
+     */
+    async lint() {
+        const content = fs.readFileSync(this.filePath, 'utf8');
+        return this.lintContent(content);
+    }
+
+    /**
+     * Lint task markdown content and return the collected diagnostics
+     */
+    lintContent(content) {
+        this.diagnostics = [];
+
+        const parser = new TaskParser(this.filePath);
+        parser.content = content;
+        parser.extractTasks();
+
+        const lines = content.split('\n');
+        const entries = this.locateTasks(lines, parser.tasks);
+
+        this.checkDuplicateIds(entries);
+        this.checkPhaseHeaders(entries);
+        this.checkRequiredSections(entries, lines);
+        this.checkPriorities(entries, lines);
+        this.checkMetadata(entries, lines, parser);
+        this.checkDependencies(entries);
+        this.checkDependencyCycles(entries);
+
+        this.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+        return this.diagnostics;
+    }
+
+    /**
+     * Pair each parsed task with its source position and enclosing phase header
+     */
+    locateTasks(lines, tasks) {
+        const headings = [];
+        lines.forEach((line, index) => {
+            if (/^## /.test(line)) {
+                const phaseMatch = line.match(/^## Phase (\d+(?:\.\d+)*)\b/);
+                headings.push({ number: phaseMatch ? phaseMatch[1] : null, line: index + 1 });
+            }
+        });
+
+        return tasks.map(task => {
+            const { startLine, endLine } = task.location;
+            const heading = headings.filter(h => h.line < startLine).pop();
+
+            return {
+                id: task.id,
+                line: startLine,
+                column: lines[startLine - 1].indexOf(task.id) + 1,
+                endLine,
+                phase: heading && heading.number ? heading : null,
+                task
+            };
+        });
+    }
+
+    /**
+     * Record a diagnostic
+     */
+    report(severity, line, column, rule, message) {
+        this.diagnostics.push({ severity, line, column, rule, message });
+    }
+
+    /**
+     * Report task IDs that are declared more than once
+     */
+    checkDuplicateIds(entries) {
+        const firstSeen = new Map();
+
+        for (const entry of entries) {
+            if (firstSeen.has(entry.id)) {
+                this.report(
+                    'error',
+                    entry.line,
+                    entry.column,
+                    'duplicate-task-id',
+                    `Task ${entry.id} is already declared on line ${firstSeen.get(entry.id)}`
+                );
+            } else {
+                firstSeen.set(entry.id, entry.line);
+            }
+        }
+    }
+
+    /**
+     * Report tasks whose ID does not belong to the enclosing "## Phase N" header
+     */
+    checkPhaseHeaders(entries) {
+        for (const entry of entries) {
+            if (!entry.phase) {
+                this.report(
+                    'error',
+                    entry.line,
+                    entry.column,
+                    'task-outside-phase',
+                    `Task ${entry.id} is not under a "## Phase N" header`
+                );
+                continue;
+            }
+
+            const idParts = entry.id.split('.');
+            const phaseParts = entry.phase.number.split('.');
+            const matchesPhase =
+                phaseParts.length < idParts.length &&
+                phaseParts.every((part, index) => part === idParts[index]);
+
+            if (!matchesPhase) {
+                this.report(
+                    'error',
+                    entry.line,
+                    entry.column,
+                    'phase-mismatch',
+                    `Task ${entry.id} does not match its header "Phase ${entry.phase.number}" (line ${entry.phase.line})`
+                );
+            }
+        }
+    }
+
+    /**
+     * Report tasks missing Priority, Estimated Effort or Acceptance Criteria
+     */
+    checkRequiredSections(entries, lines) {
+        for (const entry of entries) {
+            for (const section of REQUIRED_SECTIONS) {
+                if (this.findSectionLine(lines, entry, section) === null) {
+                    this.report(
+                        'error',
+                        entry.line,
+                        1,
+                        'missing-section',
+                        `Task ${entry.id} is missing **${section}**`
+                    );
+                }
+            }
+        }
+    }
+
+    /**
+     * Report priority values that are not one of the known priority words
+     */
+    checkPriorities(entries, lines) {
+        for (const entry of entries) {
+            const lineNumber = this.findSectionLine(lines, entry, 'Priority');
+            if (lineNumber === null) {
+                continue;
+            }
+
+            const line = lines[lineNumber - 1];
+            const valueMatch = line.match(/\*\*Priority\*\*:\s*(\S+)/);
+            const word = valueMatch ? valueMatch[1] : '';
+            const known = KNOWN_PRIORITIES.some(p => p.toLowerCase() === word.toLowerCase());
+
+            if (!known) {
+                this.report(
+                    'error',
+                    lineNumber,
+                    valueMatch ? line.indexOf(word, line.indexOf(':')) + 1 : 1,
+                    'unknown-priority',
+                    `Task ${entry.id} has unknown priority "${word}" (expected one of ${KNOWN_PRIORITIES.join(', ')})`
+                );
+            }
+        }
+    }
+
+    /**
+     * Report problems in the yaml metadata blocks of tasks
+     */
+    checkMetadata(entries, lines, parser) {
+        for (const entry of entries) {
+            const content = lines.slice(entry.line - 1, entry.endLine).join('\n');
+            const { errors } = parser.collectMetadata(content, entry.line);
+
+            for (const error of errors) {
+                this.report(
+                    'error',
+                    error.line,
+                    1,
+                    'invalid-metadata',
+                    `Task ${entry.id}: ${error.message}`
+                );
+            }
+        }
+    }
+
+    /**
+     * Report dependencies that reference tasks which do not exist
+     */
+    checkDependencies(entries) {
+        const knownIds = new Set(entries.map(entry => entry.id));
+
+        for (const entry of entries) {
+            for (const dep of entry.task.location.dependencies) {
+                if (knownIds.has(dep.id)) {
+                    continue;
+                }
+
+                this.report(
+                    'error',
+                    dep.line,
+                    dep.column,
+                    'unknown-dependency',
+                    `Task ${entry.id} depends on Task ${dep.id}, which does not exist`
+                );
+            }
+        }
+    }
+
+    /**
+     * Report dependency cycles, once per cycle
+     */
+    checkDependencyCycles(entries) {
+        const graph = new DependencyGraph(entries.map(entry => entry.task));
+
+        for (const cycle of graph.findCycles()) {
+            const start = entries.find(entry => entry.id === cycle[0]);
+            const route = [...cycle, cycle[0]].map(id => `Task ${id}`).join(' → ');
+            this.report(
+                'error',
+                start.line,
+                start.column,
+                'dependency-cycle',
+                `Dependency cycle: ${route}`
+            );
+        }
+    }
+
+    /**
+     * Find the 1-based line of a "**Label**:" line inside a task, or null
+     */
+    findSectionLine(lines, entry, label) {
+        const prefix = `**${label}**`;
+        for (let i = entry.line; i < entry.endLine; i++) {
+            if (lines[i].trim().startsWith(prefix)) {
+                return i + 1;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Format a diagnostic for terminal output
+     */
+    formatDiagnostic(diagnostic, displayPath) {
+        const icon = diagnostic.severity === 'error' ? '❌' : '⚠️ ';
+        return `${icon} ${displayPath}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.message} (${diagnostic.rule})`;
+    }
+
+    /**
+     * Format a diagnostic as a GitHub Actions workflow command
+     */
+    formatAnnotation(diagnostic, displayPath) {
+        return `::${diagnostic.severity} file=${displayPath},line=${diagnostic.line},col=${diagnostic.column},title=${diagnostic.rule}::${diagnostic.message}`;
+    }
+}
+
+// Export for use as module
+module.exports = { TaskLinter, KNOWN_PRIORITIES };
+
+// Main function for CLI usage
+async function main() {
+    const taskFileArg = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    const filePath = taskFileArg || path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
+    const annotate = process.argv.includes('--annotations') || !!process.env.GITHUB_ACTIONS;
+
+    // Annotations need paths relative to the repository root
+    const displayPath = path.relative(path.resolve(__dirname, '../..'), path.resolve(filePath));
+
+    try {
+        const linter = new TaskLinter(filePath);
+        const diagnostics = await linter.lint();
+
+        for (const diagnostic of diagnostics) {
+            console.log(linter.formatDiagnostic(diagnostic, displayPath));
+            if (annotate) {
+                console.log(linter.formatAnnotation(diagnostic, displayPath));
+            }
+        }
+
+        const errors = diagnostics.filter(d => d.severity === 'error').length;
+        if (errors > 0) {
+            console.log(`\n❌ ${errors} problem(s) found in ${displayPath}`);
+            process.exit(1);
+        }
+
+        console.log(`✅ ${displayPath}: no problems found`);
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+// CLI usage if run directly
+if (require.main === module) {
+    main();
+}
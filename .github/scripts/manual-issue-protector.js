@@ -8,8 +8,17 @@
  */
 
 const { Octokit } = require('@octokit/rest');
-const { isPermissionError, executeWithPermissionHandling } = require('./github-utils.js');
-const { BOT_USER_AGENT, TASK_UTILS } = require('./config.js');
+const { isPermissionError, executeWithPermissionHandling, paginate } = require('./github-utils.js');
+const {
+    AUTOMATION_CONFIG,
+    AUTOMATION_FOOTER,
+    BOT_USER_AGENT,
+    PROTECTION_LABEL,
+    TASK_UTILS
+} = require('./config.js');
+
+// Most issues a protection scan fetches (50 pages of 100)
+const MAX_SCANNED_ISSUES = 5000;
 
 class ManualIssueProtector {
     constructor(token, owner, repo) {
@@ -112,33 +121,20 @@ class ManualIssueProtector {
      */
     async getAllIssues() {
         try {
-            const allIssues = [];
-            let page = 1;
-            const perPage = 100;
-
-            while (true) {
-                const response = await this.octokit.rest.issues.listForRepo({
+            const allIssues = await paginate(
+                params => this.octokit.rest.issues.listForRepo(params),
+                {
                     owner: this.owner,
                     repo: this.repo,
                     state: 'all',
-                    page: page,
-                    per_page: perPage,
                     sort: 'created',
                     direction: 'desc'
-                });
-
-                if (response.data.length === 0) {
-                    break;
-                }
-
-                allIssues.push(...response.data);
-                page++;
+                },
+                { operationName: 'list issues', maxItems: MAX_SCANNED_ISSUES, logProgress: true }
+            );
 
-                // Avoid infinite loops
-                if (page > 50) {
-                    console.warn('Warning: Stopped fetching after 50 pages');
-                    break;
-                }
+            if (allIssues.length >= MAX_SCANNED_ISSUES) {
+                console.warn(`Warning: Stopped fetching after ${MAX_SCANNED_ISSUES} issues`);
             }
 
             return allIssues;
@@ -160,19 +156,20 @@ class ManualIssueProtector {
 
         // Check for automation markers
         const automationMarkers = [
-            '🤖 Managed by GitHub Issues Automation',
+            AUTOMATION_FOOTER,
             'Automatically generated from MSP430_EMULATOR_TASKS.md',
             'This issue was automatically generated',
             'Automatically created by'
         ];
 
-        const hasAutomationMarker = automationMarkers.some(
-            marker => issue.body && issue.body.includes(marker)
-        );
+        // The identity marker is checked first; older issues only have the footer text
+        const hasAutomationMarker =
+            TASK_UTILS.extractIssueMarker(issue.body) !== null ||
+            automationMarkers.some(marker => issue.body && issue.body.includes(marker));
 
         // Check for protection markers
         const protectionMarkers = [
-            'manual-issue-protected',
+            PROTECTION_LABEL.name,
             '🛡️ Protected from automation',
             'MANUAL_ISSUE_DO_NOT_MODIFY'
         ];
@@ -319,7 +316,7 @@ class ManualIssueProtector {
                         owner: this.owner,
                         repo: this.repo,
                         issue_number: issue.number,
-                        labels: ['manual-issue-protected']
+                        labels: [PROTECTION_LABEL.name]
                     });
                 },
                 'add protection label',
@@ -327,7 +324,7 @@ class ManualIssueProtector {
             );
 
             // Add protection comment
-            const protectionComment = `🛡️ **Manual Issue Protection Activated**\n\nThis issue has been identified as manually created and is now protected from automated modifications.\n\n**Detection Reason:** ${reason}\n\n**Protection Details:**\n- This issue will not be modified by GitHub Issues Automation\n- The automation system will preserve this issue's content and state\n- If you need to remove this protection, remove the \`manual-issue-protected\` label\n\n*Automatically protected by Manual Issue Protector*`;
+            const protectionComment = `🛡️ **Manual Issue Protection Activated**\n\nThis issue has been identified as manually created and is now protected from automated modifications.\n\n**Detection Reason:** ${reason}\n\n**Protection Details:**\n- This issue will not be modified by GitHub Issues Automation\n- The automation system will preserve this issue's content and state\n- If you need to remove this protection, remove the \`${PROTECTION_LABEL.name}\` label\n\n*Automatically protected by Manual Issue Protector*`;
 
             const commentResult = await executeWithPermissionHandling(
                 async () => {
@@ -380,7 +377,7 @@ class ManualIssueProtector {
                 owner: this.owner,
                 repo: this.repo,
                 issue_number: issueNumber,
-                name: 'manual-issue-protected'
+                name: PROTECTION_LABEL.name
             });
 
             // Add unprotection comment
@@ -425,7 +422,7 @@ class ManualIssueProtector {
             await this.octokit.rest.issues.getLabel({
                 owner: this.owner,
                 repo: this.repo,
-                name: 'manual-issue-protected'
+                name: PROTECTION_LABEL.name
             });
         } catch (error) {
             if (error.status === 404) {
@@ -435,11 +432,11 @@ class ManualIssueProtector {
                         await this.octokit.rest.issues.createLabel({
                             owner: this.owner,
                             repo: this.repo,
-                            name: 'manual-issue-protected',
-                            color: 'ff6b6b',
-                            description: 'Issue is manually created and protected from automation'
+                            name: PROTECTION_LABEL.name,
+                            color: PROTECTION_LABEL.color,
+                            description: PROTECTION_LABEL.description
                         });
-                        console.log('✅ Created protection label: manual-issue-protected');
+                        console.log(`✅ Created protection label: ${PROTECTION_LABEL.name}`);
                     } catch (createError) {
                         if (isPermissionError(createError)) {
                             console.warn(
@@ -452,7 +449,9 @@ class ManualIssueProtector {
                         }
                     }
                 } else {
-                    console.log('[DRY RUN] Would create protection label: manual-issue-protected');
+                    console.log(
+                        `[DRY RUN] Would create protection label: ${PROTECTION_LABEL.name}`
+                    );
                 }
             } else if (isPermissionError(error)) {
                 console.warn('⚠️  Cannot access label information due to insufficient permissions');
@@ -506,8 +505,9 @@ module.exports = { ManualIssueProtector };
 // Main function for CLI usage
 async function main() {
     const token = process.env.GITHUB_TOKEN;
-    const owner = process.env.GITHUB_REPOSITORY?.split('/')[0] || 'grahame-white';
-    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || 'ai_msp430_emulator';
+    const owner =
+        process.env.GITHUB_REPOSITORY?.split('/')[0] || AUTOMATION_CONFIG.repository.owner;
+    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || AUTOMATION_CONFIG.repository.repo;
     const dryRun = process.argv.includes('--dry-run');
     const unprotectIssue = process.argv.find(arg => arg.startsWith('--unprotect='));
     const checkIssue = process.argv.find(arg => arg.startsWith('--check='));
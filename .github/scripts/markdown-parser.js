@@ -0,0 +1,349 @@
+/**
+ * Markdown Block Parser
+ *
+ * Builds a block tree (headings, paragraphs, lists with nested checkboxes,
+ * fenced code, tables, block quotes and thematic breaks) from markdown text.
+ * It covers the subset of CommonMark used by the project's planning documents
+ * and records the 1-based source line range of every block, so callers can
+ * work from document structure instead of regular expressions over raw text.
+ *
+ * Block shapes:
+ *   { type: 'heading', level, text, line, endLine }
+ *   { type: 'paragraph', lines, text, line, endLine }
+ *   { type: 'list', ordered, items: [{ checked, text, blocks, line, endLine }], line, endLine }
+ *   { type: 'code', info, lines, line, endLine }
+ *   { type: 'table', rows, line, endLine }
+ *   { type: 'blockquote', blocks, line, endLine }
+ *   { type: 'thematicBreak', line, endLine }
+ *
+ * Setext headings are not recognised; a "---" line is always a thematic break.
+ */
+
+const PATTERNS = {
+    HEADING: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+    FENCE_OPEN: /^( {0,3})(`{3,}|~{3,})(.*)$/,
+    THEMATIC_BREAK: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+    LIST_ITEM: /^( *)([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/,
+    TABLE_DELIMITER: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+    BLOCKQUOTE: /^ {0,3}> ?(.*)$/,
+    CHECKBOX: /^\[([ xX])\](?:[ \t]+|$)/
+};
+
+class MarkdownBlockParser {
+    /**
+     * Parse markdown text into a list of top-level blocks
+     * @param {string} text - Markdown source
+     * @param {number} firstLine - Line number of the first line of text
+     * @returns {Array<Object>} Block tree
+     */
+    parse(text, firstLine = 1) {
+        const lines = text.split('\n').map(line => line.replace(/\r$/, ''));
+        return this.parseLines(lines, firstLine);
+    }
+
+    /**
+     * Parse an array of lines into blocks
+     */
+    parseLines(lines, firstLine) {
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const lineNumber = firstLine + i;
+
+            if (this.isBlank(line)) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(PATTERNS.FENCE_OPEN);
+            if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+                const end = this.findFenceEnd(lines, i, fence[2]);
+                blocks.push({
+                    type: 'code',
+                    info: fence[3].trim(),
+                    lines: lines
+                        .slice(i + 1, end)
+                        .map(codeLine => this.stripIndent(codeLine, fence[1].length)),
+                    line: lineNumber,
+                    endLine: firstLine + Math.min(end, lines.length - 1)
+                });
+                i = end + 1;
+                continue;
+            }
+
+            const heading = line.match(PATTERNS.HEADING);
+            if (heading) {
+                blocks.push({
+                    type: 'heading',
+                    level: heading[1].length,
+                    text: (heading[2] || '').trim(),
+                    line: lineNumber,
+                    endLine: lineNumber
+                });
+                i++;
+                continue;
+            }
+
+            if (PATTERNS.THEMATIC_BREAK.test(line)) {
+                blocks.push({ type: 'thematicBreak', line: lineNumber, endLine: lineNumber });
+                i++;
+                continue;
+            }
+
+            if (PATTERNS.LIST_ITEM.test(line) && this.indentOf(line) <= 3) {
+                const { block, next } = this.parseList(lines, i, firstLine);
+                blocks.push(block);
+                i = next;
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                let end = i + 2;
+                while (
+                    end < lines.length &&
+                    !this.isBlank(lines[end]) &&
+                    lines[end].includes('|')
+                ) {
+                    end++;
+                }
+                blocks.push({
+                    type: 'table',
+                    rows: [lines[i], ...lines.slice(i + 2, end)].map(row => this.splitRow(row)),
+                    line: lineNumber,
+                    endLine: firstLine + end - 1
+                });
+                i = end;
+                continue;
+            }
+
+            if (PATTERNS.BLOCKQUOTE.test(line)) {
+                let end = i;
+                while (end < lines.length && PATTERNS.BLOCKQUOTE.test(lines[end])) {
+                    end++;
+                }
+                const inner = lines.slice(i, end).map(l => l.match(PATTERNS.BLOCKQUOTE)[1]);
+                blocks.push({
+                    type: 'blockquote',
+                    blocks: this.parseLines(inner, lineNumber),
+                    line: lineNumber,
+                    endLine: firstLine + end - 1
+                });
+                i = end;
+                continue;
+            }
+
+            // Paragraph: consecutive lines until a blank line or another block starts
+            let end = i + 1;
+            while (
+                end < lines.length &&
+                !this.isBlank(lines[end]) &&
+                !this.startsBlock(lines, end)
+            ) {
+                end++;
+            }
+            const paragraphLines = lines.slice(i, end).map(l => l.trim());
+            blocks.push({
+                type: 'paragraph',
+                lines: paragraphLines,
+                text: paragraphLines.join(' '),
+                line: lineNumber,
+                endLine: firstLine + end - 1
+            });
+            i = end;
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Parse a list starting at line index start
+     */
+    parseList(lines, start, firstLine) {
+        const first = lines[start].match(PATTERNS.LIST_ITEM);
+        const ordered = /\d/.test(first[2]);
+        const markerIndent = first[1].length;
+        const items = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const marker = lines[i].match(PATTERNS.LIST_ITEM);
+            if (
+                !marker ||
+                marker[1].length > markerIndent + 1 ||
+                /\d/.test(marker[2]) !== ordered ||
+                (!ordered && marker[2] !== first[2])
+            ) {
+                break;
+            }
+
+            const contentIndent = marker[1].length + marker[2].length + (marker[3] || ' ').length;
+            const itemLines = [marker[4] || ''];
+            let end = i + 1;
+
+            while (end < lines.length) {
+                const line = lines[end];
+                if (this.isBlank(line)) {
+                    const nextIndex = this.nextNonBlank(lines, end);
+                    if (nextIndex === -1 || this.indentOf(lines[nextIndex]) <= markerIndent) {
+                        break;
+                    }
+                    itemLines.push('');
+                    end++;
+                    continue;
+                }
+
+                if (this.indentOf(line) > markerIndent) {
+                    itemLines.push(this.stripIndent(line, contentIndent));
+                    end++;
+                    continue;
+                }
+
+                // Lazy continuation of the item's paragraph
+                const previous = lines[end - 1];
+                if (!this.isBlank(previous) && !this.startsBlock(lines, end)) {
+                    itemLines.push(line.trim());
+                    end++;
+                    continue;
+                }
+
+                break;
+            }
+
+            items.push(this.buildListItem(itemLines, firstLine + i, firstLine + end - 1));
+
+            // Skip blank lines between sibling items
+            const nextIndex = this.nextNonBlank(lines, end);
+            if (nextIndex !== -1 && nextIndex !== end) {
+                const sibling = lines[nextIndex].match(PATTERNS.LIST_ITEM);
+                if (sibling && sibling[1].length <= markerIndent + 1) {
+                    end = nextIndex;
+                }
+            }
+            i = end;
+        }
+
+        return {
+            block: {
+                type: 'list',
+                ordered,
+                items,
+                line: items[0].line,
+                endLine: items[items.length - 1].endLine
+            },
+            next: i
+        };
+    }
+
+    /**
+     * Build a list item, recognising a leading task-list checkbox
+     */
+    buildListItem(itemLines, line, endLine) {
+        let checked = null;
+        const checkbox = itemLines[0].match(PATTERNS.CHECKBOX);
+        if (checkbox) {
+            checked = checkbox[1] !== ' ';
+            itemLines[0] = itemLines[0].slice(checkbox[0].length);
+        }
+
+        while (itemLines.length > 1 && this.isBlank(itemLines[itemLines.length - 1])) {
+            itemLines.pop();
+        }
+
+        const blocks = this.parseLines(itemLines, line);
+        const text = blocks.length > 0 && blocks[0].type === 'paragraph' ? blocks[0].text : '';
+
+        return { checked, text, blocks, line, endLine };
+    }
+
+    /**
+     * Find the index of the closing fence, or the last line if unclosed
+     */
+    findFenceEnd(lines, start, openFence) {
+        for (let i = start + 1; i < lines.length; i++) {
+            const close = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+            if (close && close[1][0] === openFence[0] && close[1].length >= openFence.length) {
+                return i;
+            }
+        }
+        return lines.length;
+    }
+
+    /**
+     * Check whether the line at index i interrupts a paragraph
+     */
+    startsBlock(lines, i) {
+        const line = lines[i];
+        return (
+            PATTERNS.FENCE_OPEN.test(line) ||
+            PATTERNS.HEADING.test(line) ||
+            PATTERNS.THEMATIC_BREAK.test(line) ||
+            PATTERNS.BLOCKQUOTE.test(line) ||
+            (PATTERNS.LIST_ITEM.test(line) &&
+                this.indentOf(line) <= 3 &&
+                !/^\s*[-*+]\s*$/.test(line)) ||
+            this.isTableStart(lines, i)
+        );
+    }
+
+    /**
+     * Check whether a table (header row plus delimiter row) starts at index i
+     */
+    isTableStart(lines, i) {
+        return (
+            i + 1 < lines.length &&
+            lines[i].includes('|') &&
+            lines[i + 1].includes('-') &&
+            PATTERNS.TABLE_DELIMITER.test(lines[i + 1])
+        );
+    }
+
+    /**
+     * Split a table row into trimmed cell texts
+     */
+    splitRow(row) {
+        return row
+            .trim()
+            .replace(/^\|/, '')
+            .replace(/\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim());
+    }
+
+    /**
+     * Index of the next non-blank line at or after start, or -1
+     */
+    nextNonBlank(lines, start) {
+        for (let i = start; i < lines.length; i++) {
+            if (!this.isBlank(lines[i])) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Remove up to count leading spaces
+     */
+    stripIndent(line, count) {
+        const indent = Math.min(this.indentOf(line), count);
+        return line.slice(indent);
+    }
+
+    /**
+     * Number of leading whitespace characters
+     */
+    indentOf(line) {
+        return line.match(/^[ \t]*/)[0].length;
+    }
+
+    /**
+     * Check whether a line is blank
+     */
+    isBlank(line) {
+        return line.trim() === '';
+    }
+}
+
+module.exports = { MarkdownBlockParser };
@@ -7,15 +7,102 @@
  * Each task is parsed with its metadata, acceptance criteria, files to create, and testing strategy.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { TASK_ID_PATTERNS } = require('./config.js');
+const { MarkdownBlockParser } = require('./markdown-parser.js');
+const { SchemaValidator } = require('./schema-validator.js');
+const PARSED_TASKS_SCHEMA = require('../config/parsed-tasks.schema.json');
+const { TASK_ID_PATTERNS, TASK_UTILS } = require('./config.js');
+
+// Matches a bold section label at the start of a paragraph line (e.g. "**Priority**: High")
+const SECTION_LABEL = /^\*\*(.+?)\*\*:\s*(.*)$/;
+
+// Status marker at the end of a task title, e.g. "✅ COMPLETED" or "⚠️ PARTIALLY IMPLEMENTED"
+const STATUS_MARKER =
+    /\s+(?:[^\w\s]+\s*)?(COMPLETED|LARGELY COMPLETED|PARTIALLY IMPLEMENTED|IN PROGRESS|BLOCKED|DEFERRED)$/u;
+
+// Task status for each recognised marker
+const STATUS_BY_MARKER = {
+    COMPLETED: 'completed',
+    'LARGELY COMPLETED': 'in-progress',
+    'PARTIALLY IMPLEMENTED': 'in-progress',
+    'IN PROGRESS': 'in-progress',
+    BLOCKED: 'blocked',
+    DEFERRED: 'deferred'
+};
+
+// Marker written for each status (see TaskWriter.setStatusMarker)
+const MARKER_BY_STATUS = {
+    completed: '✅ COMPLETED',
+    'in-progress': '🚧 IN PROGRESS',
+    blocked: '⛔ BLOCKED',
+    deferred: '⏸️ DEFERRED'
+};
+
+// Hours per effort unit; estimates without a unit are in hours
+const HOURS_PER_UNIT = { minute: 1 / 60, hour: 1, day: 8, week: 40 };
+
+// Effort estimate such as "2-3 hours", "1 day", "30 minutes" or "4"
+const EFFORT_ESTIMATE =
+    /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(min(?:ute)?s?|h(?:ou)?rs?|h|days?|d|weeks?|w)?\b/i;
+
+// Task fields that make up its content hash; positions in the file are left out so that
+// editing one task does not change the hash of the tasks after it
+const HASHED_FIELDS = [
+    'id',
+    'title',
+    'status',
+    'phase',
+    'priority',
+    'effort',
+    'dependencies',
+    'parent',
+    'children',
+    'metadata',
+    'description',
+    'acceptanceCriteria',
+    'filesToCreate',
+    'testingStrategy',
+    'sections',
+    'completed',
+    'source'
+];
+
+// Sections parsed into dedicated task fields; every other section is kept in task.sections
+const STRUCTURED_SECTIONS = [
+    'Priority',
+    'Estimated Effort',
+    'Dependencies',
+    'Acceptance Criteria',
+    'Files to Create',
+    'Testing Strategy'
+];
+
+// Fields of the optional fenced yaml metadata block of a task: the task property each
+// one is read into and the kind of value it takes
+const METADATA_FIELDS = {
+    assignees: { property: 'assignees', type: 'list' },
+    labels: { property: 'labels', type: 'list' },
+    due: { property: 'due', type: 'date' },
+    area: { property: 'area', type: 'string' },
+    'skip-issue': { property: 'skipIssue', type: 'boolean' }
+};
+
+// A "key: value" line of a metadata block
+const METADATA_LINE = /^([\w-]+):[ \t]*(.*)$/;
+
+// A "- item" line continuing a metadata list
+const METADATA_LIST_ITEM = /^\s+-[ \t]+(.*)$/;
 
 class TaskParser {
     constructor(filePath) {
         this.filePath = filePath;
         this.content = '';
         this.tasks = [];
+        this.phases = [];
+        this.blockParser = new MarkdownBlockParser();
+        this.bodyCache = null;
     }
 
     /**
@@ -25,6 +112,9 @@ class TaskParser {
         try {
             this.content = fs.readFileSync(this.filePath, 'utf8');
             this.extractTasks();
+            for (const task of this.tasks) {
+                task.hash = hashTask(task);
+            }
             return this.tasks;
         } catch (error) {
             throw new Error(`Failed to parse tasks file: ${error.message}`);
@@ -32,50 +122,283 @@ class TaskParser {
     }
 
     /**
-     * Extract all tasks from the markdown content
+     * Extract all tasks and phases from the markdown content
+     *
+     * A task runs from its "### Task X.Y: Title" heading up to the next heading of
+     * level 3 or above, so headings inside fenced code never split a task. Tasks
+     * belong to the "## Phase N: Name" heading above them.
      */
     extractTasks() {
-        // Split content into sections by task headers (### Task X.Y: or ### Task X.Y.Z:)
-        const taskRegex = TASK_ID_PATTERNS.TASK_HEADER;
-        let match;
-
-        while ((match = taskRegex.exec(this.content)) !== null) {
-            const taskId = match[1];
-            // Extract just the title line, not the entire content
-            const titleLine = match[2].split('\n')[0].trim();
-            const taskContent = match[0];
-
-            const task = this.parseTaskSection(taskId, titleLine, taskContent);
-            if (task) {
-                this.tasks.push(task);
+        const lines = this.content.split('\n');
+        const headings = this.blockParser
+            .parse(this.content)
+            .filter(block => block.type === 'heading' && block.level <= 3);
+        let phase = null;
+
+        headings.forEach((heading, index) => {
+            const next = headings[index + 1];
+            const endIndex = next ? next.line - 1 : lines.length;
+
+            if (heading.level === 2) {
+                phase = this.parsePhase(heading, lines.slice(heading.line, endIndex));
+                if (phase) {
+                    this.phases.push(phase);
+                }
+                return;
+            }
+
+            const match = heading.level === 3 && heading.text.match(TASK_ID_PATTERNS.TASK_HEADING);
+            if (!match) {
+                return;
             }
+
+            const taskContent = lines.slice(heading.line - 1, endIndex).join('\n');
+            const task = this.parseTaskSection(
+                match[1],
+                match[2].trim(),
+                taskContent,
+                heading.line
+            );
+            if (phase) {
+                task.phase = phase.title;
+            }
+            this.tasks.push(task);
+        });
+
+        this.linkSubtasks();
+    }
+
+    /**
+     * Set the parent and children of each task from the task IDs
+     *
+     * A three-part task X.Y.Z is a child of task X.Y when that task exists. Children
+     * are listed with their title and completion, which parent issues show.
+     */
+    linkSubtasks() {
+        for (const task of this.tasks) {
+            task.parent = null;
+            task.children = [];
         }
+
+        for (const task of this.tasks) {
+            if (!TASK_UTILS.parseTaskId(task.id).is3Part) {
+                continue;
+            }
+
+            const parent = this.getTaskById(task.id.slice(0, task.id.lastIndexOf('.')));
+            if (parent && parent !== task) {
+                task.parent = parent.id;
+                parent.children.push({ id: task.id, title: task.title, completed: task.completed });
+            }
+        }
+    }
+
+    /**
+     * Parse a "## Phase N: Name" heading and the text before its first task
+     *
+     * Returns null for level 2 headings that do not introduce a phase.
+     */
+    parsePhase(heading, introLines) {
+        const match = heading.text.match(TASK_ID_PATTERNS.PHASE_HEADING);
+        if (!match) {
+            return null;
+        }
+
+        const name = match[2].trim();
+        const intro = introLines.join('\n').trim();
+
+        return {
+            number: match[1],
+            title: `Phase ${match[1]}`,
+            name: name,
+            intro: intro,
+            description: intro ? `${name}\n\n${intro}` : name,
+            line: heading.line
+        };
     }
 
     /**
      * Parse individual task section to extract metadata
+     *
+     * Line numbers are 1-based and relative to the whole file when startLine
+     * (the line of the task header) is given. Every extractor gets the same
+     * startLine, so the content is parsed once (see parseBody).
      */
-    parseTaskSection(taskId, title, content) {
+    parseTaskSection(taskId, heading, content, startLine = 1) {
+        const { title, status } = this.extractStatus(heading);
+        const effort = this.extractEffort(content, startLine);
         const task = {
             id: taskId,
             title: title,
+            status: status,
             phase: this.extractPhase(taskId),
-            priority: this.extractPriority(content),
-            effort: this.extractEffort(content),
-            dependencies: this.extractDependencies(content),
-
-            description: this.extractDescription(content),
-            acceptanceCriteria: this.extractAcceptanceCriteria(content),
-            filesToCreate: this.extractFilesToCreate(content),
-            testingStrategy: this.extractTestingStrategy(content),
-            completed: this.checkCompletion(content)
+            priority: this.extractPriority(content, startLine),
+            effort: effort,
+            effortEstimate: this.extractEffortEstimate(effort),
+            dependencies: this.extractDependencies(content, startLine),
+
+            description: this.extractDescription(content, startLine),
+            acceptanceCriteria: this.extractAcceptanceCriteria(content, startLine),
+            filesToCreate: this.extractFilesToCreate(content, startLine),
+            testingStrategy: this.extractTestingStrategy(content, startLine),
+            sections: this.extractSections(content, startLine),
+            metadata: this.extractMetadata(content, startLine),
+            completed: this.checkCompletion(content, status, startLine),
+            location: this.extractLocation(content, startLine)
         };
 
         return task;
     }
 
     /**
-     * Extract phase number from task ID
+     * Create a task from the given fields, with defaults for every field not given
+     *
+     * Used by the parsers of other task sources (see task-sources.js), whose items
+     * carry fewer fields than the tasks in the task list.
+     */
+    createTask(fields) {
+        return {
+            id: fields.id,
+            title: fields.title,
+            status: null,
+            phase: null,
+            priority: 'Medium',
+            effort: 'TBD',
+            effortEstimate: null,
+            dependencies: [],
+            parent: null,
+            children: [],
+            metadata: createMetadata(),
+            description: '',
+            acceptanceCriteria: [],
+            filesToCreate: [],
+            testingStrategy: [],
+            sections: {},
+            completed: fields.status === 'completed',
+            ...fields
+        };
+    }
+
+    /**
+     * Parse task content into bold-labelled sections and free-standing blocks
+     *
+     * A paragraph line starting with "**Label**:" opens a section. Text on the same
+     * line (and on following lines of that paragraph) is the section text; a label
+     * with no text owns the blocks that follow it, up to the next label, heading or
+     * thematic break. Blocks outside any section are returned as free blocks.
+     *
+     * The last result is cached, since every extractor of a task asks for it; they
+     * must all pass the same startLine for the cache to be hit.
+     */
+    parseBody(content, startLine = 1) {
+        if (
+            this.bodyCache &&
+            this.bodyCache.content === content &&
+            this.bodyCache.startLine === startLine
+        ) {
+            return this.bodyCache.body;
+        }
+
+        const sections = [];
+        const free = [];
+        let open = null;
+
+        for (const block of this.blockParser.parse(content, startLine)) {
+            if (block.type === 'heading' || block.type === 'thematicBreak') {
+                open = null;
+                continue;
+            }
+
+            if (block.type === 'paragraph' && SECTION_LABEL.test(block.lines[0])) {
+                let current = null;
+                block.lines.forEach((line, index) => {
+                    const label = line.match(SECTION_LABEL);
+                    if (label) {
+                        current = {
+                            label: label[1].trim(),
+                            text: label[2].trim(),
+                            line: block.line + index,
+                            blocks: []
+                        };
+                        sections.push(current);
+                    } else {
+                        current.text = `${current.text} ${line}`.trim();
+                    }
+                });
+                open = current.text === '' ? current : null;
+                continue;
+            }
+
+            if (open) {
+                open.blocks.push(block);
+            } else {
+                free.push(block);
+            }
+        }
+
+        const body = { sections, free, lines: content.split('\n'), startLine };
+        this.bodyCache = { content, startLine, body };
+        return body;
+    }
+
+    /**
+     * Find the first section with the given label
+     */
+    findSection(content, label, startLine = 1) {
+        return this.parseBody(content, startLine).sections.find(section => section.label === label);
+    }
+
+    /**
+     * Collect list items from a block tree in document order, including nested items
+     */
+    collectListItems(blocks) {
+        const items = [];
+        for (const block of blocks) {
+            if (block.type === 'list') {
+                for (const item of block.items) {
+                    items.push(item);
+                    items.push(...this.collectListItems(item.blocks));
+                }
+            } else if (block.type === 'blockquote') {
+                items.push(...this.collectListItems(block.blocks));
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Extract source positions of the task and its line-oriented fields
+     */
+    extractLocation(content, startLine = 1) {
+        return {
+            startLine,
+            endLine: startLine + content.trimEnd().split('\n').length - 1,
+            dependencies: this.collectDependencies(content, startLine),
+            filesToCreate: this.collectFilesToCreate(content, startLine)
+        };
+    }
+
+    /**
+     * Split a trailing status marker off a task title
+     *
+     * Returns the title without the marker and the status it stands for
+     * ('completed', 'in-progress', 'blocked' or 'deferred'), or null when the
+     * title carries no marker.
+     */
+    extractStatus(heading) {
+        const match = heading.match(STATUS_MARKER);
+        if (!match) {
+            return { title: heading.trim(), status: null };
+        }
+
+        return {
+            title: heading.slice(0, match.index).trim(),
+            status: STATUS_BY_MARKER[match[1]]
+        };
+    }
+
+    /**
+     * Extract phase number from task ID (used when a task is not under a phase heading)
      */
     extractPhase(taskId) {
         const phaseNum = taskId.split('.')[0];
@@ -85,14 +408,14 @@ class TaskParser {
     /**
      * Extract priority from task content
      */
-    extractPriority(content) {
-        const match = content.match(/\*\*Priority\*\*:\s*(.+)/);
-        if (!match) {
+    extractPriority(content, startLine = 1) {
+        const section = this.findSection(content, 'Priority', startLine);
+        if (!section || !section.text) {
             return 'Medium';
         }
 
         // Extract just the priority level (first word), ignoring any explanatory text in parentheses
-        const priorityText = match[1].trim();
+        const priorityText = section.text;
         const priorityMatch = priorityText.match(/^(Critical|High|Medium|Low)/i);
         return priorityMatch ? priorityMatch[1] : priorityText.split(/\s+/)[0];
     }
@@ -100,177 +423,281 @@ class TaskParser {
     /**
      * Extract estimated effort from task content
      */
-    extractEffort(content) {
-        const match = content.match(/\*\*Estimated Effort\*\*:\s*(.+)/);
-        return match ? match[1].trim() : 'TBD';
+    extractEffort(content, startLine = 1) {
+        const section = this.findSection(content, 'Estimated Effort', startLine);
+        return section && section.text ? section.text : 'TBD';
     }
 
     /**
-     * Extract dependencies from task content
+     * Convert an effort string into an estimate in hours
+     *
+     * Returns {min, max, unit: 'hours'}, or null when the effort is not
+     * estimated (e.g. "TBD").
      */
-    extractDependencies(content) {
-        const match = content.match(/\*\*Dependencies\*\*:\s*(.+)/);
-        if (!match || match[1].trim() === 'None') {
-            return [];
+    extractEffortEstimate(effort) {
+        const match = (effort || '').match(EFFORT_ESTIMATE);
+        if (!match) {
+            return null;
         }
 
-        // Parse dependencies like "Task 1.1", "Task 1.1, Task 1.2", or "Task 5.5.1"
-        const depString = match[1].trim();
-        const deps = depString
-            .split(',')
-            .map(dep => {
-                const taskMatch = dep.trim().match(TASK_ID_PATTERNS.TASK_REFERENCE);
-                return taskMatch ? taskMatch[1] : null;
-            })
-            .filter(Boolean);
+        const unit = (match[3] || 'hour').toLowerCase();
+        const perUnit =
+            HOURS_PER_UNIT[Object.keys(HOURS_PER_UNIT).find(name => name[0] === unit[0]) || 'hour'];
+        const hours = value => Math.round(parseFloat(value) * perUnit * 100) / 100;
 
-        return deps;
+        const min = hours(match[1]);
+        const max = match[2] ? hours(match[2]) : min;
+        return { min: Math.min(min, max), max: Math.max(min, max), unit: 'hours' };
     }
 
     /**
-     * Extract main task description (first paragraph after title)
+     * Extract dependencies from task content
      */
-    extractDescription(content) {
-        const lines = content.split('\n');
-        let description = '';
-        let foundDependencies = false;
-        let fallbackDescription = '';
-        let inFallbackCapture = false;
+    extractDependencies(content, startLine = 1) {
+        return this.collectDependencies(content, startLine).map(dep => dep.id);
+    }
 
-        for (const line of lines) {
-            const trimmed = line.trim();
+    /**
+     * Collect dependency task IDs together with their line and column
+     */
+    collectDependencies(content, startLine = 1) {
+        const body = this.parseBody(content, startLine);
+        const section = this.findSection(content, 'Dependencies', startLine);
+        if (!section || section.text === '' || section.text === 'None') {
+            return [];
+        }
 
-            // Start looking for description after Dependencies line
-            if (trimmed.startsWith('**Dependencies**')) {
-                foundDependencies = true;
-                inFallbackCapture = false;
-                continue;
-            }
+        const rawLine = body.lines[section.line - startLine];
+        let searchFrom = rawLine.indexOf('**:') + 3;
 
-            // Start fallback capture after task metadata (Priority, Effort, Dependencies)
-            if (trimmed.startsWith('**Priority**') || trimmed.startsWith('**Estimated Effort**')) {
-                inFallbackCapture = false;
+        // Parse dependencies like "Task 1.1", "Task 1.1, Task 1.2", or "Task 5.5.1"
+        const deps = [];
+        for (const dep of section.text.split(',')) {
+            const taskMatch = dep.match(TASK_ID_PATTERNS.TASK_REFERENCE);
+            if (!taskMatch) {
                 continue;
             }
 
-            // Stop at acceptance criteria or other sections
-            if (
-                trimmed.startsWith('**Acceptance Criteria**') ||
-                trimmed.startsWith('**Files to Create**') ||
-                trimmed.startsWith('**Testing Strategy**')
-            ) {
-                break;
+            const index = rawLine.indexOf(taskMatch[0], searchFrom);
+            deps.push({ id: taskMatch[1], line: section.line, column: index >= 0 ? index + 1 : 1 });
+            if (index >= 0) {
+                searchFrom = index + taskMatch[0].length;
             }
+        }
 
-            // Capture description after dependencies (primary method)
-            if (
-                foundDependencies &&
-                trimmed &&
-                !trimmed.startsWith('**') &&
-                !trimmed.startsWith('- [')
-            ) {
-                description += trimmed + ' ';
-            }
+        return deps;
+    }
 
-            // Fallback: capture content that looks like description
-            if (
-                !foundDependencies &&
-                !inFallbackCapture &&
-                trimmed &&
-                !trimmed.startsWith('**') &&
-                !trimmed.startsWith('#')
-            ) {
-                inFallbackCapture = true;
-            }
+    /**
+     * Extract main task description (paragraphs that are not part of a labelled section)
+     */
+    extractDescription(content, startLine = 1) {
+        return this.parseBody(content, startLine)
+            .free.filter(block => block.type === 'paragraph')
+            .map(block => block.text)
+            .join(' ')
+            .trim();
+    }
 
-            if (inFallbackCapture && trimmed && !trimmed.startsWith('**')) {
-                fallbackDescription += trimmed + ' ';
-            }
+    /**
+     * Extract acceptance criteria checkboxes, including nested ones
+     *
+     * Only checkboxes of the "Acceptance Criteria" section count; checklists under
+     * other labels (e.g. per-instruction lists) stay in task.sections.
+     */
+    extractAcceptanceCriteria(content, startLine = 1) {
+        const section = this.findSection(content, 'Acceptance Criteria', startLine);
+        if (!section) {
+            return [];
         }
 
-        // Return primary description if found, otherwise fallback
-        const result = description.trim() || fallbackDescription.trim();
-        return result;
+        return this.collectListItems(section.blocks)
+            .filter(item => item.checked !== null)
+            .map(item => ({
+                text: item.text,
+                completed: item.checked,
+                line: item.line
+            }));
     }
 
     /**
-     * Extract acceptance criteria checkboxes
+     * Extract files to create from code block
      */
-    extractAcceptanceCriteria(content) {
-        const criteria = [];
-        const criteriaMatch = content.match(
-            /\*\*Acceptance Criteria\*\*:\s*([\s\S]*?)(?=\*\*Files to Create\*\*|\*\*Testing Strategy\*\*|$)/
-        );
+    extractFilesToCreate(content, startLine = 1) {
+        return this.collectFilesToCreate(content, startLine).map(file => file.path);
+    }
+
+    /**
+     * Collect files to create together with their line numbers
+     *
+     * Files are read from the first fenced code block of the section, or from
+     * its list items when the section has no code block.
+     */
+    collectFilesToCreate(content, startLine = 1) {
+        const section = this.findSection(content, 'Files to Create', startLine);
+        if (!section) {
+            return [];
+        }
 
-        if (criteriaMatch) {
-            const criteriaText = criteriaMatch[1];
-            const lines = criteriaText.split('\n');
+        const files = [];
+        const codeBlock = section.blocks.find(block => block.type === 'code');
 
-            for (const line of lines) {
+        if (codeBlock) {
+            codeBlock.lines.forEach((line, index) => {
                 const trimmed = line.trim();
-                if (trimmed.startsWith('- [ ]') || trimmed.startsWith('- [x]')) {
-                    criteria.push({
-                        text: trimmed.substring(5).trim(),
-                        completed: trimmed.startsWith('- [x]')
-                    });
+                if (trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('//')) {
+                    files.push({ path: trimmed, line: codeBlock.line + 1 + index });
+                }
+            });
+        } else {
+            for (const item of this.collectListItems(section.blocks)) {
+                if (item.text) {
+                    files.push({ path: item.text.replace(/^`(.*)`$/, '$1'), line: item.line });
                 }
             }
         }
 
-        return criteria;
+        return files;
     }
 
     /**
-     * Extract files to create from code block
+     * Extract the values of the task's yaml metadata block
      */
-    extractFilesToCreate(content) {
-        const files = [];
-        const filesMatch = content.match(/\*\*Files to Create\*\*:\s*```[\s\S]*?\n([\s\S]*?)```/);
+    extractMetadata(content, startLine = 1) {
+        return this.collectMetadata(content, startLine).metadata;
+    }
 
-        if (filesMatch) {
-            const filesText = filesMatch[1];
-            const lines = filesText.split('\n');
+    /**
+     * Read the task's yaml metadata block together with problems found in it
+     *
+     * The block is the first free-standing fenced code block tagged yaml, e.g.
+     *
+     *     ```yaml
+     *     assignees: [alice, bob]
+     *     labels:
+     *       - interrupts
+     *     due: 2025-03-31
+     *     area: cpu
+     *     skip-issue: false
+     *     ```
+     *
+     * Assignees are null unless the block lists them, so issues of tasks without
+     * assignees keep the assignees given on GitHub. Errors are {line, message}.
+     */
+    collectMetadata(content, startLine = 1) {
+        const metadata = createMetadata();
+        const block = this.parseBody(content, startLine).free.find(
+            candidate => candidate.type === 'code' && candidate.info === 'yaml'
+        );
+        if (!block) {
+            return { metadata, errors: [], line: null };
+        }
 
-            for (const line of lines) {
-                const trimmed = line.trim();
-                if (trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('//')) {
-                    files.push(trimmed);
-                }
+        const { fields, errors } = parseMetadataLines(block.lines, block.line + 1);
+        for (const [key, { value, line }] of fields) {
+            const field = METADATA_FIELDS[key];
+            if (!field) {
+                errors.push({ line, message: `Unknown metadata field "${key}"` });
+                continue;
             }
+
+            const converted = convertMetadataValue(value, field.type);
+            if (converted.error) {
+                errors.push({ line, message: `Metadata field "${key}" ${converted.error}` });
+                continue;
+            }
+            metadata[field.property] =
+                key === 'assignees'
+                    ? converted.value.map(login => login.replace(/^@/, ''))
+                    : converted.value;
         }
 
-        return files;
+        return { metadata, errors, line: block.line };
     }
 
     /**
      * Extract testing strategy
      */
-    extractTestingStrategy(content) {
-        const strategy = [];
-        const strategyMatch = content.match(
-            /\*\*Testing Strategy\*\*:\s*([\s\S]*?)(?=\*\*Script-Specific Test Steps\*\*|---|\n## |$)/
-        );
+    extractTestingStrategy(content, startLine = 1) {
+        const section = this.findSection(content, 'Testing Strategy', startLine);
+        if (!section) {
+            return [];
+        }
 
-        if (strategyMatch) {
-            const strategyText = strategyMatch[1];
-            const lines = strategyText.split('\n');
+        return this.collectListItems(section.blocks)
+            .map(item => item.text)
+            .filter(Boolean);
+    }
 
-            for (const line of lines) {
-                const trimmed = line.trim();
-                if (trimmed.startsWith('- ')) {
-                    strategy.push(trimmed.substring(2).trim());
-                }
+    /**
+     * Extract every bold-labelled section as a map of label to text or list items
+     *
+     * Sections with inline text map to that text. Sections made up only of lists map
+     * to their item texts (checkbox items keep their "[ ]"/"[x]" marker); any other
+     * content is kept as the section's markdown source. A repeated label is appended
+     * to the first occurrence.
+     */
+    extractSections(content, startLine = 1) {
+        const body = this.parseBody(content, startLine);
+        const sections = {};
+
+        for (const section of body.sections) {
+            const value = this.sectionValue(section, body);
+            const existing = sections[section.label];
+
+            if (existing === undefined) {
+                sections[section.label] = value;
+            } else if (Array.isArray(existing) && Array.isArray(value)) {
+                sections[section.label] = existing.concat(value);
+            } else {
+                const asText = part =>
+                    Array.isArray(part) ? part.map(item => `- ${item}`).join('\n') : part;
+                sections[section.label] = [asText(existing), asText(value)]
+                    .filter(Boolean)
+                    .join('\n\n');
             }
         }
 
-        return strategy;
+        return sections;
+    }
+
+    /**
+     * Convert a parsed section into text or a list of item texts
+     */
+    sectionValue(section, body) {
+        if (section.text || section.blocks.length === 0) {
+            return section.text;
+        }
+
+        if (section.blocks.every(block => block.type === 'list')) {
+            return this.collectListItems(section.blocks).map(item => {
+                if (item.checked === null) {
+                    return item.text;
+                }
+                return `${item.checked ? '[x]' : '[ ]'} ${item.text}`;
+            });
+        }
+
+        const first = section.blocks[0].line - body.startLine;
+        const last = section.blocks[section.blocks.length - 1].endLine - body.startLine;
+        return body.lines
+            .slice(first, last + 1)
+            .join('\n')
+            .trim();
     }
 
     /**
-     * Check if task is completed based on all acceptance criteria being checked
+     * Check if task is completed
+     *
+     * A status marker in the title takes precedence; without one the task is
+     * completed when all of its acceptance criteria are checked.
      */
-    checkCompletion(content) {
-        const criteria = this.extractAcceptanceCriteria(content);
+    checkCompletion(content, status = null, startLine = 1) {
+        if (status) {
+            return status === 'completed';
+        }
+
+        const criteria = this.extractAcceptanceCriteria(content, startLine);
         if (criteria.length === 0) {
             return false;
         }
@@ -278,6 +705,13 @@ class TaskParser {
         return criteria.every(criterion => criterion.completed);
     }
 
+    /**
+     * Get phases in document order
+     */
+    getPhases() {
+        return this.phases;
+    }
+
     /**
      * Get tasks by phase
      */
@@ -294,6 +728,17 @@ class TaskParser {
         return tasksByPhase;
     }
 
+    /**
+     * Get remaining and completed effort totals per phase
+     */
+    getEffortByPhase() {
+        const effortByPhase = {};
+        for (const [phase, tasks] of Object.entries(this.getTasksByPhase())) {
+            effortByPhase[phase] = summarizeEffort(tasks);
+        }
+        return effortByPhase;
+    }
+
     /**
      * Get incomplete tasks
      */
@@ -316,29 +761,209 @@ class TaskParser {
     }
 }
 
+/**
+ * Create task metadata with every field at its default (no yaml block)
+ */
+function createMetadata() {
+    return { assignees: null, labels: [], due: null, area: null, skipIssue: false };
+}
+
+/**
+ * Remove matching quotes around a metadata value
+ */
+function unquote(text) {
+    const match = text.trim().match(/^(["'])(.*)\1$/);
+    return match ? match[2] : text.trim();
+}
+
+/**
+ * Parse the lines of a metadata block into a map of key to {value, line}
+ *
+ * Supports the subset of YAML the metadata needs: "key: value" scalars, inline
+ * "[a, b]" lists, indented "- item" lists and "#" comments.
+ */
+function parseMetadataLines(lines, firstLine) {
+    const fields = new Map();
+    const errors = [];
+    let list = null;
+
+    lines.forEach((raw, index) => {
+        const line = firstLine + index;
+        const text = raw.replace(/(^|\s)#.*$/, '').trimEnd();
+        if (text.trim() === '') {
+            return;
+        }
+
+        const item = text.match(METADATA_LIST_ITEM);
+        if (item && list) {
+            list.push(unquote(item[1]));
+            return;
+        }
+
+        const field = text.match(METADATA_LINE);
+        if (!field) {
+            errors.push({ line, message: `Cannot read metadata line "${raw.trim()}"` });
+            list = null;
+            return;
+        }
+
+        const value = field[2].trim();
+        if (value === '') {
+            list = [];
+            fields.set(field[1], { value: list, line });
+        } else if (/^\[.*\]$/.test(value)) {
+            list = null;
+            const items = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+            fields.set(field[1], { value: items, line });
+        } else {
+            list = null;
+            fields.set(field[1], { value: unquote(value), line });
+        }
+    });
+
+    return { fields, errors };
+}
+
+/**
+ * Convert a parsed metadata value to a field type, or describe why it does not fit
+ */
+function convertMetadataValue(value, type) {
+    switch (type) {
+        case 'list':
+            return { value: Array.isArray(value) ? value : [value] };
+        case 'date': {
+            const valid =
+                typeof value === 'string' &&
+                /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+                !isNaN(Date.parse(value));
+            return valid ? { value } : { error: 'must be a date (YYYY-MM-DD)' };
+        }
+        case 'boolean':
+            if (value === 'true' || value === 'false') {
+                return { value: value === 'true' };
+            }
+            return { error: 'must be true or false' };
+        default:
+            return typeof value === 'string' ? { value } : { error: 'must be a single value' };
+    }
+}
+
+/**
+ * Compute a stable hash of a task's content
+ *
+ * The hash changes whenever the task's own content changes, and stays the same when
+ * only the task's position in the file moves. Templates, configuration, file evidence
+ * and child issue numbers are covered by the render hash (see issue-templates.js).
+ */
+function hashTask(task) {
+    const content = HASHED_FIELDS.map(field => {
+        if (field === 'acceptanceCriteria') {
+            return (task.acceptanceCriteria || []).map(c => [c.text, c.completed]);
+        }
+        return task[field] === undefined ? null : task[field];
+    });
+
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build the JSON output of the CLI (described by .github/config/parsed-tasks.schema.json)
+ */
+function createParseOutput(parser) {
+    return {
+        schemaVersion: PARSED_TASKS_SCHEMA.properties.schemaVersion.const,
+        totalTasks: parser.tasks.length,
+        phases: parser.getPhases(),
+        completedTasks: parser.getCompletedTasks().length,
+        incompleteTasks: parser.getIncompleteTasks().length,
+        tasksByPhase: parser.getTasksByPhase(),
+        effortByPhase: parser.getEffortByPhase(),
+        tasks: parser.tasks
+    };
+}
+
+/**
+ * Check CLI output against the parsed tasks schema, returning the problems found
+ */
+function validateParseOutput(output) {
+    return new SchemaValidator(PARSED_TASKS_SCHEMA).validate(output);
+}
+
+/**
+ * Total the effort estimates of a set of tasks, split into remaining and completed hours
+ */
+function summarizeEffort(tasks) {
+    const summary = {
+        remaining: { min: 0, max: 0 },
+        completed: { min: 0, max: 0 },
+        unestimated: 0,
+        unit: 'hours'
+    };
+
+    for (const task of tasks) {
+        if (!task.effortEstimate) {
+            summary.unestimated++;
+            continue;
+        }
+
+        const total = task.completed ? summary.completed : summary.remaining;
+        total.min += task.effortEstimate.min;
+        total.max += task.effortEstimate.max;
+    }
+
+    return summary;
+}
+
+/**
+ * Format an hour range such as {min: 2, max: 3} as "2-3"
+ */
+function formatHours({ min, max }) {
+    return min === max ? `${min}` : `${min}-${max}`;
+}
+
 // Export for use as module
-module.exports = { TaskParser };
+module.exports = {
+    TaskParser,
+    STRUCTURED_SECTIONS,
+    METADATA_FIELDS,
+    STATUS_MARKER,
+    MARKER_BY_STATUS,
+    hashTask,
+    createParseOutput,
+    validateParseOutput,
+    summarizeEffort,
+    formatHours
+};
 
 // Main function for CLI usage
 async function main() {
-    const filePath = process.argv[2] || path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
+    const validate = process.argv.includes('--validate');
+    const taskFileArg = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    const filePath = taskFileArg || path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
 
     try {
         const parser = new TaskParser(filePath);
-        const tasks = await parser.parse();
+        await parser.parse();
+        const output = createParseOutput(parser);
+
+        if (!validate) {
+            console.log(JSON.stringify(output, null, 2));
+            return;
+        }
 
+        // Validate the output as it would be serialized (undefined fields are dropped)
+        const errors = validateParseOutput(JSON.parse(JSON.stringify(output)));
+        for (const error of errors) {
+            console.error(`❌ ${error.path}: ${error.message}`);
+        }
+        if (errors.length > 0) {
+            console.error(
+                `\n${errors.length} problem(s) found against parsed-tasks schema ${output.schemaVersion}`
+            );
+            process.exit(1);
+        }
         console.log(
-            JSON.stringify(
-                {
-                    totalTasks: tasks.length,
-                    completedTasks: parser.getCompletedTasks().length,
-                    incompleteTasks: parser.getIncompleteTasks().length,
-                    tasksByPhase: parser.getTasksByPhase(),
-                    tasks: tasks
-                },
-                null,
-                2
-            )
+            `✅ Output for ${output.totalTasks} tasks matches parsed-tasks schema ${output.schemaVersion}`
         );
     } catch (error) {
         console.error('Error:', error.message);
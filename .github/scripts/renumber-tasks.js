@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+/**
+ * Task Renumbering Tool
+ *
+ * Inserts, moves or deletes a task in MSP430_EMULATOR_TASKS.md and renumbers the
+ * tasks of the affected phases so their IDs stay sequential. Child tasks (X.Y.Z of
+ * task X.Y) are not numbered with the phase but follow their parent: they move with
+ * it and are renamed along with it, e.g. 6.2.1 to 6.3.1. Every "Task X.Y"
+ * reference in the document (headings, **Dependencies** lines and prose) is
+ * rewritten to the new IDs, and the old→new ID map is printed so existing GitHub
+ * issues can be retitled instead of being closed as obsolete (pass the file written
+ * by --map-output to sync-tasks.js --renumber-map).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TaskWriter } = require('./task-writer.js');
+const { TASK_UTILS } = require('./config.js');
+
+// Task ID in the task list, e.g. "6.3" or "5.5.2"
+const TASK_ID = '\\d+\\.\\d+(?:\\.\\d+)?';
+
+// Reference to one or more tasks, e.g. "Task 6.4", "Tasks 2.3 and 5.5.2" or "Task 8.1-8.2"
+const TASK_REFERENCES = new RegExp(
+    `\\b(Tasks?\\s+)(${TASK_ID}(?:(?:\\s*,\\s*(?:and\\s+)?|\\s+(?:and|or)\\s+|\\s*[-–]\\s*)${TASK_ID})*)`,
+    'gi'
+);
+
+// Acceptance criteria every task in the task list starts with
+const NEW_TASK_CRITERIA = [
+    'Review and comply with [AI Developer Guidelines](.github/copilot-instructions.md) for comprehensive development guidance',
+    'Review and comply with [CONTRIBUTING.md](CONTRIBUTING.md) (entire document)'
+];
+
+class TaskRenumberer {
+    constructor(content, filePath = null) {
+        this.writer = new TaskWriter(content, filePath);
+        this.warnings = [];
+    }
+
+    /**
+     * Load a task file for renumbering
+     */
+    static load(filePath) {
+        return new TaskRenumberer(fs.readFileSync(filePath, 'utf8'), filePath);
+    }
+
+    /**
+     * Write the renumbered content back to disk
+     */
+    save(filePath) {
+        this.writer.save(filePath);
+    }
+
+    /**
+     * Get the current document content
+     */
+    toString() {
+        return this.writer.toString();
+    }
+
+    /**
+     * Insert a new task so that it gets the given ID, e.g. "6.3"
+     *
+     * The task previously at that position and all following tasks of the phase
+     * move up by one. Returns the old→new ID map of the renumbered tasks.
+     */
+    insert(position, title, { priority = 'Medium', effort = 'TBD' } = {}) {
+        const { phase, index } = this.parsePosition(position);
+        const order = this.getSequenceTaskIds(phase);
+        if (index > order.length + 1) {
+            throw new Error(`Phase ${phase} has ${order.length} tasks; cannot insert ${position}`);
+        }
+
+        const anchor = this.findInsertLine(phase, order, index - 1);
+        order.splice(index - 1, 0, null);
+        const map = this.numberTasks(phase, order);
+
+        this.rewriteReferences(map);
+        this.writer.spliceLines(anchor, 0, this.formatNewTask(position, title, priority, effort));
+        return map;
+    }
+
+    /**
+     * Move a task so that it gets the given ID, possibly in another phase
+     *
+     * Returns the old→new ID map of the renumbered tasks, including the moved one.
+     */
+    move(taskId, position) {
+        const task = this.writer.getTask(taskId);
+        const source = this.getSequencePrefix(task);
+        const { phase, index } = this.parsePosition(position);
+
+        const sourceOrder = this.getSequenceTaskIds(source).filter(id => id !== taskId);
+        const order = phase === source ? sourceOrder : this.getSequenceTaskIds(phase);
+        if (index > order.length + 1) {
+            throw new Error(`Phase ${phase} has ${order.length} tasks; cannot move to ${position}`);
+        }
+
+        const block = this.getTaskBlockWithChildren(task);
+        const anchor = this.findInsertLine(phase, order, index - 1);
+        order.splice(index - 1, 0, taskId);
+        const map = new Map([
+            ...(phase === source ? [] : this.numberTasks(source, sourceOrder)),
+            ...this.numberTasks(phase, order)
+        ]);
+
+        this.rewriteReferences(map);
+        const lines = this.writer.spliceLines(block.start, block.end - block.start + 1);
+        const target = anchor > block.end ? anchor - lines.length : anchor;
+        this.writer.spliceLines(target, 0, lines);
+        return map;
+    }
+
+    /**
+     * Delete a task and renumber the tasks after it
+     *
+     * The deleted task is dropped from other tasks' **Dependencies**; any other
+     * reference to it is left in place and reported in warnings. A task with child
+     * tasks cannot be deleted until its children are. Returns the old→new ID map,
+     * with the deleted task mapped to null.
+     */
+    remove(taskId) {
+        const task = this.writer.getTask(taskId);
+        if (this.getChildTasks(taskId).length > 0) {
+            throw new Error(`Task ${taskId} has child tasks; delete or move them first`);
+        }
+        const prefix = this.getSequencePrefix(task);
+        const order = this.getSequenceTaskIds(prefix).filter(id => id !== taskId);
+        const map = this.numberTasks(prefix, order);
+        map.set(taskId, null);
+
+        const block = this.getTaskBlock(task);
+        this.removeDependency(taskId);
+        this.writer.lines.forEach((line, offset) => {
+            const lineNumber = offset + 1;
+            if (lineNumber < block.start || lineNumber > block.end) {
+                if (this.findReferences(line).includes(taskId)) {
+                    this.warnings.push(
+                        `Line ${lineNumber} still refers to deleted Task ${taskId}: ${line.trim()}`
+                    );
+                }
+            }
+        });
+
+        this.rewriteReferences(map);
+        this.writer.spliceLines(block.start, block.end - block.start + 1);
+        return map;
+    }
+
+    /**
+     * Split a task position such as "6.3" into its phase number and 1-based index
+     */
+    parsePosition(position) {
+        if (!TASK_UTILS.isValidTaskId(position) || position.includes('-')) {
+            throw new Error(`Invalid task position "${position}" (expected e.g. 6.3 or 5.5.2)`);
+        }
+
+        const separator = position.lastIndexOf('.');
+        const phase = position.slice(0, separator);
+        const index = parseInt(position.slice(separator + 1), 10);
+        if (!this.writer.getParser().phases.some(p => p.number === phase)) {
+            throw new Error(`Phase ${phase} not found`);
+        }
+        if (index < 1) {
+            throw new Error(`Invalid task position "${position}" (tasks are numbered from 1)`);
+        }
+        return { phase, index };
+    }
+
+    /**
+     * Get the number a task is numbered after: its phase number (e.g. "6" for 6.3),
+     * or the ID of its parent for a child task (e.g. "6.2" for 6.2.1)
+     */
+    getSequencePrefix(task) {
+        if (task.parent) {
+            return task.parent;
+        }
+
+        const phase = this.writer.getParser().phases.find(p => p.title === task.phase);
+        if (!phase) {
+            throw new Error(`Task ${task.id} is not under a phase heading`);
+        }
+        return phase.number;
+    }
+
+    /**
+     * Get the IDs of the tasks numbered after a phase or task number, in task ID order
+     *
+     * For a phase these are its tasks without their child tasks (6.1 and 6.2, but
+     * not 6.2.1); for a task they are its child tasks.
+     */
+    getSequenceTaskIds(prefix) {
+        return this.writer
+            .getParser()
+            .tasks.map(task => task.id)
+            .filter(id => id.startsWith(`${prefix}.`) && /^\d+$/.test(id.slice(prefix.length + 1)))
+            .sort(TASK_UTILS.compareTaskIds);
+    }
+
+    /**
+     * Get the child tasks of a task (see TaskParser.linkSubtasks)
+     */
+    getChildTasks(taskId) {
+        return this.writer.getParser().tasks.filter(task => task.parent === taskId);
+    }
+
+    /**
+     * Number the tasks after a phase or task number in the given order and map the IDs that change
+     *
+     * A null entry is a new task; it takes up a number but has no old ID to map.
+     * The child tasks of a renumbered task are renamed with it.
+     */
+    numberTasks(prefix, order) {
+        const map = new Map();
+        order.forEach((taskId, index) => {
+            const newId = `${prefix}.${index + 1}`;
+            if (taskId && taskId !== newId) {
+                map.set(taskId, newId);
+                for (const child of this.getChildTasks(taskId)) {
+                    map.set(child.id, newId + child.id.slice(taskId.length));
+                }
+            }
+        });
+        return map;
+    }
+
+    /**
+     * Get the lines of a task including the blank lines after it (1-based, inclusive)
+     */
+    getTaskBlock(task) {
+        const lines = this.writer.lines;
+        let end = task.location.endLine;
+        while (end < lines.length - 1 && lines[end].trim() === '') {
+            end++;
+        }
+        return { start: task.location.startLine, end };
+    }
+
+    /**
+     * Get the lines of a task and its child tasks, which must directly follow it
+     */
+    getTaskBlockWithChildren(task) {
+        const block = this.getTaskBlock(task);
+        for (const child of this.getChildTasks(task.id)) {
+            block.end = Math.max(block.end, this.getTaskBlock(child).end);
+        }
+
+        const others = this.writer
+            .getParser()
+            .tasks.filter(other => other !== task && other.parent !== task.id);
+        if (
+            others.some(
+                other =>
+                    other.location.startLine > block.start && other.location.startLine <= block.end
+            )
+        ) {
+            throw new Error(`The child tasks of Task ${task.id} must directly follow it`);
+        }
+        return block;
+    }
+
+    /**
+     * Find the line a task must be inserted at to become the given 0-based entry of a phase
+     *
+     * That is the start of the task currently in that place, or after the last task
+     * of the phase (or before the next phase heading if the phase has no tasks).
+     */
+    findInsertLine(phase, order, index) {
+        const tasks = this.writer.getParser().tasks;
+        if (order[index]) {
+            return tasks.find(task => task.id === order[index]).location.startLine;
+        }
+
+        const phaseTasks = tasks.filter(task => task.phase === `Phase ${phase}`);
+        if (phaseTasks.length > 0) {
+            const last = phaseTasks.reduce((a, b) =>
+                b.location.startLine > a.location.startLine ? b : a
+            );
+            return this.getTaskBlock(last).end + 1;
+        }
+
+        const phases = this.writer.getParser().phases;
+        const next = phases[phases.findIndex(p => p.number === phase) + 1];
+        return next ? next.line : this.writer.lines.length;
+    }
+
+    /**
+     * Build the lines of a new task with the sections the task linter requires
+     */
+    formatNewTask(taskId, title, priority, effort) {
+        const eol = this.writer.lines[0].endsWith('\r') ? '\r' : '';
+        const lines = [
+            `### ${TASK_UTILS.formatIssueTitle(taskId, title)}`,
+            '',
+            `**Priority**: ${priority}`,
+            `**Estimated Effort**: ${effort}`,
+            '**Dependencies**: None',
+            '',
+            '**Acceptance Criteria**:',
+            '',
+            ...NEW_TASK_CRITERIA.map(criterion => `- [ ] ${criterion}`),
+            '',
+            '---',
+            ''
+        ];
+        return lines.map(line => line + eol);
+    }
+
+    /**
+     * Get the task IDs referred to in a line of text
+     */
+    findReferences(line) {
+        return [...line.matchAll(TASK_REFERENCES)].flatMap(match =>
+            match[2].match(new RegExp(TASK_ID, 'g'))
+        );
+    }
+
+    /**
+     * Rewrite every task reference in the document according to an old→new ID map
+     *
+     * All references are rewritten in a single pass, so swapped IDs do not chain.
+     * Deleted tasks (mapped to null) are left as they are.
+     */
+    rewriteReferences(map) {
+        const rename = id => map.get(id) || id;
+
+        for (let lineNumber = 1; lineNumber <= this.writer.lines.length; lineNumber++) {
+            this.writer.editLine(lineNumber, line =>
+                line.replace(
+                    TASK_REFERENCES,
+                    (match, prefix, ids) => prefix + ids.replace(new RegExp(TASK_ID, 'g'), rename)
+                )
+            );
+        }
+    }
+
+    /**
+     * Remove a task from the **Dependencies** of every task, leaving "None" if it was the only one
+     */
+    removeDependency(taskId) {
+        for (const task of this.writer.getParser().tasks) {
+            if (!task.dependencies.includes(taskId)) {
+                continue;
+            }
+
+            const lineNumber = this.writer.findSectionLine(task, 'Dependencies');
+            this.writer.editLine(lineNumber, line => {
+                const value = line.match(/^(\s*\*\*Dependencies\*\*:[ \t]*)(.*?)(\s*)$/);
+                const remaining = value[2]
+                    .split(/\s*,\s*/)
+                    .filter(item => this.findReferences(item)[0] !== taskId);
+                return `${value[1]}${remaining.join(', ') || 'None'}${value[3]}`;
+            });
+        }
+    }
+}
+
+/**
+ * Format an old→new ID map as one "old → new" line per task, in old ID order
+ */
+function formatIdMap(map) {
+    return [...map.keys()]
+        .sort(TASK_UTILS.compareTaskIds)
+        .map(oldId => `${oldId} → ${map.get(oldId) || '(deleted)'}`)
+        .join('\n');
+}
+
+// Export for use as module
+module.exports = { TaskRenumberer, formatIdMap };
+
+// Main function for CLI usage
+async function main() {
+    const args = process.argv.slice(2);
+    const valuesOf = flag => {
+        const index = args.indexOf(flag);
+        return index >= 0 ? args.slice(index + 1, index + 3) : null;
+    };
+    const dryRun = args.includes('--dry-run');
+    const json = args.includes('--json');
+    const mapIndex = args.indexOf('--map-output');
+    const mapFile = mapIndex >= 0 ? args[mapIndex + 1] : null;
+    const taskFileArg = args[0] && !args[0].startsWith('--') ? args[0] : null;
+    const filePath = taskFileArg || path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
+
+    try {
+        const renumberer = TaskRenumberer.load(filePath);
+        let map;
+
+        if (valuesOf('--insert')) {
+            const [position, title] = valuesOf('--insert');
+            if (!title) {
+                throw new Error('--insert needs a position and a title');
+            }
+            map = renumberer.insert(position, title);
+        } else if (valuesOf('--move')) {
+            const [taskId, position] = valuesOf('--move');
+            if (!position) {
+                throw new Error('--move needs a task ID and a position');
+            }
+            map = renumberer.move(taskId, position);
+        } else if (valuesOf('--delete')) {
+            map = renumberer.remove(valuesOf('--delete')[0]);
+        } else {
+            throw new Error(
+                'Usage: renumber-tasks.js [tasks.md] --insert <id> "<title>" | --move <id> <id> | --delete <id> [--dry-run] [--json] [--map-output file]'
+            );
+        }
+
+        for (const warning of renumberer.warnings) {
+            console.warn(`⚠️  ${warning}`);
+        }
+
+        const mapJson = JSON.stringify(Object.fromEntries(map), null, 2);
+        if (json) {
+            console.log(mapJson);
+        } else {
+            console.log(map.size > 0 ? formatIdMap(map) : 'No task IDs changed');
+        }
+        if (mapFile) {
+            fs.writeFileSync(mapFile, `${mapJson}\n`);
+        }
+
+        if (!dryRun) {
+            renumberer.save(filePath);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+// CLI usage if run directly
+if (require.main === module) {
+    main();
+}
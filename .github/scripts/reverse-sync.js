@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Reverse Sync of Acceptance Criteria
+ *
+ * Reads checkbox state from automated task issues on GitHub and carries ticks
+ * made on GitHub back into MSP430_EMULATOR_TASKS.md. Each issue body records the
+ * checkbox state it was last synced with (a hidden "synced-criteria" comment), so
+ * only boxes changed on GitHub since the last sync are applied. The result is
+ * printed as a unified diff for review; --apply also writes the task file.
+ * Criteria that changed on both sides, or that can no longer be matched, are
+ * reported as conflicts and left untouched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Octokit } = require('@octokit/rest');
+const { TaskWriter } = require('./task-writer.js');
+const { paginate } = require('./github-utils.js');
+const { AUTOMATION_CONFIG, BOT_USER_AGENT, TASK_UTILS } = require('./config.js');
+
+class ReverseSynchronizer {
+    constructor(token, owner, repo) {
+        this.octokit = new Octokit({
+            auth: token,
+            userAgent: BOT_USER_AGENT
+        });
+        this.owner = owner;
+        this.repo = repo;
+    }
+
+    /**
+     * Fetch automated task issues from GitHub
+     */
+    async fetchTaskIssues() {
+        const issues = await paginate(
+            params => this.octokit.rest.issues.listForRepo(params),
+            { owner: this.owner, repo: this.repo, state: 'all', labels: 'task' },
+            { operationName: 'list task issues for reverse sync', logProgress: true }
+        );
+
+        return issues.filter(
+            issue => TASK_UTILS.getIssueTaskId(issue) && TASK_UTILS.isAutomatedIssue(issue)
+        );
+    }
+
+    /**
+     * Read the acceptance criteria checkboxes from an issue body
+     */
+    extractCriteria(body) {
+        return TASK_UTILS.extractIssueCriteria(body);
+    }
+
+    /**
+     * Read the checkbox state recorded when the issue body was last synced, or null
+     */
+    extractSyncedState(body) {
+        const match = body.match(/<!-- synced-criteria: ([01]*) -->/);
+        return match ? [...match[1]].map(flag => flag === '1') : null;
+    }
+
+    /**
+     * Work out which criteria were changed on GitHub and apply them to the task list
+     *
+     * Returns the edited writer together with the applied changes and conflicts.
+     */
+    reconcile(content, issues) {
+        const writer = new TaskWriter(content);
+        const changes = [];
+        const conflicts = [];
+
+        for (const issue of issues) {
+            const taskId = TASK_UTILS.getIssueTaskId(issue);
+            const task = taskId && writer.getParser().getTaskById(taskId);
+            if (!task) {
+                continue;
+            }
+
+            const issueCriteria = this.extractCriteria(issue.body);
+            const syncedState = this.extractSyncedState(issue.body);
+            const hasBaseline = syncedState !== null && syncedState.length === issueCriteria.length;
+
+            issueCriteria.forEach((criterion, index) => {
+                const report = reason =>
+                    conflicts.push({
+                        taskId,
+                        issueNumber: issue.number,
+                        text: criterion.text,
+                        reason
+                    });
+
+                const local = task.acceptanceCriteria.find(c => c.text === criterion.text);
+
+                if (hasBaseline && syncedState[index] === criterion.checked) {
+                    return; // Not changed on GitHub
+                }
+                if (!local) {
+                    report('criterion was changed or removed in the task file');
+                    return;
+                }
+                if (local.completed === criterion.checked) {
+                    return; // Already in this state locally, possibly changed on both sides
+                }
+                if (!hasBaseline) {
+                    report('issue has no synced checkbox state to compare against');
+                    return;
+                }
+
+                writer.setCriterion(taskId, criterion.text, criterion.checked);
+                changes.push({
+                    taskId,
+                    issueNumber: issue.number,
+                    text: criterion.text,
+                    checked: criterion.checked
+                });
+            });
+        }
+
+        return { writer, changes, conflicts };
+    }
+
+    /**
+     * Create a unified diff between two versions of a file
+     *
+     * Reverse sync only rewrites lines in place, so lines are compared by position.
+     */
+    createPatch(original, updated, fileName, context = 3) {
+        const before = original.split('\n');
+        const after = updated.split('\n');
+        const changed = [];
+        for (let i = 0; i < before.length; i++) {
+            if (before[i] !== after[i]) {
+                changed.push(i);
+            }
+        }
+        if (changed.length === 0) {
+            return '';
+        }
+
+        // Group changed lines into hunks that share context
+        const hunks = [];
+        for (const index of changed) {
+            const last = hunks[hunks.length - 1];
+            if (last && index - last.end <= context * 2) {
+                last.end = index;
+            } else {
+                hunks.push({ start: index, end: index });
+            }
+        }
+
+        const lines = [`--- a/${fileName}`, `+++ b/${fileName}`];
+        for (const hunk of hunks) {
+            const from = Math.max(0, hunk.start - context);
+            const to = Math.min(before.length - 1, hunk.end + context);
+            const length = to - from + 1;
+            lines.push(`@@ -${from + 1},${length} +${from + 1},${length} @@`);
+            for (let i = from; i <= to; i++) {
+                if (before[i] === after[i]) {
+                    lines.push(` ${before[i]}`);
+                } else {
+                    lines.push(`-${before[i]}`, `+${after[i]}`);
+                }
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+// Export for use as module
+module.exports = { ReverseSynchronizer };
+
+// Main function for CLI usage
+async function main() {
+    const token = process.env.GITHUB_TOKEN;
+    const owner =
+        process.env.GITHUB_REPOSITORY?.split('/')[0] || AUTOMATION_CONFIG.repository.owner;
+    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || AUTOMATION_CONFIG.repository.repo;
+    const args = process.argv.slice(2);
+    const apply = args.includes('--apply');
+    const outputIndex = args.indexOf('--output');
+    const outputFile = outputIndex >= 0 ? args[outputIndex + 1] : null;
+    const taskFileArg = args.find(
+        (arg, index) => !arg.startsWith('--') && args[index - 1] !== '--output'
+    );
+    const tasksFile = taskFileArg || path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
+
+    if (!token) {
+        console.error('Error: GITHUB_TOKEN environment variable is required');
+        process.exit(1);
+    }
+
+    try {
+        const synchronizer = new ReverseSynchronizer(token, owner, repo);
+        const content = fs.readFileSync(tasksFile, 'utf8');
+        const issues = await synchronizer.fetchTaskIssues();
+        const { writer, changes, conflicts } = synchronizer.reconcile(content, issues);
+
+        const displayPath = path.relative(
+            path.resolve(__dirname, '../..'),
+            path.resolve(tasksFile)
+        );
+        const patch = synchronizer.createPatch(content, writer.toString(), displayPath);
+
+        console.error(`🔄 Checked ${issues.length} task issues`);
+        for (const change of changes) {
+            console.error(
+                `   ${change.checked ? '☑️ ' : '⬜'} Task ${change.taskId} (#${change.issueNumber}): ${change.text}`
+            );
+        }
+        for (const conflict of conflicts) {
+            console.error(
+                `   ⚠️  Conflict in Task ${conflict.taskId} (#${conflict.issueNumber}): "${conflict.text}" - ${conflict.reason}`
+            );
+        }
+        console.error(`📊 ${changes.length} change(s), ${conflicts.length} conflict(s)`);
+
+        if (outputFile) {
+            fs.writeFileSync(outputFile, patch);
+            console.error(`✅ Wrote patch to ${outputFile}`);
+        } else {
+            process.stdout.write(patch);
+        }
+
+        if (apply && changes.length > 0) {
+            writer.save(tasksFile);
+            console.error(`✅ Applied changes to ${displayPath}`);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+// CLI usage if run directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,156 @@
+/**
+ * JSON Schema Validator
+ *
+ * Validates values against the subset of JSON Schema used by the schemas in
+ * .github/config: type, enum, const, required, properties, additionalProperties,
+ * items, anyOf, pattern, minimum and local "#/$defs/..." references. Other
+ * keywords (descriptions, $id, ...) are annotations and are ignored.
+ */
+
+class SchemaValidator {
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Validate a value against the schema
+     *
+     * Returns the problems found as {path, message}, where path is a JSON pointer
+     * to the offending value; an empty array means the value is valid.
+     */
+    validate(value) {
+        const errors = [];
+        this.check(value, this.schema, '', errors);
+        return errors;
+    }
+
+    /**
+     * Check a value against a (sub)schema, collecting errors
+     */
+    check(value, schema, path, errors) {
+        if (schema.$ref) {
+            this.check(value, this.resolve(schema.$ref), path, errors);
+            return;
+        }
+
+        const report = message => errors.push({ path: path || '/', message });
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                report(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+                return;
+            }
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            report(`must be ${JSON.stringify(schema.const)}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            report(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+        if (schema.anyOf && !schema.anyOf.some(option => this.isValid(value, option))) {
+            report('does not match any of the allowed schemas');
+        }
+
+        if (
+            typeof value === 'string' &&
+            schema.pattern &&
+            !new RegExp(schema.pattern).test(value)
+        ) {
+            report(`must match ${schema.pattern}`);
+        }
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            report(`must be at least ${schema.minimum}`);
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) =>
+                this.check(item, schema.items, `${path}/${index}`, errors)
+            );
+        }
+
+        if (typeOf(value) === 'object') {
+            this.checkObject(value, schema, path, errors);
+        }
+    }
+
+    /**
+     * Check the properties of an object value
+     */
+    checkObject(value, schema, path, errors) {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push({
+                    path: path || '/',
+                    message: `is missing required property "${key}"`
+                });
+            }
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            const itemPath = `${path}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+            if (properties[key]) {
+                this.check(item, properties[key], itemPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: itemPath, message: 'is not an allowed property' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                this.check(item, schema.additionalProperties, itemPath, errors);
+            }
+        }
+    }
+
+    /**
+     * Check whether a value matches a (sub)schema without reporting errors
+     */
+    isValid(value, schema) {
+        const errors = [];
+        this.check(value, schema, '', errors);
+        return errors.length === 0;
+    }
+
+    /**
+     * Look up a local reference such as "#/$defs/task"
+     */
+    resolve(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported schema reference "${ref}"`);
+        }
+
+        const target = ref
+            .slice(2)
+            .split('/')
+            .reduce((node, key) => (node ? node[key] : undefined), this.schema);
+        if (!target) {
+            throw new Error(`Schema reference "${ref}" not found`);
+        }
+        return target;
+    }
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ */
+function matchesType(value, type) {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    return typeOf(value) === type;
+}
+
+// Export for use as module
+module.exports = { SchemaValidator };
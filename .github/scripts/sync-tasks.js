@@ -5,14 +5,22 @@
  *
  * Orchestrates the full synchronization workflow between MSP430_EMULATOR_TASKS.md
  * and GitHub issues. Handles dependency linking, milestone organization, and cleanup.
+ * Items from the review documents in task-sources.js are synchronized alongside tasks.
  */
 
+const fs = require('fs');
+const path = require('path');
 const { Octokit } = require('@octokit/rest');
-const { TaskParser } = require('./parse-tasks.js');
+const { TaskParser, summarizeEffort, formatHours } = require('./parse-tasks.js');
 const { GitHubIssuesCreator } = require('./create-issues.js');
 const { GitHubIssuesUpdater } = require('./update-issues.js');
-const { executeWithRateLimit, smartDelay } = require('./github-utils.js');
-const { BOT_USER_AGENT, EXCLUDED_TASKS, TASK_UTILS } = require('./config.js');
+const { loadSourceTasks, findTaskSource } = require('./task-sources.js');
+const { findTasksChangedSince } = require('./task-changes.js');
+const { matchRenumberedTasks } = require('./task-matching.js');
+const { executeWithRateLimit, paginate, smartDelay } = require('./github-utils.js');
+const { TaskSelector, isSelectionOption } = require('./task-selection.js');
+const { renderMilestoneDescription } = require('./issue-templates.js');
+const { AUTOMATION_CONFIG, BOT_USER_AGENT, TASK_UTILS } = require('./config.js');
 
 class GitHubIssuesSynchronizer {
     constructor(token, owner, repo) {
@@ -26,8 +34,21 @@ class GitHubIssuesSynchronizer {
         this.creator = new GitHubIssuesCreator(token, owner, repo);
         this.updater = new GitHubIssuesUpdater(token, owner, repo);
 
-        // Tasks to exclude from synchronization (already implemented or actively being developed)
-        this.excludedTasks = EXCLUDED_TASKS;
+        // Tasks to synchronize (by default, all but those already implemented or actively being developed)
+        this.selection = new TaskSelector();
+
+        // Compare every task with its issue, even when its content hash is unchanged
+        this.fullSync = false;
+
+        // Git ref to limit the sync to tasks changed since (null syncs all tasks)
+        this.since = null;
+
+        // Old→new task IDs from renumber-tasks.js, used before matching issues by content
+        this.renumberMap = {};
+
+        // Task issues fetched in this run, shared with the creator and updater; cleared
+        // by steps that create, update or close issues (see clearTaskIssues)
+        this.taskIssues = null;
     }
 
     /**
@@ -40,10 +61,49 @@ class GitHubIssuesSynchronizer {
     }
 
     /**
-     * Filter out excluded tasks
+     * Enable full sync mode (compare tasks whose content hash is unchanged as well)
+     */
+    enableFullSync() {
+        this.fullSync = true;
+        this.updater.enableFullSync();
+    }
+
+    /**
+     * Only create, update and link issues for tasks changed since a git ref
+     */
+    setSince(ref) {
+        this.since = ref;
+    }
+
+    /**
+     * Use an old→new task ID map (as written by renumber-tasks.js --map-output)
+     */
+    setRenumberMap(map) {
+        this.renumberMap = map;
+    }
+
+    /**
+     * Add a checklist of each task's files found in the working tree to issue bodies
+     */
+    enableFileEvidence(rootDir) {
+        this.creator.enableFileEvidence(rootDir);
+        this.updater.enableFileEvidence(rootDir);
+    }
+
+    /**
+     * Use task selection rules other than the configured ones (see task-selection.js)
+     */
+    setSelection(selection) {
+        this.selection = selection;
+        this.creator.setSelection(selection);
+        this.updater.setSelection(selection);
+    }
+
+    /**
+     * Get the tasks selected by the task selection rules
      */
     filterIncludedTasks(tasks) {
-        return tasks.filter(task => !this.excludedTasks.includes(task.id));
+        return this.selection.filter(tasks);
     }
 
     /**
@@ -52,57 +112,109 @@ class GitHubIssuesSynchronizer {
     async synchronize(tasksFile) {
         const results = {
             created: [],
+            migrated: [],
             updated: [],
             closed: [],
             linked: [],
+            subIssues: [],
             cleaned: [],
             errors: []
         };
 
         try {
             console.log('🔄 Starting GitHub Issues Synchronization...');
+            this.clearTaskIssues();
 
             // Step 1: Parse tasks
             console.log('\n📖 Parsing tasks from markdown...');
             const parser = new TaskParser(tasksFile);
-            const allTasks = await parser.parse();
+            const sources = await loadSourceTasks(path.dirname(tasksFile));
+            const allTasks = [...(await parser.parse()), ...sources.tasks];
             const tasks = this.filterIncludedTasks(allTasks);
             console.log(
                 `Found ${allTasks.length} tasks (${allTasks.length - tasks.length} excluded, ${tasks.length} included)`
             );
+            if (sources.tasks.length > 0) {
+                console.log(
+                    `Including ${sources.tasks.length} items from ${sources.phases.length} additional task sources`
+                );
+            }
+
+            let syncTasks = tasks;
+            if (this.since) {
+                syncTasks = findTasksChangedSince(tasks, this.since, tasksFile);
+                console.log(`Syncing ${syncTasks.length} tasks changed since ${this.since}`);
+            }
+
+            // Tasks whose issues are out of date, found before this run updates them
+            const changedTaskIds = this.fullSync
+                ? null
+                : await this.findChangedTaskIds(syncTasks, tasks);
 
             // Step 2: Ensure labels and milestones exist
             console.log('\n🏷️  Setting up labels and milestones...');
+            this.creator.setPhases([...parser.getPhases(), ...sources.phases]);
             await this.creator.ensureLabelsExist();
             await this.ensurePhaseMilestonesExist(tasks);
 
-            // Step 3: Create new issues for tasks without issues
+            // Step 3: Move issues of renumbered tasks to their new task IDs
+            // (matched against every task, so issues outside the selection keep their task)
+            console.log('\n🔢 Migrating issues of renumbered tasks...');
+            const migrateResults = await this.migrateRenumberedIssues(allTasks);
+            results.migrated = migrateResults.migrated;
+            results.errors.push(...migrateResults.errors);
+            this.clearTaskIssuesAfter(results.migrated);
+            const migratedTaskIds = new Set(results.migrated.map(match => match.taskId));
+
+            // Step 4: Create new issues for tasks without issues
             console.log('\n➕ Creating new issues...');
-            const incompleteTasks = tasks.filter(task => !task.completed);
+            const incompleteTasks = syncTasks.filter(
+                task => !task.completed && !migratedTaskIds.has(task.id)
+            );
+            this.creator.useIssues(await this.getAllTaskIssues());
             const createResults = await this.creator.createIssuesFromTasks(incompleteTasks);
             results.created = createResults.created;
             results.errors.push(...createResults.errors);
+            this.clearTaskIssuesAfter(results.created);
 
-            // Step 4: Update existing issues
+            // Step 5: Update existing issues
             console.log('\n🔄 Updating existing issues...');
-            const updateResults = await this.updater.updateIssuesFromTasks(tasks);
+            const updateResults = await this.updater.updateIssuesFromTasks(
+                syncTasks,
+                await this.getAllTaskIssues()
+            );
             results.updated = updateResults.updated;
             results.closed = updateResults.closed;
             results.errors.push(...updateResults.errors);
+            this.clearTaskIssuesAfter([...results.updated, ...results.closed]);
 
-            // Step 5: Link dependencies between issues
+            // Step 6: Link dependencies between issues
             console.log('\n🔗 Linking dependencies...');
-            const linkResults = await this.linkDependencies(tasks);
+            const linkTasks = changedTaskIds
+                ? syncTasks.filter(task => changedTaskIds.has(task.id))
+                : syncTasks;
+            const linkResults = await this.linkDependencies(linkTasks, tasks);
             results.linked = linkResults.linked;
             results.errors.push(...linkResults.errors);
 
-            // Step 6: Clean up obsolete issues
+            // Step 7: Link child task issues to their parents and close finished parents
+            console.log('\n🌳 Linking sub-issues...');
+            const subIssueResults = await this.syncSubIssues(tasks);
+            results.subIssues = subIssueResults.linked;
+            results.closed.push(...subIssueResults.closed);
+            results.errors.push(...subIssueResults.errors);
+            this.clearTaskIssuesAfter(subIssueResults.closed);
+
+            // Step 8: Clean up issues of tasks that no longer exist (selected or not)
             console.log('\n🧹 Cleaning up obsolete issues...');
-            const cleanResults = await this.cleanupObsoleteIssues(tasks);
+            const cleanResults = await this.cleanupObsoleteIssues(
+                allTasks,
+                new Set(results.migrated.map(match => match.issueNumber))
+            );
             results.cleaned = cleanResults.cleaned;
             results.errors.push(...cleanResults.errors);
 
-            // Step 7: Organize milestones
+            // Step 9: Organize milestones
             console.log('\n📊 Organizing milestones...');
             await this.organizeMilestones(tasks);
 
@@ -134,54 +246,49 @@ class GitHubIssuesSynchronizer {
 
     /**
      * Find or create milestone for a phase
+     *
+     * Shares the creator's milestone list, so milestones are fetched once per run.
      */
     async findOrCreateMilestone(phase) {
-        try {
-            // Try to find existing milestone with proper rate limiting
-            const milestones = await executeWithRateLimit(
-                () =>
-                    this.octokit.rest.issues.listMilestones({
-                        owner: this.owner,
-                        repo: this.repo,
-                        state: 'all'
-                    }),
-                `find milestone for ${phase}`
-            );
-
-            const existingMilestone = milestones.data.find(m => m.title === phase);
-            if (existingMilestone) {
-                return existingMilestone;
-            }
+        return this.creator.findOrCreateMilestone(phase);
+    }
 
-            // Create new milestone if it doesn't exist
-            if (!this.dryRun) {
-                const response = await executeWithRateLimit(
-                    () =>
-                        this.octokit.rest.issues.createMilestone({
-                            owner: this.owner,
-                            repo: this.repo,
-                            title: phase,
-                            description: `Tasks for ${phase} of MSP430 Emulator development`
-                        }),
-                    `create milestone for ${phase}`
-                );
-                console.log(`Created milestone: ${phase}`);
-                return response.data;
-            } else {
-                console.log(`[DRY RUN] Would create milestone: ${phase}`);
+    /**
+     * Find the tasks whose issue is missing or out of date (see GitHubIssuesUpdater.isUnchanged)
+     *
+     * A task also counts as changed when one of its dependencies changed, so links to
+     * newly created dependency issues are still added.
+     */
+    async findChangedTaskIds(tasks, allTasks = tasks) {
+        const issues = await this.getAllTaskIssues();
+        const changed = new Set();
+        // Render hashes reference child issues, so the updater needs them indexed
+        this.updater.useIssues(issues);
+
+        for (const task of allTasks) {
+            const issue = this.findIssueForTask(issues, task);
+            if (!issue || !this.updater.isUnchanged(issue, task)) {
+                changed.add(task.id);
             }
-
-            return null;
-        } catch (error) {
-            console.warn(`Warning: Could not handle milestone for ${phase}: ${error.message}`);
-            return null;
         }
+
+        return new Set(
+            tasks
+                .filter(
+                    task =>
+                        changed.has(task.id) ||
+                        (task.dependencies || []).some(depId => changed.has(depId))
+                )
+                .map(task => task.id)
+        );
     }
 
     /**
      * Link dependencies between issues
+     *
+     * Dependencies are looked up in allTasks, so a subset of tasks can be linked.
      */
-    async linkDependencies(tasks) {
+    async linkDependencies(tasks, allTasks = tasks) {
         const results = { linked: [], errors: [] };
 
         // Get all task issues
@@ -199,7 +306,7 @@ class GitHubIssuesSynchronizer {
                 }
 
                 for (const depTaskId of task.dependencies) {
-                    const depTask = tasks.find(t => t.id === depTaskId);
+                    const depTask = allTasks.find(t => t.id === depTaskId);
                     if (!depTask) {
                         continue;
                     }
@@ -245,18 +352,13 @@ class GitHubIssuesSynchronizer {
      */
     async checkDependencyLinkExists(taskIssue, depIssue) {
         try {
-            const comments = await executeWithRateLimit(
-                () =>
-                    this.octokit.rest.issues.listComments({
-                        owner: this.owner,
-                        repo: this.repo,
-                        issue_number: taskIssue.number,
-                        per_page: 100
-                    }),
-                `check comments for issue #${taskIssue.number}`
+            const comments = await paginate(
+                params => this.octokit.rest.issues.listComments(params),
+                { owner: this.owner, repo: this.repo, issue_number: taskIssue.number },
+                { operationName: `check comments for issue #${taskIssue.number}` }
             );
 
-            return comments.data.some(
+            return comments.some(
                 comment =>
                     comment.body &&
                     comment.body.includes(`#${depIssue.number}`) &&
@@ -286,10 +388,172 @@ class GitHubIssuesSynchronizer {
         );
     }
 
+    /**
+     * Make child task issues sub-issues of their parent task's issue
+     *
+     * Issues created before their parent or child get linked here. A parent issue
+     * is closed once the issues of all its child tasks are closed.
+     */
+    async syncSubIssues(tasks) {
+        const results = { linked: [], closed: [], errors: [] };
+        const allIssues = await this.getAllTaskIssues();
+        const subIssueIds = new Map();
+
+        for (const task of tasks.filter(t => t.parent)) {
+            const childIssue = this.findIssueForTask(allIssues, task);
+            const parentIssue = this.findIssueForTask(allIssues, { id: task.parent });
+            if (!childIssue || !parentIssue) {
+                continue;
+            }
+
+            try {
+                if (!subIssueIds.has(parentIssue.number)) {
+                    subIssueIds.set(parentIssue.number, await this.getSubIssueIds(parentIssue));
+                }
+                if (subIssueIds.get(parentIssue.number).has(childIssue.id)) {
+                    continue;
+                }
+
+                const link = { parent: task.parent, child: task.id };
+                if (this.dryRun) {
+                    console.log(
+                        `[DRY RUN] Would add issue #${childIssue.number} as sub-issue of #${parentIssue.number}`
+                    );
+                    results.linked.push({ ...link, dryRun: true });
+                } else {
+                    await this.creator.addSubIssue(parentIssue, childIssue);
+                    results.linked.push(link);
+                    await smartDelay(500);
+                }
+            } catch (error) {
+                results.errors.push({ task: task.id, error: error.message });
+            }
+        }
+
+        for (const task of tasks.filter(t => t.children && t.children.length > 0)) {
+            const parentIssue = this.findIssueForTask(allIssues, task);
+            const childIssues = task.children.map(child => this.findIssueForTask(allIssues, child));
+            if (!parentIssue || parentIssue.state !== 'open') {
+                continue;
+            }
+            if (!childIssues.every(issue => issue && issue.state === 'closed')) {
+                continue;
+            }
+
+            try {
+                if (this.dryRun) {
+                    console.log(
+                        `[DRY RUN] Would close issue #${parentIssue.number} (all subtasks closed)`
+                    );
+                    results.closed.push({ task, issueNumber: parentIssue.number, dryRun: true });
+                } else {
+                    await this.updater.closeIssue(
+                        parentIssue.number,
+                        `All subtasks of Task ${task.id} are closed.`
+                    );
+                    results.closed.push({ task, issueNumber: parentIssue.number });
+                }
+            } catch (error) {
+                results.errors.push({ task: task.id, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Get the IDs of the current sub-issues of an issue
+     */
+    async getSubIssueIds(issue) {
+        const subIssues = await paginate(
+            params => this.octokit.rest.issues.listSubIssues(params),
+            { owner: this.owner, repo: this.repo, issue_number: issue.number },
+            { operationName: `list sub-issues of issue #${issue.number}` }
+        );
+        return new Set(subIssues.map(subIssue => subIssue.id));
+    }
+
+    /**
+     * Retitle, relabel and rewrite the issues of tasks that moved to a new ID
+     *
+     * An issue whose task ID no longer exists is matched to a task without an issue
+     * (see task-matching.js) and gets a comment naming its old task ID, so its
+     * discussion is kept instead of the issue being closed as obsolete.
+     */
+    async migrateRenumberedIssues(tasks) {
+        const results = { migrated: [], errors: [] };
+
+        try {
+            const allIssues = await this.getAllTaskIssues();
+            this.updater.useIssues(allIssues);
+            const matches = matchRenumberedTasks(allIssues, tasks, this.renumberMap);
+
+            for (const match of matches) {
+                const entry = {
+                    issueNumber: match.issue.number,
+                    oldId: match.oldId,
+                    taskId: match.task.id,
+                    reason: match.reason
+                };
+
+                try {
+                    if (this.dryRun) {
+                        console.log(
+                            `[DRY RUN] Would move issue #${match.issue.number} from Task ${match.oldId} to Task ${match.task.id} (${match.reason})`
+                        );
+                        results.migrated.push({ ...entry, dryRun: true });
+                        continue;
+                    }
+
+                    await this.migrateIssue(match.issue, match.oldId, match.task);
+                    console.log(
+                        `Moved issue #${match.issue.number} from Task ${match.oldId} to Task ${match.task.id}`
+                    );
+                    results.migrated.push(entry);
+                    await smartDelay(1000);
+                } catch (error) {
+                    results.errors.push({ task: match.task.id, error: error.message });
+                }
+            }
+        } catch (error) {
+            results.errors.push({
+                error: `Failed to migrate renumbered issues: ${error.message}`
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Bring an issue up to date with the task it now belongs to and explain the move
+     */
+    async migrateIssue(issue, oldId, task) {
+        const changes = this.updater.detectChanges(issue, task);
+        await executeWithRateLimit(
+            () => this.updater.applyUpdates(issue, task, changes),
+            `migrate issue #${issue.number} to Task ${task.id}`
+        );
+
+        const comment = `🔢 **Task Renumbered**\n\nThis issue was renumbered from Task ${oldId} to Task ${task.id} in ${task.source || 'MSP430_EMULATOR_TASKS.md'}.\n\nIts title, labels and description have been updated to match.\n\n*Automatically detected by GitHub Issues Automation*`;
+
+        await executeWithRateLimit(
+            () =>
+                this.octokit.rest.issues.createComment({
+                    owner: this.owner,
+                    repo: this.repo,
+                    issue_number: issue.number,
+                    body: comment
+                }),
+            `add renumbered comment to issue #${issue.number}`
+        );
+    }
+
     /**
      * Clean up issues for tasks that no longer exist
+     *
+     * Issues moved to a renumbered task in this run are skipped.
      */
-    async cleanupObsoleteIssues(tasks) {
+    async cleanupObsoleteIssues(tasks, migratedIssueNumbers = new Set()) {
         const results = { cleaned: [], errors: [] };
 
         try {
@@ -297,8 +561,8 @@ class GitHubIssuesSynchronizer {
             const taskIds = new Set(tasks.map(task => task.id));
 
             for (const issue of allIssues) {
-                const issueTaskId = TASK_UTILS.extractTaskIdFromTitle(issue.title);
-                if (!issueTaskId) {
+                const issueTaskId = TASK_UTILS.getIssueTaskId(issue);
+                if (!issueTaskId || migratedIssueNumbers.has(issue.number)) {
                     continue;
                 }
                 if (!taskIds.has(issueTaskId)) {
@@ -351,7 +615,9 @@ class GitHubIssuesSynchronizer {
         }
 
         // Add comment explaining obsolescence
-        const comment = `⚠️ **Task Obsolete**\n\nTask ${taskId} is no longer present in MSP430_EMULATOR_TASKS.md.\n\nThis issue has been marked as obsolete and will be closed.\n\n*Automatically detected by GitHub Issues Automation*`;
+        const source = findTaskSource(taskId);
+        const sourceFile = source ? source.file : 'MSP430_EMULATOR_TASKS.md';
+        const comment = `⚠️ **Task Obsolete**\n\nTask ${taskId} is no longer present in ${sourceFile}.\n\nThis issue has been marked as obsolete and will be closed.\n\n*Automatically detected by GitHub Issues Automation*`;
 
         await executeWithRateLimit(
             () =>
@@ -401,10 +667,18 @@ class GitHubIssuesSynchronizer {
 
                 const completedTasks = phaseTasks.filter(task => task.completed).length;
                 const totalTasks = phaseTasks.length;
-                const progressPercent = Math.round((completedTasks / totalTasks) * 100);
 
-                // Update milestone description with progress
-                const description = `Tasks for ${phase} of MSP430 Emulator development\n\n📊 Progress: ${completedTasks}/${totalTasks} tasks completed (${progressPercent}%)`;
+                // Update milestone description with progress and remaining estimated effort
+                const description = renderMilestoneDescription(
+                    phase,
+                    this.creator.milestoneDescription(phase),
+                    {
+                        completedTasks,
+                        totalTasks,
+                        progressPercent: Math.round((completedTasks / totalTasks) * 100),
+                        remainingHours: formatHours(summarizeEffort(phaseTasks).remaining)
+                    }
+                );
 
                 if (!this.dryRun) {
                     await executeWithRateLimit(
@@ -425,9 +699,41 @@ class GitHubIssuesSynchronizer {
     }
 
     /**
-     * Get all task-related issues
+     * Get all task-related issues, fetched once and reused until clearTaskIssues
      */
     async getAllTaskIssues() {
+        if (!this.taskIssues) {
+            // A failed fetch is not kept, so a later step tries again
+            const issues = await this.fetchTaskIssues();
+            if (!issues) {
+                return [];
+            }
+            this.taskIssues = issues;
+        }
+        return this.taskIssues;
+    }
+
+    /**
+     * Forget the fetched task issues, so the next lookup fetches them again
+     */
+    clearTaskIssues() {
+        this.taskIssues = null;
+        this.creator.clearIndex();
+    }
+
+    /**
+     * Clear the fetched task issues if a step changed any issue (dry runs change none)
+     */
+    clearTaskIssuesAfter(entries) {
+        if (entries.some(entry => !entry.dryRun)) {
+            this.clearTaskIssues();
+        }
+    }
+
+    /**
+     * Fetch all task-related issues, or null if they could not be fetched
+     */
+    async fetchTaskIssues() {
         try {
             // In dry-run mode without token, return empty array
             if (
@@ -440,28 +746,25 @@ class GitHubIssuesSynchronizer {
             }
 
             // Use the regular issues list API instead of deprecated search API
-            const issues = await executeWithRateLimit(
-                () =>
-                    this.octokit.rest.issues.listForRepo({
-                        owner: this.owner,
-                        repo: this.repo,
-                        state: 'all',
-                        labels: 'task',
-                        per_page: 100,
-                        sort: 'created',
-                        direction: 'desc'
-                    }),
-                'list all task issues',
-                3
+            const issues = await paginate(
+                params => this.octokit.rest.issues.listForRepo(params),
+                {
+                    owner: this.owner,
+                    repo: this.repo,
+                    state: 'all',
+                    labels: 'task',
+                    sort: 'created',
+                    direction: 'desc'
+                },
+                { operationName: 'list all task issues', logProgress: true }
             );
 
-            // Filter to only issues that have "Task" in the title (to match the previous search behavior)
-            return issues.data.filter(
-                issue => issue.title.includes('Task') && TASK_UTILS.isTaskIssueTitle(issue.title)
-            );
+            // Keep issues identified as task issues by their marker or else their title, so
+            // issues whose title was edited by hand are still found
+            return issues.filter(issue => TASK_UTILS.getIssueTaskId(issue));
         } catch (error) {
             console.warn(`Warning: Could not fetch task issues: ${error.message}`);
-            return [];
+            return null;
         }
     }
 
@@ -478,9 +781,11 @@ class GitHubIssuesSynchronizer {
     printSummary(results) {
         console.log('\n📊 Synchronization Summary:');
         console.log(`   Created: ${results.created.length} issues`);
+        console.log(`   Migrated: ${results.migrated.length} renumbered issues`);
         console.log(`   Updated: ${results.updated.length} issues`);
         console.log(`   Closed: ${results.closed.length} issues`);
         console.log(`   Linked: ${results.linked.length} dependencies`);
+        console.log(`   Sub-issues: ${results.subIssues.length} linked`);
         console.log(`   Cleaned: ${results.cleaned.length} obsolete issues`);
         console.log(`   Errors: ${results.errors.length} errors`);
 
@@ -501,12 +806,26 @@ module.exports = { GitHubIssuesSynchronizer };
 // Main function for CLI usage
 async function main() {
     const token = process.env.GITHUB_TOKEN;
-    const owner = process.env.GITHUB_REPOSITORY?.split('/')[0] || 'grahame-white';
-    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || 'ai_msp430_emulator';
+    const owner =
+        process.env.GITHUB_REPOSITORY?.split('/')[0] || AUTOMATION_CONFIG.repository.owner;
+    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || AUTOMATION_CONFIG.repository.repo;
     const dryRun = process.argv.includes('--dry-run');
-
-    // Get tasks file path from arguments, excluding flags
-    const taskFileArg = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    const fileEvidence = process.argv.includes('--file-evidence');
+    const fullSync = process.argv.includes('--full');
+    const sinceIndex = process.argv.indexOf('--since');
+    const since = sinceIndex >= 0 ? process.argv[sinceIndex + 1] : null;
+    const mapIndex = process.argv.indexOf('--renumber-map');
+    const renumberMapFile = mapIndex >= 0 ? process.argv[mapIndex + 1] : null;
+
+    // Get tasks file path from arguments, excluding flags and their values
+    const taskFileArg = process.argv
+        .slice(2)
+        .find(
+            (arg, index, args) =>
+                !arg.startsWith('--') &&
+                !['--since', '--renumber-map'].includes(args[index - 1]) &&
+                !isSelectionOption(args[index - 1])
+        );
     const tasksFile = taskFileArg || '../../MSP430_EMULATOR_TASKS.md';
 
     // For dry-run mode, we can operate with a dummy token since no API calls will be made
@@ -526,6 +845,7 @@ async function main() {
         }
 
         const synchronizer = new GitHubIssuesSynchronizer(effectiveToken, owner, repo);
+        synchronizer.setSelection(TaskSelector.fromArgs(process.argv.slice(2)));
         if (dryRun) {
             synchronizer.enableDryRun();
             console.log('🔍 Running in DRY RUN mode - no actual changes will be made\n');
@@ -533,6 +853,18 @@ async function main() {
                 console.log('ℹ️  No GITHUB_TOKEN provided - running in offline preview mode\n');
             }
         }
+        if (fileEvidence) {
+            synchronizer.enableFileEvidence(path.dirname(path.resolve(tasksFile)));
+        }
+        if (fullSync) {
+            synchronizer.enableFullSync();
+        }
+        if (since) {
+            synchronizer.setSince(since);
+        }
+        if (renumberMapFile) {
+            synchronizer.setRenumberMap(JSON.parse(fs.readFileSync(renumberMapFile, 'utf8')));
+        }
 
         const results = await synchronizer.synchronize(tasksFile);
 
@@ -0,0 +1,87 @@
+/**
+ * Task Changes Since a Git Ref
+ *
+ * Finds the tasks whose lines changed in the git diff of their source file since a
+ * given ref, so a sync can be limited to them (sync-tasks.js --since <git-ref>).
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+// Hunk header of a unified diff, e.g. "@@ -12,3 +12,4 @@"
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Get the changed line numbers (in the new file) from a zero-context unified diff
+ *
+ * A hunk that only deletes lines marks the line before the deletion.
+ */
+function parseChangedLines(diff) {
+    const lines = new Set();
+
+    for (const line of diff.split('\n')) {
+        const hunk = line.match(HUNK_HEADER);
+        if (!hunk) {
+            continue;
+        }
+
+        const start = parseInt(hunk[1], 10);
+        const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+        if (count === 0) {
+            lines.add(Math.max(start, 1));
+        }
+        for (let offset = 0; offset < count; offset++) {
+            lines.add(start + offset);
+        }
+    }
+
+    return lines;
+}
+
+/**
+ * Get the lines of a file that changed since a git ref, including uncommitted changes
+ */
+function getChangedLines(filePath, ref) {
+    try {
+        const diff = execFileSync(
+            'git',
+            ['diff', '--no-color', '--no-ext-diff', '-U0', ref, '--', path.basename(filePath)],
+            { cwd: path.dirname(path.resolve(filePath)), encoding: 'utf8' }
+        );
+        return parseChangedLines(diff);
+    } catch (error) {
+        throw new Error(`Could not diff ${filePath} against ${ref}: ${error.message}`);
+    }
+}
+
+/**
+ * Find the tasks with at least one changed line since a git ref
+ *
+ * Tasks from other task sources are diffed against their own document, which is
+ * looked up next to the task list.
+ */
+function findTasksChangedSince(tasks, ref, tasksFile) {
+    const changedLines = new Map();
+    const linesFor = filePath => {
+        if (!changedLines.has(filePath)) {
+            changedLines.set(filePath, getChangedLines(filePath, ref));
+        }
+        return changedLines.get(filePath);
+    };
+
+    return tasks.filter(task => {
+        const filePath = task.source ? path.join(path.dirname(tasksFile), task.source) : tasksFile;
+        const lines = linesFor(filePath);
+        const { startLine, endLine } = task.location;
+
+        for (let line = startLine; line <= endLine; line++) {
+            if (lines.has(line)) {
+                return true;
+            }
+        }
+        return false;
+    });
+}
+
+// Export for use as module
+module.exports = { parseChangedLines, getChangedLines, findTasksChangedSince };
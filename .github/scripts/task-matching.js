@@ -0,0 +1,174 @@
+/**
+ * Renumbered Task Detection
+ *
+ * Matches issues whose task ID no longer exists, or was renumbered by an explicit
+ * old→new ID map, to tasks that do not have an issue yet, so an issue can follow
+ * its task to a new ID instead of being closed as obsolete. An issue whose task ID
+ * still exists keeps its task, however much the task changed, since guessing wrong
+ * would move its discussion to another task.
+ *
+ * Candidates are scored by title similarity and acceptance criteria overlap; the
+ * identity marker of an issue restricts matches to tasks from the same source
+ * file, and an explicit old→new ID map (see renumber-tasks.js) takes precedence
+ * over scoring.
+ */
+
+const { TASK_UTILS } = require('./config.js');
+const { findTaskSource } = require('./task-sources.js');
+
+// Minimum score for an issue to be treated as the same task under a new ID
+const MATCH_THRESHOLD = 0.6;
+
+// Weight of title similarity in the score; acceptance criteria overlap makes up the rest
+const TITLE_WEIGHT = 0.6;
+
+// Source file of tasks from the task list itself
+const DEFAULT_SOURCE = 'MSP430_EMULATOR_TASKS.md';
+
+// "Task X.Y: " prefix of an issue title
+const TASK_ID_PREFIX = /^Task [^:]+:\s*/;
+
+/**
+ * Split text into a set of lowercase words, ignoring punctuation and markdown
+ */
+function toWords(text) {
+    return new Set(text.toLowerCase().match(/[a-z0-9]+/g) || []);
+}
+
+/**
+ * Dice coefficient of the word sets of two titles (0 = no words shared, 1 = same words)
+ */
+function titleSimilarity(a, b) {
+    const wordsA = toWords(a);
+    const wordsB = toWords(b);
+    if (wordsA.size === 0 || wordsB.size === 0) {
+        return 0;
+    }
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Jaccard index of two lists of acceptance criteria texts, compared case-insensitively
+ */
+function criteriaOverlap(a, b) {
+    const normalize = text => [...toWords(text)].join(' ');
+    const setA = new Set(a.map(normalize));
+    const setB = new Set(b.map(normalize));
+    if (setA.size === 0 || setB.size === 0) {
+        return 0;
+    }
+
+    const shared = [...setA].filter(text => setB.has(text)).length;
+    return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Get the task ID, title, source file and criteria an issue was generated from
+ *
+ * The source file comes from the identity marker, or else from the task ID.
+ */
+function describeIssue(issue) {
+    const marker = TASK_UTILS.extractIssueMarker(issue.body);
+    const taskId = TASK_UTILS.getIssueTaskId(issue);
+    const taskSource = findTaskSource(taskId);
+
+    let source = taskSource ? taskSource.file : DEFAULT_SOURCE;
+    if (marker && marker.source) {
+        source = marker.source;
+    }
+
+    return {
+        taskId,
+        title: issue.title.replace(TASK_ID_PREFIX, ''),
+        source,
+        criteria: TASK_UTILS.extractIssueCriteria(issue.body).map(c => c.text)
+    };
+}
+
+/**
+ * Score how likely an issue is the issue of a task under a new ID (0 to 1)
+ */
+function scoreMatch(issue, task) {
+    const { title, criteria } = describeIssue(issue);
+    return (
+        TITLE_WEIGHT * titleSimilarity(title, task.title) +
+        (1 - TITLE_WEIGHT) *
+            criteriaOverlap(
+                criteria,
+                task.acceptanceCriteria.map(c => c.text)
+            )
+    );
+}
+
+/**
+ * Match issues that lost their task to tasks without an issue of their own
+ *
+ * An issue lost its task when its task ID no longer exists, or when the renumber map
+ * gives its task a new ID. Each issue and each task is matched at most once, best score first. Returns
+ * {issue, oldId, task, score, reason} for every match.
+ */
+function matchRenumberedTasks(issues, tasks, renumberMap = {}) {
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+
+    const orphans = issues.filter(issue => {
+        const taskId = TASK_UTILS.getIssueTaskId(issue);
+        const labels = issue.labels.map(label => (typeof label === 'string' ? label : label.name));
+        if (!taskId || labels.includes('obsolete')) {
+            return false;
+        }
+
+        return !tasksById.has(taskId) || taskId in renumberMap;
+    });
+
+    const orphanTaskIds = new Set(orphans.map(issue => TASK_UTILS.getIssueTaskId(issue)));
+    const issueTaskIds = new Set(issues.map(issue => TASK_UTILS.getIssueTaskId(issue)));
+    const freeTasks = tasks.filter(
+        task => !issueTaskIds.has(task.id) || orphanTaskIds.has(task.id)
+    );
+
+    const candidates = [];
+    for (const issue of orphans) {
+        const { taskId, source } = describeIssue(issue);
+
+        for (const task of freeTasks) {
+            if (source !== (task.source || DEFAULT_SOURCE)) {
+                continue;
+            }
+
+            if (renumberMap[taskId] === task.id) {
+                candidates.push({ issue, oldId: taskId, task, score: 1, reason: 'renumber map' });
+                continue;
+            }
+
+            const score = task.id === taskId ? 0 : scoreMatch(issue, task);
+            if (score >= MATCH_THRESHOLD) {
+                candidates.push({ issue, oldId: taskId, task, score, reason: 'similar content' });
+            }
+        }
+    }
+
+    const matches = [];
+    const matchedIssues = new Set();
+    const matchedTasks = new Set();
+    for (const candidate of candidates.sort((a, b) => b.score - a.score)) {
+        if (matchedIssues.has(candidate.issue.number) || matchedTasks.has(candidate.task.id)) {
+            continue;
+        }
+        matchedIssues.add(candidate.issue.number);
+        matchedTasks.add(candidate.task.id);
+        matches.push(candidate);
+    }
+
+    return matches;
+}
+
+// Export for use as module
+module.exports = {
+    MATCH_THRESHOLD,
+    titleSimilarity,
+    criteriaOverlap,
+    scoreMatch,
+    matchRenumberedTasks
+};
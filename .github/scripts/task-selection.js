@@ -0,0 +1,169 @@
+/**
+ * Task Selection Rules
+ *
+ * Decides which tasks the automation works on. A selection is a list of "only"
+ * rules, every one of which a task must match, and a list of "exclude" rules,
+ * none of which it may match. A rule is a comma-separated list of terms and
+ * matches when any of its terms does; a term is "field:pattern" or just a
+ * pattern, which uses the field of the term before it (a task ID for the first):
+ *
+ *   6.*                       task IDs 6.1, 6.2, 6.2.1, ...
+ *   phase:8                   tasks of Phase 8 (phase:8* includes Phase 8.5)
+ *   status:completed          completed tasks (also pending, in-progress, blocked, deferred)
+ *   priority:critical,high    Critical or High priority tasks
+ *   area:cpu                  tasks whose metadata area is "cpu"
+ *
+ * Patterns are case-insensitive and "*" matches any run of characters. The
+ * default selection comes from issue-automation.json and command-line options
+ * (--only, --exclude, --phase, --priority) add rules to it.
+ */
+
+const { TASK_SELECTION } = require('./config.js');
+
+// Task fields that selection terms can match, and how to read each one
+const SELECTION_FIELDS = {
+    id: task => [task.id],
+    phase: task => (task.phase ? [task.phase, task.phase.replace(/^Phase\s+/i, '')] : []),
+    status: task => [getTaskStatus(task)],
+    priority: task => [task.priority],
+    area: task => (task.metadata && task.metadata.area ? [task.metadata.area] : [])
+};
+
+// Command-line options that add a rule, and the field of their rule (null for full rules)
+const SELECTION_OPTIONS = {
+    '--only': { list: 'only', field: null },
+    '--exclude': { list: 'exclude', field: null },
+    '--phase': { list: 'only', field: 'phase' },
+    '--priority': { list: 'only', field: 'priority' }
+};
+
+class TaskSelector {
+    constructor(selection = TASK_SELECTION) {
+        this.only = (selection.only || []).map(rule => parseRule(rule));
+        this.exclude = (selection.exclude || []).map(rule => parseRule(rule));
+    }
+
+    /**
+     * Create a selector from the configured selection plus command-line options
+     *
+     * Options may be repeated; each occurrence adds a rule.
+     */
+    static fromArgs(args, selection = TASK_SELECTION) {
+        const rules = {
+            only: [...(selection.only || [])],
+            exclude: [...(selection.exclude || [])]
+        };
+
+        args.forEach((arg, index) => {
+            const option = SELECTION_OPTIONS[arg];
+            if (!option) {
+                return;
+            }
+
+            const value = args[index + 1];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`${arg} needs a selection rule`);
+            }
+            rules[option.list].push(option.field ? `${option.field}:${value}` : value);
+        });
+
+        return new TaskSelector(rules);
+    }
+
+    /**
+     * Check whether a task is selected
+     */
+    matches(task) {
+        return (
+            this.only.every(rule => matchesRule(rule, task)) &&
+            !this.exclude.some(rule => matchesRule(rule, task))
+        );
+    }
+
+    /**
+     * Get the selected tasks, in their original order
+     */
+    filter(tasks) {
+        return tasks.filter(task => this.matches(task));
+    }
+
+    /**
+     * Describe the rules, e.g. "only phase:8; excluding 1.1, status:completed"
+     */
+    describe() {
+        const parts = [];
+        if (this.only.length > 0) {
+            parts.push(`only ${this.only.map(rule => rule.source).join(' and ')}`);
+        }
+        if (this.exclude.length > 0) {
+            parts.push(`excluding ${this.exclude.map(rule => rule.source).join(', ')}`);
+        }
+        return parts.length > 0 ? parts.join('; ') : 'all tasks';
+    }
+}
+
+/**
+ * Check whether a command-line argument is a selection option (followed by its rule)
+ *
+ * Lets CLIs find their positional arguments without mistaking a rule for one.
+ */
+function isSelectionOption(arg) {
+    return arg in SELECTION_OPTIONS;
+}
+
+/**
+ * Parse a rule into its terms ({field, pattern})
+ */
+function parseRule(rule) {
+    let field = 'id';
+    const terms = rule.split(',').map(text => {
+        const term = text.trim();
+        const match = term.match(/^([a-z]+):(.*)$/i);
+        if (match) {
+            field = match[1].toLowerCase();
+            if (!SELECTION_FIELDS[field]) {
+                throw new Error(
+                    `Unknown task selection field "${match[1]}" in "${rule}" (expected one of ${Object.keys(SELECTION_FIELDS).join(', ')})`
+                );
+            }
+        }
+
+        const pattern = match ? match[2] : term;
+        if (!pattern) {
+            throw new Error(`Empty task selection pattern in "${rule}"`);
+        }
+        return { field, pattern: toPattern(pattern) };
+    });
+
+    return { source: rule, terms };
+}
+
+/**
+ * Compile a "*" wildcard pattern into a case-insensitive regex matching whole values
+ */
+function toPattern(text) {
+    const escaped = text.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Check whether a task matches any term of a rule
+ */
+function matchesRule(rule, task) {
+    return rule.terms.some(term =>
+        SELECTION_FIELDS[term.field](task).some(value => term.pattern.test(value))
+    );
+}
+
+/**
+ * Get the status of a task: completed, the status marker of its heading, or pending
+ */
+function getTaskStatus(task) {
+    if (task.completed) {
+        return 'completed';
+    }
+    return task.status || 'pending';
+}
+
+// Export for use as module
+module.exports = { TaskSelector, isSelectionOption };
@@ -0,0 +1,59 @@
+/**
+ * Additional Task Sources
+ *
+ * Besides MSP430_EMULATOR_TASKS.md, the repository tracks work in review documents.
+ * Each source pairs a document with the parser that turns its items into tasks and
+ * the namespace of their IDs (e.g. "TR-G2"), so they can be synchronized with GitHub
+ * issues like any other task. Add a source here, and its namespace to
+ * TASK_SOURCE_NAMESPACES in config.js, to bring another document in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TestReviewParser } = require('./test-review-parser.js');
+const { ImplementationReviewParser } = require('./implementation-review-parser.js');
+const { TASK_ID_PATTERNS } = require('./config.js');
+
+// Task sources, with files relative to the directory of the task list
+const TASK_SOURCES = [
+    { namespace: 'TR', file: 'TEST_REVIEW_ISSUES.md', Parser: TestReviewParser },
+    {
+        namespace: 'SLAU',
+        file: 'SLAU445_IMPLEMENTATION_REVIEW.md',
+        Parser: ImplementationReviewParser
+    }
+];
+
+/**
+ * Parse every task source found in a directory
+ *
+ * Sources whose file does not exist are skipped.
+ */
+async function loadSourceTasks(rootDir, sources = TASK_SOURCES) {
+    const tasks = [];
+    const phases = [];
+
+    for (const source of sources) {
+        const filePath = path.join(rootDir, source.file);
+        if (!fs.existsSync(filePath)) {
+            continue;
+        }
+
+        const parser = new source.Parser(filePath, source.namespace);
+        tasks.push(...(await parser.parse()));
+        phases.push(...parser.getPhases());
+    }
+
+    return { tasks, phases };
+}
+
+/**
+ * Find the task source a namespaced task ID belongs to, or null
+ */
+function findTaskSource(taskId, sources = TASK_SOURCES) {
+    const match = taskId.match(TASK_ID_PATTERNS.SOURCE_TASK_ID);
+    return match ? sources.find(source => source.namespace === match[1]) || null : null;
+}
+
+// Export for use as module
+module.exports = { TASK_SOURCES, loadSourceTasks, findTaskSource };
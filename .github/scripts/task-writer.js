@@ -0,0 +1,257 @@
+/**
+ * Task List Writer
+ *
+ * Applies structured edits to MSP430_EMULATOR_TASKS.md: ticking acceptance
+ * criteria, changing priority, adding dependencies and setting the status marker
+ * of a task heading. Every edit rewrites only the line it affects, so the rest of
+ * the document (whitespace, line endings, unrelated formatting) is left byte for
+ * byte as it was. Writing without edits reproduces the input exactly.
+ */
+
+const fs = require('fs');
+const { TaskParser, STATUS_MARKER, MARKER_BY_STATUS } = require('./parse-tasks.js');
+const { KNOWN_PRIORITIES } = require('./lint-tasks.js');
+
+// List item checkbox at the start of a line, e.g. "  - [x] "
+const CHECKBOX = /^(\s*(?:[-*+]|\d{1,9}[.)])\s+\[)([ xX])(\])/;
+
+class TaskWriter {
+    constructor(content, filePath = null) {
+        this.lines = content.split('\n');
+        this.filePath = filePath;
+        this.parser = null;
+    }
+
+    /**
+     * Load a task file for editing
+     */
+    static load(filePath) {
+        return new TaskWriter(fs.readFileSync(filePath, 'utf8'), filePath);
+    }
+
+    /**
+     * Write the (edited) content back to disk
+     */
+    save(filePath = this.filePath) {
+        if (!filePath) {
+            throw new Error('No file path given to save task list');
+        }
+        fs.writeFileSync(filePath, this.toString());
+    }
+
+    /**
+     * Get the current document content
+     */
+    toString() {
+        return this.lines.join('\n');
+    }
+
+    /**
+     * Get a parser for the current content, re-parsing after edits
+     */
+    getParser() {
+        if (!this.parser) {
+            this.parser = new TaskParser(this.filePath);
+            this.parser.content = this.toString();
+            this.parser.extractTasks();
+        }
+        return this.parser;
+    }
+
+    /**
+     * Get a parsed task by ID, or throw if it does not exist
+     */
+    getTask(taskId) {
+        const task = this.getParser().getTaskById(taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} not found`);
+        }
+        return task;
+    }
+
+    /**
+     * Tick an acceptance criterion (by 0-based index or text)
+     */
+    tickCriterion(taskId, criterion) {
+        return this.setCriterion(taskId, criterion, true);
+    }
+
+    /**
+     * Untick an acceptance criterion (by 0-based index or text)
+     */
+    untickCriterion(taskId, criterion) {
+        return this.setCriterion(taskId, criterion, false);
+    }
+
+    /**
+     * Set the checkbox state of an acceptance criterion
+     *
+     * A string matches a criterion by exact text first, then by a unique substring.
+     * Returns true if the document changed.
+     */
+    setCriterion(taskId, criterion, checked) {
+        const target = this.findCriterion(this.getTask(taskId), criterion);
+
+        return this.editLine(target.line, line =>
+            line.replace(CHECKBOX, (match, open, state, close) =>
+                target.completed === checked ? match : `${open}${checked ? 'x' : ' '}${close}`
+            )
+        );
+    }
+
+    /**
+     * Find an acceptance criterion of a task by index or text
+     */
+    findCriterion(task, criterion) {
+        const criteria = task.acceptanceCriteria;
+
+        if (typeof criterion === 'number') {
+            if (!criteria[criterion]) {
+                throw new Error(`Task ${task.id} has no acceptance criterion #${criterion}`);
+            }
+            return criteria[criterion];
+        }
+
+        const exact = criteria.filter(c => c.text === criterion);
+        const matches = exact.length > 0 ? exact : criteria.filter(c => c.text.includes(criterion));
+        if (matches.length === 0) {
+            throw new Error(`Task ${task.id} has no acceptance criterion matching "${criterion}"`);
+        }
+        if (matches.length > 1) {
+            throw new Error(
+                `"${criterion}" matches ${matches.length} acceptance criteria of Task ${task.id}`
+            );
+        }
+        return matches[0];
+    }
+
+    /**
+     * Change the priority of a task, keeping any explanatory text after it
+     */
+    setPriority(taskId, priority) {
+        const level = KNOWN_PRIORITIES.find(p => p.toLowerCase() === priority.toLowerCase());
+        if (!level) {
+            throw new Error(
+                `Unknown priority "${priority}" (expected one of ${KNOWN_PRIORITIES.join(', ')})`
+            );
+        }
+
+        const task = this.getTask(taskId);
+        const lineNumber = this.findSectionLine(task, 'Priority');
+        if (lineNumber === null) {
+            throw new Error(`Task ${taskId} has no **Priority** line`);
+        }
+
+        return this.editLine(lineNumber, line =>
+            line.replace(/(\*\*Priority\*\*:[ \t]*)\S*/, `$1${level}`)
+        );
+    }
+
+    /**
+     * Add a dependency on another task
+     *
+     * Replaces "None", appends to an existing list, or adds a **Dependencies**
+     * line after the task's effort or priority line. Returns false if the
+     * dependency is already declared.
+     */
+    addDependency(taskId, dependencyId) {
+        const task = this.getTask(taskId);
+        this.getTask(dependencyId);
+
+        if (taskId === dependencyId) {
+            throw new Error(`Task ${taskId} cannot depend on itself`);
+        }
+        if (task.dependencies.includes(dependencyId)) {
+            return false;
+        }
+
+        const reference = `Task ${dependencyId}`;
+        const lineNumber = this.findSectionLine(task, 'Dependencies');
+
+        if (lineNumber === null) {
+            const anchor =
+                this.findSectionLine(task, 'Estimated Effort') ??
+                this.findSectionLine(task, 'Priority');
+            if (anchor === null) {
+                throw new Error(`Task ${taskId} has no metadata lines to add a dependency after`);
+            }
+            const eol = this.lines[anchor - 1].endsWith('\r') ? '\r' : '';
+            this.lines.splice(anchor, 0, `**Dependencies**: ${reference}${eol}`);
+            this.parser = null;
+            return true;
+        }
+
+        return this.editLine(lineNumber, line => {
+            const value = line.match(/^(\s*\*\*Dependencies\*\*:[ \t]*)(.*?)(\s*)$/);
+            if (!value[2] || value[2] === 'None') {
+                return `${value[1]}${reference}${value[3]}`;
+            }
+            return `${value[1]}${value[2]}, ${reference}${value[3]}`;
+        });
+    }
+
+    /**
+     * Set the status marker at the end of a task heading
+     *
+     * Status is 'completed', 'in-progress', 'blocked' or 'deferred'; null removes
+     * the marker. An existing marker is replaced.
+     */
+    setStatusMarker(taskId, status) {
+        if (status !== null && !MARKER_BY_STATUS[status]) {
+            throw new Error(
+                `Unknown status "${status}" (expected one of ${Object.keys(MARKER_BY_STATUS).join(', ')})`
+            );
+        }
+
+        const task = this.getTask(taskId);
+        return this.editLine(task.location.startLine, line => {
+            const heading = line.trimEnd();
+            const trailing = line.slice(heading.length);
+            const base = heading.replace(STATUS_MARKER, '');
+            return `${status ? `${base} ${MARKER_BY_STATUS[status]}` : base}${trailing}`;
+        });
+    }
+
+    /**
+     * Find the 1-based line of a "**Label**:" section of a task, or null
+     */
+    findSectionLine(task, label) {
+        const { startLine, endLine } = task.location;
+        const content = this.lines.slice(startLine - 1, endLine).join('\n');
+        const section = this.getParser().findSection(content, label, startLine);
+        return section ? section.line : null;
+    }
+
+    /**
+     * Remove deleteCount lines starting at a 1-based line and insert the given lines there
+     *
+     * Returns the removed lines.
+     */
+    spliceLines(lineNumber, deleteCount, lines = []) {
+        const removed = this.lines.splice(lineNumber - 1, deleteCount, ...lines);
+        this.parser = null;
+        return removed;
+    }
+
+    /**
+     * Rewrite a single line, preserving its line ending
+     *
+     * Returns true if the line changed.
+     */
+    editLine(lineNumber, edit) {
+        const raw = this.lines[lineNumber - 1];
+        const eol = raw.endsWith('\r') ? '\r' : '';
+        const updated = edit(eol ? raw.slice(0, -1) : raw) + eol;
+
+        if (updated === raw) {
+            return false;
+        }
+
+        this.lines[lineNumber - 1] = updated;
+        this.parser = null;
+        return true;
+    }
+}
+
+// Export for use as module
+module.exports = { TaskWriter };
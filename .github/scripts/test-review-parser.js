@@ -0,0 +1,176 @@
+/**
+ * Test Review Issues Parser
+ *
+ * Parses TEST_REVIEW_ISSUES.md into tasks. Every numbered "### N. Title" item with
+ * bold-labelled fields ("- **Issue**: ...", "- **Resolution**: ...", ...) becomes a
+ * task. Item numbers restart in each "## Section" of the document, so task IDs
+ * combine a code for the section with the item number (e.g. item 2 of "Critical
+ * Test Coverage Gaps Identified" is TR-G2). Numbering items by section keeps IDs
+ * stable when items are added to another section or retitled.
+ */
+
+const path = require('path');
+const { TaskParser } = require('./parse-tasks.js');
+
+// Numbered review item heading, e.g. "4. Missing Interrupt System Tests ✅ FIXED"
+const ITEM_HEADING = /^(\d+)\.\s+(.+)$/;
+
+// Codes of the document sections in task IDs. Other sections use the initials of their
+// heading (e.g. "Test Quality Issues" is TQI).
+const SECTION_CODES = {
+    'Previously Resolved Issues': 'R',
+    'Critical Test Coverage Gaps Identified': 'G',
+    'Architectural Issues': 'A',
+    'Priority Technical Documentation Gaps': 'D'
+};
+
+// Resolution marker at the end of an item title, e.g. "✅ FIXED" or "✅ COMPLETED"
+const RESOLVED_MARKER = /\s+(?:[^\w\s]+\s*)?(?:FIXED|COMPLETED|RESOLVED)$/u;
+
+// Priority marker at the end of an item title, e.g. "⚠️ MEDIUM PRIORITY" or "(LOW PRIORITY)"
+const PRIORITY_MARKER = /\s+(?:[^\w\s(]+\s*)?\(?(CRITICAL|HIGH|MEDIUM|LOW) PRIORITY\)?$/u;
+
+// Bold field label at the start of a list item, e.g. "**Issue**: text"
+const FIELD_LABEL = /^\*\*(.+?)\*\*:\s*(.*)$/;
+
+// Phase that all test review items belong to
+const PHASE_TITLE = 'Test Review';
+
+class TestReviewParser extends TaskParser {
+    constructor(filePath, namespace = 'TR') {
+        super(filePath);
+        this.namespace = namespace;
+    }
+
+    /**
+     * Extract review items as tasks
+     *
+     * An item runs from its heading up to the next heading of level 3 or above.
+     * Numbered headings without labelled fields are not review items.
+     */
+    extractTasks() {
+        const blocks = this.blockParser.parse(this.content);
+        const documentTitle = blocks.find(block => block.type === 'heading' && block.level === 1);
+        const name = documentTitle ? documentTitle.text : PHASE_TITLE;
+        this.phases.push({
+            number: null,
+            title: PHASE_TITLE,
+            name: name,
+            intro: '',
+            description: `${name}\n\nReview items tracked in ${path.basename(this.filePath)}`,
+            line: documentTitle ? documentTitle.line : 1
+        });
+
+        const items = [];
+        let section = getSectionCode('');
+        for (const block of blocks) {
+            if (block.type === 'heading' && block.level <= 2) {
+                section = getSectionCode(block.text);
+            }
+            if (block.type === 'heading' && block.level <= 3) {
+                const match = block.level === 3 && block.text.match(ITEM_HEADING);
+                items.push(
+                    match
+                        ? {
+                              heading: block,
+                              id: `${section}${match[1]}`,
+                              title: match[2],
+                              blocks: []
+                          }
+                        : null
+                );
+            } else if (items.length > 0 && items[items.length - 1]) {
+                items[items.length - 1].blocks.push(block);
+            }
+        }
+
+        for (const item of items.filter(Boolean)) {
+            const fields = this.extractFields(item.blocks);
+            if (Object.keys(fields).length === 0) {
+                continue;
+            }
+            this.tasks.push(this.createItemTask(item, fields));
+        }
+    }
+
+    /**
+     * Build the task for a review item from its heading and fields
+     */
+    createItemTask(item, fields) {
+        let title = item.title.trim();
+        let status = null;
+        let priority = 'Medium';
+
+        const resolved = title.match(RESOLVED_MARKER);
+        if (resolved) {
+            title = title.slice(0, resolved.index).trim();
+            status = 'completed';
+        }
+
+        const priorityMarker = title.match(PRIORITY_MARKER);
+        if (priorityMarker) {
+            title = title.slice(0, priorityMarker.index).trim();
+            priority = priorityMarker[1].charAt(0) + priorityMarker[1].slice(1).toLowerCase();
+        }
+
+        const { Issue: description = '', ...sections } = fields;
+        const lastBlock = item.blocks[item.blocks.length - 1];
+
+        return this.createTask({
+            id: `${this.namespace}-${item.id}`,
+            title: title,
+            status: status,
+            phase: PHASE_TITLE,
+            priority: priority,
+            description: description,
+            sections: sections,
+            source: path.basename(this.filePath),
+            location: {
+                startLine: item.heading.line,
+                endLine: lastBlock ? lastBlock.endLine : item.heading.line,
+                dependencies: [],
+                filesToCreate: []
+            }
+        });
+    }
+
+    /**
+     * Collect the bold-labelled list items of a review item, keyed by label
+     *
+     * A field with nested items becomes markdown text followed by the nested list.
+     */
+    extractFields(blocks) {
+        const fields = {};
+        for (const block of blocks.filter(b => b.type === 'list')) {
+            for (const item of block.items) {
+                const field = item.text.match(FIELD_LABEL);
+                if (!field) {
+                    continue;
+                }
+
+                const nested = this.collectListItems(item.blocks).map(child => `- ${child.text}`);
+                fields[field[1].trim()] =
+                    nested.length > 0 ? `${field[2]}\n\n${nested.join('\n')}`.trim() : field[2];
+            }
+        }
+        return fields;
+    }
+}
+
+/**
+ * Get the code of a document section from its heading, e.g. "G" for "Critical Test
+ * Coverage Gaps Identified"; text in parentheses and status markers are ignored
+ */
+function getSectionCode(heading) {
+    const name = heading
+        .replace(/\(.*?\)|[^\w\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (SECTION_CODES[name]) {
+        return SECTION_CODES[name];
+    }
+    return (name.match(/\b[A-Za-z]/g) || ['S']).join('').toUpperCase();
+}
+
+// Export for use as module
+module.exports = { TestReviewParser };
@@ -64,6 +64,23 @@ const runner = new TestRunner();
 runner.test('All automation scripts exist', () => {
     const requiredScripts = [
         'parse-tasks.js',
+        'schema-validator.js',
+        'markdown-parser.js',
+        'lint-tasks.js',
+        'task-writer.js',
+        'renumber-tasks.js',
+        'reverse-sync.js',
+        'task-sources.js',
+        'file-evidence.js',
+        'issue-templates.js',
+        'label-reconciler.js',
+        'task-changes.js',
+        'task-matching.js',
+        'task-selection.js',
+        'test-review-parser.js',
+        'implementation-review-parser.js',
+        'dependency-graph.js',
+        'dependency-diagram.js',
         'create-issues.js',
         'update-issues.js',
         'sync-tasks.js',
@@ -272,6 +289,2028 @@ This is a test task description.
     );
 });
 
+// Test: Parsed tasks carry source positions
+runner.test('TaskParser records line numbers for tasks and their fields', () => {
+    const { TaskParser } = require('./parse-tasks.js');
+    const parser = new TaskParser();
+
+    parser.content = `# Task List
+
+## Phase 1: Setup
+
+### Task 1.1: First Task
+**Priority**: High
+**Estimated Effort**: 2 hours
+**Dependencies**: None
+
+**Acceptance Criteria**:
+- [ ] First criterion
+- [x] Second criterion
+
+**Files to Create**:
+\`\`\`text
+src/First.cs
+tests/FirstTests.cs
+\`\`\`
+
+### Task 1.2: Second Task
+**Priority**: High
+**Estimated Effort**: 2 hours
+**Dependencies**: Task 1.1, Task 1.0
+
+**Acceptance Criteria**:
+- [ ] Only criterion
+`;
+    parser.extractTasks();
+
+    const [first, second] = parser.tasks;
+    runner.assertEqual(first.location.startLine, 5, 'Task 1.1 should start on line 5');
+    runner.assertEqual(first.location.endLine, 18, 'Task 1.1 should end on line 18');
+    runner.assertEqual(first.acceptanceCriteria[0].line, 11, 'First criterion on line 11');
+    runner.assertEqual(first.acceptanceCriteria[1].line, 12, 'Second criterion on line 12');
+    runner.assertEqual(first.location.filesToCreate[1].path, 'tests/FirstTests.cs');
+    runner.assertEqual(first.location.filesToCreate[1].line, 17, 'Second file on line 17');
+    runner.assertEqual(first.filesToCreate[0], 'src/First.cs', 'filesToCreate stays a string list');
+
+    runner.assertEqual(second.location.startLine, 20, 'Task 1.2 should start on line 20');
+    runner.assertEqual(second.location.dependencies.length, 2, 'Should locate 2 dependencies');
+    runner.assertEqual(second.location.dependencies[1].line, 23, 'Dependency on line 23');
+    runner.assertEqual(second.location.dependencies[1].column, 29, 'Dependency at column 29');
+    runner.assertEqual(second.acceptanceCriteria[0].line, 26, 'Criterion on line 26');
+
+    // Each task body is parsed once, however many fields are extracted from it
+    const parse = parser.blockParser.parse.bind(parser.blockParser);
+    let parses = 0;
+    parser.blockParser.parse = (...args) => {
+        parses++;
+        return parse(...args);
+    };
+    const body = parser.content.split('\n').slice(19).join('\n');
+    parser.bodyCache = null;
+    const reparsed = parser.parseTaskSection('1.2', 'Second Task', body, 20);
+    runner.assertEqual(parses, 1, 'Task body should be parsed once');
+    runner.assertEqual(reparsed.acceptanceCriteria[0].line, 26, 'Criterion on line 26');
+});
+
+// Test: Markdown block parser builds a block tree
+runner.test('MarkdownBlockParser builds nested lists, code and tables', () => {
+    const { MarkdownBlockParser } = require('./markdown-parser.js');
+    const blocks = new MarkdownBlockParser().parse(`## Heading
+
+- [ ] Parent item
+  - [x] Nested item
+- Plain item
+
+\`\`\`\`text
+### Task 9.9: Not a heading
+\`\`\`
+\`\`\`\`
+
+| Name | Value |
+| ---- | ----- |
+| a    | 1     |
+`);
+
+    runner.assertEqual(
+        blocks.map(block => block.type).join(','),
+        'heading,list,code,table',
+        'Should produce heading, list, code and table blocks'
+    );
+    const [parent, plain] = blocks[1].items;
+    runner.assertEqual(parent.checked, false, 'Parent item should be an unchecked checkbox');
+    runner.assertEqual(parent.blocks[1].items[0].checked, true, 'Nested item should be checked');
+    runner.assertEqual(parent.blocks[1].items[0].line, 4, 'Nested item should be on line 4');
+    runner.assertEqual(plain.checked, null, 'Plain item should not be a checkbox');
+    runner.assertEqual(blocks[2].lines.length, 2, 'Longer fence should contain the shorter one');
+    runner.assertEqual(blocks[3].rows[1][1], '1', 'Table cells should be split');
+});
+
+// Test: Task fields come from the block tree, not from raw text
+runner.test('TaskParser ignores headings in code and stops sections at their boundaries', () => {
+    const { TaskParser } = require('./parse-tasks.js');
+    const parser = new TaskParser();
+
+    parser.content = `## Phase 1: Setup
+
+### Task 1.1: First Task
+**Priority**: High
+**Estimated Effort**: 2 hours
+**Dependencies**: None
+
+Set up the project.
+
+**Acceptance Criteria**:
+
+- [ ] Top-level criterion
+  - [x] Nested criterion
+
+**Notes**:
+
+- [ ] Not a criterion
+
+| Column | Value |
+| ------ | ----- |
+| a      | b     |
+
+\`\`\`\`markdown
+\`\`\`
+### Task 1.9: Example inside a code block
+\`\`\`
+\`\`\`\`
+
+---
+
+**Files to Create**:
+
+\`\`\`text
+# Documentation
+docs/Guide.md
+\`\`\`
+
+**Testing Strategy**:
+
+- Unit tests
+  - Edge cases
+`;
+    parser.extractTasks();
+
+    runner.assertEqual(
+        parser.tasks.length,
+        1,
+        'Headings inside code blocks should not start tasks'
+    );
+    const [task] = parser.tasks;
+    runner.assertEqual(
+        task.description,
+        'Set up the project.',
+        'Description should be free text only'
+    );
+    runner.assertEqual(task.acceptanceCriteria.length, 2, 'Should include nested criteria only');
+    runner.assertEqual(task.acceptanceCriteria[1].text, 'Nested criterion');
+    runner.assertEqual(task.acceptanceCriteria[1].line, 13, 'Nested criterion on line 13');
+    runner.assertEqual(task.completed, false, 'Task with an unchecked criterion is not completed');
+    runner.assertEqual(task.filesToCreate.length, 1, 'Should skip comment lines in the file list');
+    runner.assertEqual(task.filesToCreate[0], 'docs/Guide.md');
+    runner.assertEqual(task.testingStrategy.join('|'), 'Unit tests|Edge cases');
+});
+
+// Test: Checklists outside the Acceptance Criteria section are not criteria
+runner.test('TaskParser counts only Acceptance Criteria checkboxes as criteria', async () => {
+    const { TaskParser } = require('./parse-tasks.js');
+    const parser = new TaskParser();
+
+    parser.content = `## Phase 6: Instructions
+
+### Task 6.5: Emulated Instructions
+
+- [ ] Checklist in the description
+
+**Acceptance Criteria**:
+
+- [ ] Validate all emulated instructions
+  - [x] Status register group
+
+**Instructions to Validate** (per Table 4-7):
+
+**Status Register Manipulation**:
+
+- [x] SETC → BIS #1, SR
+- [ ] DINT → BIC #8, SR
+
+**Testing Strategy**:
+
+- [ ] Equivalence tests
+`;
+    parser.extractTasks();
+    const [task] = parser.tasks;
+
+    runner.assertEqual(
+        task.acceptanceCriteria.map(c => `${c.completed ? 'x' : ' '}${c.text}`).join('|'),
+        ' Validate all emulated instructions|xStatus register group'
+    );
+    runner.assertEqual(
+        task.sections['Status Register Manipulation'].join('|'),
+        '[x] SETC → BIS #1, SR|[ ] DINT → BIC #8, SR',
+        'Other checklists keep their checkboxes in their section'
+    );
+
+    // The task list's instruction checklists are sections, not criteria
+    const tasksParser = new TaskParser(path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md'));
+    await tasksParser.parse();
+    for (const id of ['6.5', '8.5.1']) {
+        const parsed = tasksParser.getTaskById(id);
+        runner.assertEqual(parsed.acceptanceCriteria.length, 7, `Task ${id} criteria`);
+        runner.assert(parsed.acceptanceCriteria.every(c => !c.text.includes('→')));
+    }
+});
+
+// Test: Every bold-labelled section is captured and rendered in issue bodies
+runner.test('TaskParser captures all labelled sections for issue bodies', () => {
+    const { TaskParser } = require('./parse-tasks.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const { GitHubIssuesUpdater } = require('./update-issues.js');
+    const parser = new TaskParser();
+
+    const mockTaskContent = `### Task 1.1: Test Task
+**Priority**: High
+**Estimated Effort**: 2 hours
+**Dependencies**: None
+
+**Status**: Decoding is complete.
+
+**TI Documentation References**:
+
+- SLAU445I Section 4.5.1.5.4 Table 4-10
+
+**Acceptance Criteria**:
+
+- [ ] First criterion
+
+**Hardware Test Procedures**:
+
+1. Load the binary
+2. Observe P1.0
+
+\`\`\`bash
+dotnet test
+\`\`\``;
+
+    const task = parser.parseTaskSection('1.1', 'Test Task', mockTaskContent);
+    runner.assertEqual(task.sections['Status'], 'Decoding is complete.');
+    runner.assertEqual(task.sections['TI Documentation References'].length, 1);
+    runner.assertEqual(task.sections['Acceptance Criteria'][0], '[ ] First criterion');
+    runner.assert(
+        task.sections['Hardware Test Procedures'].includes('dotnet test'),
+        'Mixed-content sections should keep their markdown source'
+    );
+
+    const creatorBody = GitHubIssuesCreator.prototype.generateIssueBody.call({}, task);
+    const updaterBody = GitHubIssuesUpdater.prototype.generateIssueBody.call({}, task);
+    runner.assertEqual(creatorBody, updaterBody, 'Creator and updater should render identically');
+    runner.assert(
+        creatorBody.includes('## TI Documentation References\n\n- SLAU445I Section 4.5.1.5.4'),
+        'Issue body should include TI references'
+    );
+    runner.assert(
+        creatorBody.includes('## Hardware Test Procedures\n\n1. Load the binary'),
+        'Issue body should include hardware test procedures'
+    );
+    runner.assertEqual(
+        creatorBody.split('## Acceptance Criteria').length,
+        2,
+        'Structured sections should not be rendered twice'
+    );
+});
+
+// Test: Status markers are split off titles and drive completion and labels
+runner.test('TaskParser parses title status markers into task.status', async () => {
+    const { TaskParser } = require('./parse-tasks.js');
+    const { TASK_UTILS } = require('./config.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const { GitHubIssuesUpdater } = require('./update-issues.js');
+    const parser = new TaskParser();
+
+    const allChecked = `### Task 1.1: Test Task
+**Priority**: High
+
+**Acceptance Criteria**:
+- [x] Only criterion`;
+    const unchecked = allChecked.replace('[x]', '[ ]');
+
+    const completed = parser.parseTaskSection('1.1', 'Build Setup ✅ COMPLETED', unchecked);
+    runner.assertEqual(completed.title, 'Build Setup', 'Marker should be stripped from title');
+    runner.assertEqual(completed.status, 'completed');
+    runner.assertEqual(completed.completed, true, 'COMPLETED marker should complete the task');
+
+    const partial = parser.parseTaskSection('1.1', 'Jumps ⚠️ PARTIALLY IMPLEMENTED', allChecked);
+    runner.assertEqual(partial.title, 'Jumps');
+    runner.assertEqual(partial.status, 'in-progress');
+    runner.assertEqual(partial.completed, false, 'In-progress marker should keep the task open');
+
+    const blocked = parser.parseTaskSection('1.1', 'Interrupts BLOCKED', unchecked);
+    runner.assertEqual(blocked.status, 'blocked');
+
+    const plain = parser.parseTaskSection('1.1', 'Plain Task', allChecked);
+    runner.assertEqual(plain.status, null, 'Titles without a marker have no status');
+    runner.assertEqual(plain.completed, true, 'Without a marker, checked criteria decide');
+
+    for (const Generator of [GitHubIssuesCreator, GitHubIssuesUpdater]) {
+        const generateLabels = Generator.prototype.generateLabels;
+        runner.assert(generateLabels.call(null, partial).includes('status-in-progress'));
+        runner.assert(generateLabels.call(null, blocked).includes('status-blocked'));
+        runner.assert(generateLabels.call(null, completed).includes('status-completed'));
+    }
+
+    // The dry-run preview lists the same labels the creator and updater apply
+    const { DryRunPreview } = require('./dry-run.js');
+    const preview = new DryRunPreview();
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await preview.previewLabelsAndMilestones([partial, blocked]);
+    } finally {
+        console.log = log;
+    }
+    runner.assertEqual(
+        preview.changes.labels.join(','),
+        [...new Set([partial, blocked].flatMap(task => TASK_UTILS.getTaskLabels(task)))].join(',')
+    );
+    runner.assertEqual(TASK_UTILS.getStatusLabel(plain), 'status-completed');
+});
+
+// Test: Phase metadata comes from "## Phase N:" headings
+runner.test('TaskParser captures phase metadata from phase headings', () => {
+    const { TaskParser } = require('./parse-tasks.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const parser = new TaskParser();
+
+    parser.content = `# Task List
+
+## Phase 5: CPU Instruction Set - Data Movement
+
+### Task 5.1: Move Instructions
+**Priority**: High
+
+## Phase 5.5: Critical Corrections
+
+*Fix compliance gaps first.*
+
+### Task 5.5.1: Fix Cycle Counts
+**Priority**: Critical
+`;
+    parser.extractTasks();
+
+    const phases = parser.getPhases();
+    runner.assertEqual(phases.length, 2, 'Should find 2 phases');
+    runner.assertEqual(phases[1].number, '5.5');
+    runner.assertEqual(phases[1].name, 'Critical Corrections');
+    runner.assertEqual(phases[1].intro, '*Fix compliance gaps first.*');
+    runner.assertEqual(phases[1].line, 8, 'Phase heading on line 8');
+    runner.assertEqual(parser.getTaskById('5.1').phase, 'Phase 5');
+    runner.assertEqual(
+        parser.getTaskById('5.5.1').phase,
+        'Phase 5.5',
+        'Tasks take their phase from the enclosing heading'
+    );
+
+    const creator = new GitHubIssuesCreator('dummy-token', 'owner', 'repo');
+    creator.setPhases(phases);
+    runner.assertEqual(
+        creator.milestoneDescription('Phase 5.5'),
+        'Critical Corrections\n\n*Fix compliance gaps first.*',
+        'Milestone description should come from the task document'
+    );
+    runner.assertEqual(
+        creator.milestoneDescription('Phase 12'),
+        'Tasks for Phase 12 of MSP430 Emulator development',
+        'Unknown phases fall back to a generic description'
+    );
+    runner.assert(
+        creator.generateLabels(parser.getTaskById('5.5.1')).includes('phase-5.5'),
+        'Phase label should follow the phase heading'
+    );
+});
+
+// Test: Task writer round-trips the task file byte for byte
+runner.test('TaskWriter reproduces MSP430_EMULATOR_TASKS.md exactly without edits', () => {
+    const { TaskWriter } = require('./task-writer.js');
+    const tasksPath = path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
+    const content = fs.readFileSync(tasksPath, 'utf8');
+
+    const writer = new TaskWriter(content);
+    runner.assert(writer.getParser().tasks.length > 0, 'Writer should parse tasks');
+    runner.assert(writer.toString() === content, 'Unedited output should be identical');
+
+    const crlf = '### Task 1.1: Test\r\n**Priority**: High  \r\n\r\n';
+    runner.assert(new TaskWriter(crlf).toString() === crlf, 'CRLF content should round-trip');
+});
+
+// Test: Task writer applies structured edits to single lines
+runner.test('TaskWriter applies structured edits without touching other lines', () => {
+    const { TaskWriter } = require('./task-writer.js');
+    const content = `## Phase 1: Setup
+
+### Task 1.1: First Task ✅ COMPLETED
+**Priority**: High
+**Estimated Effort**: 2 hours
+**Dependencies**: None
+
+**Acceptance Criteria**:
+- [x] First criterion
+  - [ ] Nested criterion
+
+### Task 1.2: Second Task\r
+**Priority**: Medium (after review)\r
+**Estimated Effort**: 1 hour\r
+\r
+**Acceptance Criteria**:\r
+- [ ] Only criterion\r
+`;
+    const writer = new TaskWriter(content);
+    const changedLines = () => {
+        const before = content.split('\n');
+        return writer
+            .toString()
+            .split('\n')
+            .filter((line, index) => line !== before[index]);
+    };
+
+    runner.assertEqual(writer.tickCriterion('1.1', 'Nested'), true, 'Tick should change the file');
+    runner.assertEqual(writer.tickCriterion('1.1', 1), false, 'Ticking twice is a no-op');
+    runner.assertEqual(writer.getTask('1.1').acceptanceCriteria[1].completed, true);
+    writer.untickCriterion('1.1', 'First criterion');
+    writer.setPriority('1.2', 'high');
+    writer.setStatusMarker('1.1', 'in-progress');
+    writer.setStatusMarker('1.2', 'blocked');
+
+    runner.assertEqual(
+        changedLines().join('|'),
+        [
+            '### Task 1.1: First Task 🚧 IN PROGRESS',
+            '- [ ] First criterion',
+            '  - [x] Nested criterion',
+            '### Task 1.2: Second Task ⛔ BLOCKED\r',
+            '**Priority**: High (after review)\r'
+        ].join('|'),
+        'Only the edited lines should change, keeping line endings'
+    );
+
+    runner.assertEqual(writer.addDependency('1.2', '1.1'), true);
+    runner.assertEqual(
+        writer.addDependency('1.2', '1.1'),
+        false,
+        'Duplicate dependency is a no-op'
+    );
+    runner.assertEqual(writer.addDependency('1.1', '1.2'), true);
+    runner.assert(
+        writer
+            .toString()
+            .includes('**Estimated Effort**: 1 hour\r\n**Dependencies**: Task 1.1\r\n'),
+        'Missing dependency line should be inserted after the effort line'
+    );
+    runner.assert(writer.toString().includes('**Dependencies**: Task 1.2\n'), 'None is replaced');
+    runner.assertEqual(writer.getTask('1.2').status, 'blocked', 'Edits should re-parse');
+
+    writer.setStatusMarker('1.2', null);
+    runner.assertEqual(writer.getTask('1.2').title, 'Second Task', 'null removes the marker');
+
+    let error = null;
+    try {
+        writer.setPriority('1.1', 'Urgent');
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error && error.message.includes('Unknown priority'), 'Should reject priorities');
+});
+
+// Test: Renumbering tasks rewrites every reference
+runner.test('TaskRenumberer inserts, moves and deletes tasks and rewrites references', () => {
+    const { TaskRenumberer, formatIdMap } = require('./renumber-tasks.js');
+    const content = `## Phase 1: Setup
+
+### Task 1.1: First Task
+**Priority**: High
+**Dependencies**: None
+
+---
+
+### Task 1.2: Second Task
+**Priority**: Medium
+**Dependencies**: Task 1.1
+
+Builds on Tasks 1.1 and 1.3.
+
+---
+
+### Task 1.3: Third Task
+**Priority**: Low
+**Dependencies**: Task 1.1, Task 1.2
+
+---
+
+## Phase 2: Core
+
+### Task 2.1: Core Task
+**Priority**: High
+**Dependencies**: Task 1.3
+`;
+    const headings = renumberer =>
+        renumberer
+            .toString()
+            .split('\n')
+            .filter(line => line.startsWith('### '))
+            .join('|');
+
+    const inserted = new TaskRenumberer(content);
+    const insertMap = inserted.insert('1.2', 'New Task');
+    runner.assertEqual(formatIdMap(insertMap), '1.2 → 1.3\n1.3 → 1.4');
+    runner.assertEqual(
+        headings(inserted),
+        '### Task 1.1: First Task|### Task 1.2: New Task|### Task 1.3: Second Task|' +
+            '### Task 1.4: Third Task|### Task 2.1: Core Task'
+    );
+    runner.assert(inserted.toString().includes('Builds on Tasks 1.1 and 1.4.'), 'Prose rewritten');
+    runner.assert(inserted.toString().includes('**Dependencies**: Task 1.1, Task 1.3\n'));
+    runner.assert(inserted.toString().includes('**Dependencies**: Task 1.4\n'), 'Other phases');
+    runner.assertEqual(inserted.writer.getTask('1.2').priority, 'Medium', 'New task parses');
+
+    const moved = new TaskRenumberer(content);
+    const moveMap = moved.move('1.3', '1.1');
+    runner.assertEqual(formatIdMap(moveMap), '1.1 → 1.2\n1.2 → 1.3\n1.3 → 1.1');
+    runner.assertEqual(
+        headings(moved),
+        '### Task 1.1: Third Task|### Task 1.2: First Task|### Task 1.3: Second Task|' +
+            '### Task 2.1: Core Task'
+    );
+    runner.assert(moved.toString().includes('**Dependencies**: Task 1.2, Task 1.3\n'), 'No chain');
+
+    const toPhase = new TaskRenumberer(content);
+    runner.assertEqual(formatIdMap(toPhase.move('1.1', '2.2')), '1.1 → 2.2\n1.2 → 1.1\n1.3 → 1.2');
+    runner.assertEqual(toPhase.writer.getTask('2.2').title, 'First Task');
+    runner.assertEqual(toPhase.writer.getTask('2.2').phase, 'Phase 2');
+
+    const removed = new TaskRenumberer(content);
+    runner.assertEqual(formatIdMap(removed.remove('1.1')), '1.1 → (deleted)\n1.2 → 1.1\n1.3 → 1.2');
+    runner.assert(removed.toString().includes('**Dependencies**: None\n'), 'Dependency dropped');
+    runner.assert(removed.toString().includes('**Dependencies**: Task 1.1\n'), 'Dependency kept');
+    runner.assertEqual(removed.warnings.length, 1, 'Prose reference to deleted task is reported');
+    runner.assert(!removed.toString().includes('First Task'), 'Task block removed');
+
+    let error = null;
+    try {
+        new TaskRenumberer(content).insert('1.5', 'Too Far');
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error && error.message.includes('cannot insert'), 'Should reject gaps');
+
+    // Child tasks are not numbered with the phase; they follow their parent
+    const withChildren = `## Phase 6: Control Flow
+
+### Task 6.1: Jumps
+**Dependencies**: None
+
+### Task 6.2: Calls
+**Dependencies**: Task 6.1
+
+### Task 6.2.1: CALL
+**Dependencies**: Task 6.2
+
+### Task 6.2.2: RET
+**Dependencies**: Task 6.2.1
+
+### Task 6.3: Interrupts
+**Dependencies**: Task 6.2.2
+`;
+    const insertedParent = new TaskRenumberer(withChildren);
+    runner.assertEqual(
+        formatIdMap(insertedParent.insert('6.1', 'Branches')),
+        '6.1 → 6.2\n6.2 → 6.3\n6.2.1 → 6.3.1\n6.2.2 → 6.3.2\n6.3 → 6.4'
+    );
+    runner.assertEqual(insertedParent.writer.getTask('6.3.2').parent, '6.3');
+    runner.assert(insertedParent.toString().includes('**Dependencies**: Task 6.3.2\n'));
+
+    const movedParent = new TaskRenumberer(withChildren);
+    runner.assertEqual(
+        formatIdMap(movedParent.move('6.2', '6.3')),
+        '6.2 → 6.3\n6.2.1 → 6.3.1\n6.2.2 → 6.3.2\n6.3 → 6.2'
+    );
+    runner.assertEqual(
+        headings(movedParent),
+        '### Task 6.1: Jumps|### Task 6.2: Interrupts|### Task 6.3: Calls|' +
+            '### Task 6.3.1: CALL|### Task 6.3.2: RET'
+    );
+    runner.assertEqual(
+        movedParent.writer
+            .getTask('6.3')
+            .children.map(child => child.id)
+            .join(','),
+        '6.3.1,6.3.2'
+    );
+
+    const removedChild = new TaskRenumberer(withChildren);
+    runner.assertEqual(
+        formatIdMap(removedChild.remove('6.2.1')),
+        '6.2.1 → (deleted)\n6.2.2 → 6.2.1'
+    );
+    try {
+        new TaskRenumberer(withChildren).remove('6.2');
+        error = null;
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error && error.message.includes('has child tasks'), 'Parents keep children');
+});
+
+// Test: Synchronizer moves issues of renumbered tasks instead of closing them
+runner.test('Synchronizer migrates issues of renumbered tasks', async () => {
+    const { matchRenumberedTasks, titleSimilarity } = require('./task-matching.js');
+    const { GitHubIssuesSynchronizer } = require('./sync-tasks.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const creator = new GitHubIssuesCreator('fake-token', 'owner', 'repo');
+
+    const makeTask = (id, title, criteria) => ({
+        id,
+        title,
+        status: null,
+        phase: 'Phase 6',
+        priority: 'Medium',
+        effort: '2 hours',
+        dependencies: [],
+        description: '',
+        acceptanceCriteria: criteria.map(text => ({ text, completed: false })),
+        filesToCreate: [],
+        testingStrategy: [],
+        sections: {},
+        completed: false
+    });
+    const issueFor = (number, task) => ({
+        number,
+        title: `Task ${task.id}: ${task.title}`,
+        body: creator.generateIssueBody(task),
+        labels: [{ name: 'task' }]
+    });
+
+    const subroutine = ['Implement CALL', 'Implement RET', 'Add stack tests'];
+    const interrupts = ['Implement RETI', 'Handle interrupt vectors'];
+    const issues = [
+        issueFor(31, makeTask('6.3', 'Subroutine Instructions', subroutine)),
+        issueFor(32, makeTask('6.4', 'Interrupt and Special Instructions', interrupts))
+    ];
+    // A new 6.3 was inserted, and the old 6.3 and 6.4 moved up by one
+    const tasks = [
+        makeTask('6.3', 'Branch Table Support', ['Implement branch tables']),
+        makeTask('6.4', 'Subroutine Instructions', subroutine),
+        makeTask('6.5', 'Interrupt Instructions', interrupts)
+    ];
+    const renumberMap = { 6.3: '6.4', 6.4: '6.5' };
+
+    runner.assertEqual(titleSimilarity('Subroutine Instructions', 'subroutine instructions'), 1);
+    const matches = matchRenumberedTasks(issues, tasks, renumberMap);
+    runner.assertEqual(
+        matches.map(m => `#${m.issue.number}:${m.oldId}->${m.task.id}:${m.reason}`).join(','),
+        '#31:6.3->6.4:renumber map,#32:6.4->6.5:renumber map',
+        'Issues should follow their tasks by the renumber map'
+    );
+
+    // Without a map, issues whose task ID still exists keep their task
+    runner.assertEqual(matchRenumberedTasks(issues, tasks).length, 0);
+    const retitled = [
+        makeTask('6.3', 'Call and Return Handling', ['Decode CALLA']),
+        makeTask('6.5', 'Subroutine Instructions', subroutine)
+    ];
+    runner.assertEqual(
+        matchRenumberedTasks([issues[0]], retitled).length,
+        0,
+        'A retitled task should keep its issue when a similar task is added'
+    );
+
+    // Issues whose task ID is gone follow the most similar task without an issue
+    const moved = [tasks[1], makeTask('6.9', 'Interrupt Instructions', interrupts)];
+    const byContent = matchRenumberedTasks(issues, [{ ...moved[0], id: '6.3' }, moved[1]]);
+    runner.assertEqual(
+        byContent.map(m => `#${m.issue.number}:${m.oldId}->${m.task.id}:${m.reason}`).join(','),
+        '#32:6.4->6.9:similar content'
+    );
+
+    const otherSource = { ...tasks[1], id: 'TR-G9', source: 'TEST_REVIEW.md' };
+    runner.assertEqual(
+        matchRenumberedTasks([issues[0]], [otherSource]).length,
+        0,
+        'Issues should not move to a task from another source file'
+    );
+    const mapped = matchRenumberedTasks([issues[0]], tasks, { 6.3: '6.3' });
+    runner.assertEqual(mapped[0].task.id, '6.3', 'An explicit renumber map takes precedence');
+    runner.assertEqual(mapped[0].reason, 'renumber map');
+
+    const synchronizer = new GitHubIssuesSynchronizer('fake-token', 'owner', 'repo');
+    synchronizer.enableDryRun();
+    synchronizer.getAllTaskIssues = async () => issues;
+    synchronizer.setRenumberMap(renumberMap);
+    const results = await synchronizer.migrateRenumberedIssues(tasks);
+    runner.assertEqual(results.migrated.length, 2);
+    runner.assertEqual(results.migrated[0].oldId, '6.3');
+
+    const cleaned = await synchronizer.cleanupObsoleteIssues(
+        tasks,
+        new Set(results.migrated.map(entry => entry.issueNumber))
+    );
+    runner.assertEqual(cleaned.cleaned.length, 0, 'Migrated issues are not closed as obsolete');
+});
+
+// Test: Three-part task IDs become sub-issues of their parent task
+runner.test('Child tasks are linked to parent issues as sub-issues', async () => {
+    const { TaskParser, hashTask } = require('./parse-tasks.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const { GitHubIssuesUpdater } = require('./update-issues.js');
+    const { GitHubIssuesSynchronizer } = require('./sync-tasks.js');
+
+    const parser = new TaskParser('tasks.md');
+    parser.content = `## Phase 2: Core
+
+### Task 2.1: Parent Task
+**Priority**: High
+
+### Task 2.1.1: First Child ✅ COMPLETED
+**Priority**: High
+
+### Task 2.1.2: Second Child
+**Priority**: Medium
+
+### Task 2.2.1: Orphan Child
+**Priority**: Low
+`;
+    parser.extractTasks();
+    const [parent, first, second, orphan] = parser.tasks;
+
+    runner.assertEqual(first.parent, '2.1');
+    runner.assertEqual(orphan.parent, null, 'No parent without a task for the ID prefix');
+    runner.assertEqual(
+        JSON.stringify(parent.children),
+        JSON.stringify([
+            { id: '2.1.1', title: 'First Child', completed: true },
+            { id: '2.1.2', title: 'Second Child', completed: false }
+        ])
+    );
+    const hash = hashTask(parent);
+    runner.assert(
+        hashTask({ ...parent, children: [parent.children[0]] }) !== hash,
+        'Child changes should change the parent hash'
+    );
+
+    const body = new GitHubIssuesCreator('fake-token', 'owner', 'repo').generateIssueBody(parent);
+    runner.assert(
+        body.includes(
+            '## Subtasks\n\n- [x] Task 2.1.1: First Child\n- [ ] Task 2.1.2: Second Child\n'
+        ),
+        'Parent issue should list its children'
+    );
+    const linkedUpdater = new GitHubIssuesUpdater('fake-token', 'o', 'r');
+    linkedUpdater.useIssues([{ number: 12, title: 'Task 2.1.2: Second Child', body: '' }]);
+    runner.assert(
+        linkedUpdater
+            .generateIssueBody(parent)
+            .includes('## Subtasks\n\n- [x] Task 2.1.1: First Child\n- [ ] #12\n'),
+        'Children with issues should be referenced by issue number'
+    );
+    const childBody = new GitHubIssuesUpdater('fake-token', 'o', 'r').generateIssueBody(second);
+    runner.assert(
+        childBody.includes('**Parent**: Task 2.1\n'),
+        'Child issue should name its parent'
+    );
+
+    const updater = new GitHubIssuesUpdater('fake-token', 'owner', 'repo');
+    runner.assert(!updater.isClosedWithChildren(parent), 'Second child is still open');
+    second.completed = true;
+    parent.children[1].completed = true;
+    runner.assert(updater.isClosedWithChildren(parent), 'All children complete');
+    runner.assert(!updater.isClosedWithChildren(second), 'Tasks without children');
+
+    const issue = (number, task, state) => ({
+        id: 1000 + number,
+        number,
+        state,
+        title: `Task ${task.id}: ${task.title}`,
+        body: '',
+        labels: []
+    });
+    const synchronizer = new GitHubIssuesSynchronizer('fake-token', 'owner', 'repo');
+    synchronizer.enableDryRun();
+    synchronizer.getAllTaskIssues = async () => [
+        issue(1, parent, 'open'),
+        issue(2, first, 'closed'),
+        issue(3, second, 'closed')
+    ];
+    synchronizer.getSubIssueIds = async () => new Set([1002]);
+
+    const results = await synchronizer.syncSubIssues(parser.tasks);
+    runner.assertEqual(
+        results.linked.map(link => `${link.parent}>${link.child}`).join(','),
+        '2.1>2.1.2',
+        'Only the missing sub-issue link should be added'
+    );
+    runner.assertEqual(results.closed.length, 1, 'Parent closes when all child issues are closed');
+    runner.assertEqual(results.closed[0].issueNumber, 1);
+});
+
+// Test: Per-task yaml metadata becomes managed issue fields
+runner.test('Task metadata blocks set assignees, labels, due dates and skip-issue', async () => {
+    const { TaskParser } = require('./parse-tasks.js');
+    const { TaskLinter } = require('./lint-tasks.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const { GitHubIssuesUpdater } = require('./update-issues.js');
+
+    const content = `## Phase 7: Interrupts
+
+### Task 7.1: Interrupt Controller
+**Priority**: High
+**Estimated Effort**: 4 hours
+
+\`\`\`yaml
+# Owners of the interrupt system
+assignees: [@alice, bob]
+labels:
+  - interrupts
+  - "needs-design"
+due: 2025-03-31
+area: CPU Core
+\`\`\`
+
+**Acceptance Criteria**:
+- [ ] Dispatch interrupts
+
+### Task 7.2: Interrupt Docs
+**Priority**: Low
+**Estimated Effort**: 1 hour
+
+\`\`\`yaml
+skip-issue: true
+due: next week
+owner: carol
+\`\`\`
+
+**Acceptance Criteria**:
+- [ ] Write docs
+`;
+    const parser = new TaskParser('tasks.md');
+    parser.content = content;
+    parser.extractTasks();
+    const [controller, docs] = parser.tasks;
+
+    runner.assertEqual(
+        JSON.stringify(controller.metadata),
+        JSON.stringify({
+            assignees: ['alice', 'bob'],
+            labels: ['interrupts', 'needs-design'],
+            due: '2025-03-31',
+            area: 'CPU Core',
+            skipIssue: false
+        })
+    );
+    runner.assertEqual(controller.description, '', 'The metadata block is not description');
+    runner.assertEqual(docs.metadata.skipIssue, true);
+    runner.assertEqual(docs.metadata.assignees, null, 'Assignees are unmanaged unless listed');
+
+    const diagnostics = new TaskLinter('tasks.md')
+        .lintContent(content)
+        .filter(d => d.rule === 'invalid-metadata');
+    runner.assertEqual(
+        diagnostics.map(d => d.line).join(','),
+        '26,27',
+        'Invalid due date and unknown field should be reported'
+    );
+
+    const creator = new GitHubIssuesCreator('fake-token', 'owner', 'repo');
+    const issueData = creator.formatIssueData(controller);
+    runner.assertEqual(issueData.assignees.join(','), 'alice,bob');
+    runner.assert(
+        ['area-cpu-core', 'interrupts', 'needs-design'].every(l => issueData.labels.includes(l)),
+        'Metadata labels should be added'
+    );
+    runner.assert(issueData.body.includes('**Due**: 2025-03-31\n'), 'Body shows the due date');
+
+    creator.enableDryRun();
+    creator.findExistingIssue = async () => null;
+    const created = await creator.createIssuesFromTasks([docs]);
+    runner.assertEqual(created.created.length, 0);
+    runner.assertEqual(created.skipped[0].reason, 'skip-issue set in task metadata');
+
+    const updater = new GitHubIssuesUpdater('fake-token', 'owner', 'repo');
+    const issue = {
+        number: 5,
+        title: 'Task 7.1: Interrupt Controller',
+        body: updater.generateIssueBody(controller),
+        labels: updater.generateLabels(controller).map(name => ({ name })),
+        assignees: [{ login: 'bob' }]
+    };
+    const changes = updater.detectChanges(issue, controller);
+    runner.assertEqual(changes.map(c => c.field).join(','), 'assignees');
+    runner.assertEqual(changes[0].expected.join(','), 'alice,bob');
+    const unmanaged = { ...controller, metadata: { ...controller.metadata, assignees: null } };
+    runner.assertEqual(updater.detectChanges(issue, unmanaged).length, 0);
+});
+
+// Test: Parser output matches its versioned JSON Schema
+runner.test('Parser output validates against parsed-tasks schema', async () => {
+    const { TaskParser, createParseOutput, validateParseOutput } = require('./parse-tasks.js');
+    const { SchemaValidator } = require('./schema-validator.js');
+    const schema = require('../config/parsed-tasks.schema.json');
+
+    const parser = new TaskParser(path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md'));
+    await parser.parse();
+    const output = JSON.parse(JSON.stringify(createParseOutput(parser)));
+    runner.assertEqual(output.schemaVersion, schema.properties.schemaVersion.const);
+    runner.assertEqual(validateParseOutput(output).length, 0);
+
+    const task = output.tasks[0];
+    const broken = {
+        ...output,
+        schemaVersion: '0.9.0',
+        tasks: [{ ...task, priority: 3, extra: true, metadata: { ...task.metadata, due: 'soon' } }]
+    };
+    const errors = validateParseOutput(broken).map(e => `${e.path} ${e.message}`);
+    runner.assert(errors.includes('/schemaVersion must be "1.0.0"'), errors.join('; '));
+    runner.assert(errors.includes('/tasks/0/priority must be string, got number'));
+    runner.assert(errors.includes('/tasks/0/extra is not an allowed property'));
+    runner.assert(errors.some(e => e.startsWith('/tasks/0/metadata/due must match')));
+    runner.assertEqual(errors.length, 4);
+
+    const validator = new SchemaValidator({
+        $defs: { id: { type: 'string' } },
+        type: 'object',
+        required: ['id'],
+        properties: { id: { $ref: '#/$defs/id' } }
+    });
+    runner.assertEqual(validator.validate({})[0].message, 'is missing required property "id"');
+    runner.assertEqual(validator.validate({ id: null })[0].path, '/id');
+});
+
+// Test: Automation settings come from the validated config file
+runner.test('Automation settings load from issue-automation.json', () => {
+    const config = require('./config.js');
+
+    const settings = config.loadAutomationConfig();
+    runner.assertEqual(config.validateAutomationConfig(settings).length, 0);
+    runner.assertEqual(
+        config.TASK_SELECTION.exclude.join(';'),
+        settings.selection.exclude.join(';')
+    );
+    runner.assertEqual(config.BOT_USER_AGENT, settings.bot.userAgent);
+    runner.assertEqual(config.AUTOMATION_FOOTER, settings.bot.footer);
+    runner.assertEqual(config.PROTECTION_LABEL.name, 'manual-issue-protected');
+
+    // The protector recognises automated issues by the configured footer
+    const { ManualIssueProtector } = require('./manual-issue-protector.js');
+    const protector = new ManualIssueProtector('fake-token', 'owner', 'repo');
+    const analysis = protector.analyzeIssue({
+        title: 'Some issue',
+        body: `Text\n\n---\n*${config.AUTOMATION_FOOTER}*`,
+        labels: []
+    });
+    runner.assertEqual(analysis.isManual, false);
+    runner.assertEqual(analysis.confidence, 0.95);
+
+    const broken = JSON.parse(JSON.stringify(settings));
+    broken.version = 1;
+    broken.selection.only.push(' ');
+    broken.labels.priorities[0].color = 'red';
+    delete broken.bot.footer;
+    const errors = config.validateAutomationConfig(broken).map(e => `${e.path}: ${e.message}`);
+    runner.assertEqual(errors.length, 4, errors.join('; '));
+    runner.assert(errors.includes('/version: must be 2'));
+    runner.assert(errors.includes('/bot: is missing required property "footer"'));
+    runner.assert(errors.some(e => e.startsWith('/selection/only/0: must match')));
+    runner.assert(errors.some(e => e.startsWith('/labels/priorities/0/color: must match')));
+
+    let error = null;
+    try {
+        config.loadAutomationConfig(path.join(__dirname, 'missing-automation.json'));
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error && error.message.startsWith('Cannot load automation config'));
+});
+
+// Test: Issue bodies are rendered from issue-templates.json
+runner.test('Issue template renderer handles fields, sections and lists', async () => {
+    const {
+        IssueTemplateRenderer,
+        renderMilestoneDescription,
+        renderTaskTitle
+    } = require('./issue-templates.js');
+    const ISSUE_TEMPLATES = require('../config/issue-templates.json');
+    const { TaskParser } = require('./parse-tasks.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const { GitHubIssuesUpdater } = require('./update-issues.js');
+
+    const renderer = new IssueTemplateRenderer({
+        templates: {},
+        formatting: {
+            checklist: {
+                format: '- {checkbox} {text}',
+                checkboxCompleted: '[x]',
+                checkboxPending: '[ ]'
+            },
+            refs: { format: '#{item}', separator: ', ', none: 'none' }
+        }
+    });
+    const data = {
+        title: 'Decoder {x}',
+        owner: null,
+        refs: [],
+        steps: [
+            { text: 'Parse', completed: true },
+            { text: 'Emit', completed: false }
+        ],
+        notes: [{ label: 'A', lines: ['1', '2'] }]
+    };
+    runner.assertEqual(
+        renderer.render('{title} by {#if owner}{owner}{#else}nobody{/if} ({refs|refs})', data),
+        'Decoder {x} by nobody (none)'
+    );
+    runner.assertEqual(renderer.render('{steps|checklist}', data), '- [x] Parse\n- [ ] Emit');
+    runner.assertEqual(
+        renderer.render('{#each notes}{label}: {#each lines}{item}{label}{/each}{/each}', data),
+        'A: 1A2A'
+    );
+
+    const failures = ['{missing}', '{#if owner}open', '{/each}', '{steps}', '{title|refs}'].map(
+        text => {
+            try {
+                renderer.render(text, data, 'sample');
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        }
+    );
+    runner.assertEqual(failures[0], 'Issue template sample: unknown field {missing}');
+    runner.assertEqual(failures[1], 'Issue template sample: {#if owner} is not closed');
+    runner.assertEqual(failures[2], 'Issue template sample: {/each} without a matching {#each}');
+    runner.assertEqual(failures[3], 'Issue template sample: unknown list formatter "steps"');
+    runner.assertEqual(failures[4], 'Issue template sample: {title} is not a list');
+
+    // The shipped templates render every task, and the creator and updater agree
+    const parser = new TaskParser(path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md'));
+    const tasks = await parser.parse();
+    const creator = new GitHubIssuesCreator('fake-token', 'owner', 'repo');
+    const updater = new GitHubIssuesUpdater('fake-token', 'owner', 'repo');
+    for (const task of tasks) {
+        runner.assertEqual(creator.generateIssueBody(task), updater.generateIssueBody(task));
+    }
+    const body = creator.generateIssueBody({ ...tasks[0], dependencies: [], description: '' });
+    runner.assert(body.startsWith(`**Priority**: ${tasks[0].priority}\n`));
+    runner.assert(body.includes('**Dependencies**: None\n\n## Acceptance Criteria\n\n- ['));
+
+    // Issue titles come from the "task" template wherever they are created or compared
+    const titled = new IssueTemplateRenderer({
+        templates: { task: { title: '[{taskId}] {taskTitle} ({priority})', body: '' } }
+    });
+    runner.assertEqual(
+        titled.renderTaskTitle(tasks[0]),
+        `[${tasks[0].id}] ${tasks[0].title} (${tasks[0].priority})`
+    );
+    runner.assertEqual(creator.formatIssueData(tasks[0]).title, renderTaskTitle(tasks[0]));
+    runner.assertEqual(renderTaskTitle(tasks[0]), `Task ${tasks[0].id}: ${tasks[0].title}`);
+    runner.assert(
+        !('labels' in ISSUE_TEMPLATES.templates.task),
+        'Task labels come from TASK_UTILS.getTaskLabels, not the template'
+    );
+
+    const bug = new IssueTemplateRenderer().renderTemplate('bug', 'title', { summary: 'Crash' });
+    runner.assertEqual(bug, 'Bug: Crash');
+
+    const progress = { completedTasks: 1, totalTasks: 3, progressPercent: 33, remainingHours: '4' };
+    runner.assertEqual(
+        renderMilestoneDescription('Phase 2', 'Core work', progress),
+        'Core work\n\n📊 Progress: 1/3 tasks completed (33%), 4 hours remaining'
+    );
+});
+
+// Test: Label reconciler plans creates, updates and opt-in deletes
+runner.test('Label reconciler plans changes against the label catalogue', async () => {
+    const { LabelReconciler } = require('./label-reconciler.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const { AUTOMATION_CONFIG, PROTECTION_LABEL } = require('./config.js');
+
+    const reconciler = new LabelReconciler('fake-token', 'owner', 'repo');
+    reconciler.setPhases([{ title: 'Phase 1', name: 'Foundation' }]);
+    const declared = reconciler.getDeclaredLabels();
+    const task = AUTOMATION_CONFIG.labels.task;
+    const high = AUTOMATION_CONFIG.labels.priorities[1];
+    const phase = { name: 'phase-1', color: 'C5DEF5', description: 'Phase 1: Foundation' };
+    const existing = [
+        { ...task, name: 'Task', description: null },
+        { ...high, color: '000000' },
+        phase,
+        { name: 'priority-urgent', color: 'ffffff', description: '' },
+        { name: 'design', color: 'ffffff', description: 'Design work' },
+        ...declared.filter(l => !['obsolete', 'status-blocked', task.name].includes(l.name))
+    ].filter((label, index, all) => all.findIndex(l => l.name === label.name) === index);
+
+    runner.assert(declared.some(l => l.name === PROTECTION_LABEL.name));
+    const plan = reconciler.planChanges(existing);
+    runner.assertEqual(plan.create.map(l => l.name).join(','), 'status-blocked,obsolete');
+    runner.assertEqual(
+        plan.update.map(u => `${u.name}:${u.changes.join('+')}`).join(','),
+        `Task:name+description,${high.name}:color`
+    );
+    runner.assertEqual(plan.delete.length, 0);
+    runner.assertEqual(
+        plan.undeclared.map(l => `${l.name}:${l.stale}`).join(','),
+        'priority-urgent:true,design:false'
+    );
+
+    reconciler.enablePrune();
+    const pruned = reconciler.planChanges(existing);
+    runner.assertEqual(pruned.delete.map(l => l.name).join(','), 'priority-urgent');
+    runner.assertEqual(pruned.undeclared.map(l => l.name).join(','), 'design');
+
+    // The creator reconciles (without pruning) through the same plan
+    const calls = [];
+    const creator = new GitHubIssuesCreator('fake-token', 'owner', 'repo');
+    creator.setPhases([{ title: 'Phase 1', name: 'Foundation' }]);
+    creator.octokit = {
+        rest: {
+            issues: {
+                listLabelsForRepo: async () => ({ data: existing }),
+                createLabel: async params => calls.push(`create ${params.name}`),
+                updateLabel: async params => calls.push(`update ${params.name}>${params.new_name}`),
+                deleteLabel: async params => calls.push(`delete ${params.name}`)
+            }
+        }
+    };
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await creator.ensureLabelsExist();
+    } finally {
+        console.log = log;
+    }
+    runner.assertEqual(
+        calls.join(','),
+        `create status-blocked,create obsolete,update Task>task,update ${high.name}>${high.name}`
+    );
+});
+
+// Test: Task selection rules decide which tasks are automated
+runner.test('Task selection rules filter tasks consistently', async () => {
+    const { TaskSelector } = require('./task-selection.js');
+    const { TaskParser } = require('./parse-tasks.js');
+    const { GitHubIssuesSynchronizer } = require('./sync-tasks.js');
+    const { DisasterRecovery } = require('./disaster-recovery.js');
+    const { DryRunPreview } = require('./dry-run.js');
+    const { GitHubIssuesUpdater } = require('./update-issues.js');
+
+    const parser = new TaskParser(path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md'));
+    const tasks = await parser.parse();
+    const ids = selector => selector.filter(tasks).map(task => task.id);
+
+    // The configured selection excludes the tasks that were implemented by hand
+    const configured = new TaskSelector();
+    runner.assert(!ids(configured).includes('1.1'));
+    runner.assertEqual(ids(configured).length, tasks.length - 5);
+
+    const phase = tasks.find(task => task.id.startsWith('6.')).phase;
+    const selector = TaskSelector.fromArgs(
+        ['tasks.md', '--only', '6.*', '--exclude', 'status:completed'],
+        { only: [], exclude: [] }
+    );
+    runner.assertEqual(
+        ids(selector).join(','),
+        tasks
+            .filter(task => task.id.startsWith('6.') && !task.completed)
+            .map(task => task.id)
+            .join(',')
+    );
+    runner.assertEqual(selector.describe(), 'only 6.*; excluding status:completed');
+
+    const byPhase = TaskSelector.fromArgs(['--phase', phase.replace('Phase ', '')]);
+    runner.assert(byPhase.filter(tasks).every(task => task.phase === phase));
+    runner.assert(byPhase.filter(tasks).length > 0);
+
+    const byPriority = TaskSelector.fromArgs(['--priority', 'critical,HIGH'], {
+        only: [],
+        exclude: []
+    });
+    runner.assertEqual(
+        ids(byPriority).join(','),
+        tasks
+            .filter(task => ['Critical', 'High'].includes(task.priority))
+            .map(task => task.id)
+            .join(',')
+    );
+
+    const failures = [['--only', 'owner:me'], ['--phase']].map(args => {
+        try {
+            TaskSelector.fromArgs(args);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    });
+    runner.assert(failures[0].startsWith('Unknown task selection field "owner" in "owner:me"'));
+    runner.assertEqual(failures[1], '--phase needs a selection rule');
+
+    // Every entry point applies the same selection
+    const synchronizer = new GitHubIssuesSynchronizer('fake-token', 'owner', 'repo');
+    const recovery = new DisasterRecovery('fake-token', 'owner', 'repo');
+    const preview = new DryRunPreview();
+    for (const target of [synchronizer, recovery, preview]) {
+        runner.assertEqual(target.filterIncludedTasks(tasks).length, tasks.length - 5);
+        target.setSelection(selector);
+        runner.assertEqual(
+            target
+                .filterIncludedTasks(tasks)
+                .map(task => task.id)
+                .join(','),
+            ids(selector).join(',')
+        );
+    }
+    runner.assertEqual(synchronizer.updater.selection, selector);
+
+    const updater = new GitHubIssuesUpdater('fake-token', 'owner', 'repo');
+    updater.setSelection(selector);
+    updater.getAllTaskIssues = async () => [];
+    const results = await updater.updateIssuesFromTasks([tasks[0]]);
+    runner.assertEqual(results.skipped[0].reason, 'Task excluded by task selection rules');
+
+    // Issues of tasks outside the selection are neither obsolete nor renumbered
+    const outside = tasks.find(task => task.id === '7.1');
+    const outsideIssue = {
+        id: 70,
+        number: 70,
+        state: 'open',
+        title: `Task ${outside.id}: ${outside.title}`,
+        body: updater.generateIssueBody(outside),
+        labels: [{ name: 'task' }]
+    };
+    const phaseSync = new GitHubIssuesSynchronizer('fake-token', 'owner', 'repo');
+    phaseSync.enableDryRun();
+    phaseSync.setSelection(selector);
+    phaseSync.getAllTaskIssues = async () => [outsideIssue];
+    phaseSync.creator.ensureLabelsExist = async () => {};
+    phaseSync.ensurePhaseMilestonesExist = async () => {};
+    phaseSync.organizeMilestones = async () => {};
+    phaseSync.creator.createIssuesFromTasks = async () => ({ created: [], errors: [] });
+    phaseSync.updater.updateIssuesFromTasks = async () => ({ updated: [], closed: [], errors: [] });
+    const originalLog = console.log;
+    console.log = () => {};
+    let syncResults;
+    try {
+        syncResults = await phaseSync.synchronize(parser.filePath);
+    } finally {
+        console.log = originalLog;
+    }
+    runner.assertEqual(syncResults.errors.length, 0);
+    runner.assertEqual(syncResults.cleaned.length, 0, 'Deselected task issues stay open');
+    runner.assertEqual(syncResults.migrated.length, 0, 'Deselected task issues keep their task');
+});
+
+// Test: Listing calls follow Link headers through every page
+runner.test('Pagination follows Link headers and caps items', async () => {
+    const { paginate, getNextPage } = require('./github-utils.js');
+    const { ManualIssueProtector } = require('./manual-issue-protector.js');
+
+    // Three pages of issues, linked the way the GitHub API links them
+    const requests = [];
+    const listPage = async params => {
+        requests.push(params);
+        const items = [1, 2, 3].map(n => ({ number: (params.page - 1) * 3 + n }));
+        const link =
+            params.page < 3
+                ? `<https://api.github.com/repos/o/r/issues?page=${params.page + 1}&per_page=3>; rel="next", ` +
+                  '<https://api.github.com/repos/o/r/issues?page=3&per_page=3>; rel="last"'
+                : '<https://api.github.com/repos/o/r/issues?page=1&per_page=3>; rel="first"';
+        return { data: items, headers: { link } };
+    };
+
+    const all = await paginate(listPage, { owner: 'o', repo: 'r' }, { operationName: 'list' });
+    runner.assertEqual(all.map(issue => issue.number).join(','), '1,2,3,4,5,6,7,8,9');
+    runner.assertEqual(requests.map(params => params.page).join(','), '1,2,3');
+    runner.assertEqual(requests[0].per_page, 100);
+    runner.assertEqual(requests[0].owner, 'o');
+
+    // The item cap stops fetching as soon as it is reached
+    requests.length = 0;
+    const capped = await paginate(listPage, {}, { maxItems: 4 });
+    runner.assertEqual(capped.length, 4);
+    runner.assertEqual(requests.length, 2);
+
+    runner.assertEqual(getNextPage({}), null);
+    runner.assertEqual(getNextPage({ link: '<https://x/?page=1>; rel="prev"' }), null);
+
+    // Responses without a Link header are a single page
+    const protector = new ManualIssueProtector('fake-token', 'owner', 'repo');
+    protector.octokit = {
+        rest: { issues: { listForRepo: async () => ({ data: [{ number: 1 }], headers: {} }) } }
+    };
+    runner.assertEqual((await protector.getAllIssues()).length, 1);
+
+    // The creator fetches task issues and milestones once per run, however many tasks it handles
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const calls = [];
+    const creator = new GitHubIssuesCreator('fake-token', 'owner', 'repo');
+    creator.octokit = {
+        rest: {
+            issues: {
+                listForRepo: async () => {
+                    calls.push('issues');
+                    return {
+                        data: [
+                            { id: 101, number: 1, title: 'Task 2.1: Parent', body: '' },
+                            { id: 102, number: 2, title: 'Task 2.1.1: Child', body: '' }
+                        ],
+                        headers: {}
+                    };
+                },
+                listMilestones: async () => {
+                    calls.push('milestones');
+                    return { data: [{ number: 7, title: 'Phase 2' }], headers: {} };
+                },
+                createMilestone: async params => {
+                    calls.push(`create ${params.title}`);
+                    return { data: { number: 8, title: params.title } };
+                },
+                addSubIssue: async params => calls.push(`link ${params.sub_issue_id}`)
+            }
+        }
+    };
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await creator.linkSubIssues(
+            { id: 103, number: 3 },
+            { id: '2.1.2', parent: '2.1', children: [{ id: '2.1.2.1' }] }
+        );
+        runner.assertEqual((await creator.findExistingIssue({ id: '2.1.1' })).number, 2);
+        runner.assertEqual(await creator.findExistingIssue({ id: '2.2' }), null);
+        runner.assertEqual((await creator.findOrCreateMilestone('Phase 2')).number, 7);
+        runner.assertEqual((await creator.findOrCreateMilestone('Phase 3')).number, 8);
+        runner.assertEqual((await creator.findOrCreateMilestone('Phase 3')).number, 8);
+    } finally {
+        console.log = log;
+    }
+    runner.assertEqual(calls.join(','), 'issues,link 103,milestones,create Phase 3');
+
+    creator.clearIndex();
+    await creator.findExistingIssue({ id: '2.1' });
+    runner.assertEqual(calls.filter(call => call === 'issues').length, 2);
+
+    // The synchronizer fetches task issues once per run and shares them with the creator,
+    // fetching again only after a step that changed issues
+    const { GitHubIssuesSynchronizer } = require('./sync-tasks.js');
+    const synchronizer = new GitHubIssuesSynchronizer('fake-token', 'owner', 'repo');
+    let listed = 0;
+    synchronizer.octokit = {
+        rest: {
+            issues: {
+                listForRepo: async () => {
+                    listed++;
+                    return {
+                        data: [{ number: 1, title: 'Task 2.1: Parent', body: '' }],
+                        headers: {}
+                    };
+                }
+            }
+        }
+    };
+    synchronizer.creator.octokit = null;
+    synchronizer.creator.useIssues(await synchronizer.getAllTaskIssues());
+    runner.assertEqual((await synchronizer.creator.findExistingIssue({ id: '2.1' })).number, 1);
+    await synchronizer.getAllTaskIssues();
+    runner.assertEqual(listed, 1);
+
+    synchronizer.clearTaskIssuesAfter([{ dryRun: true }]);
+    await synchronizer.getAllTaskIssues();
+    runner.assertEqual(listed, 1);
+
+    synchronizer.clearTaskIssuesAfter([{ issueNumber: 2 }]);
+    runner.assertEqual(synchronizer.creator.issueIndex, null);
+    await synchronizer.getAllTaskIssues();
+    runner.assertEqual(listed, 2);
+});
+
+// Test: Reverse sync applies GitHub ticks and reports conflicts
+runner.test('ReverseSynchronizer applies criteria ticked on GitHub', () => {
+    const { ReverseSynchronizer } = require('./reverse-sync.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const synchronizer = new ReverseSynchronizer('fake-token', 'owner', 'repo');
+    const creator = new GitHubIssuesCreator('fake-token', 'owner', 'repo');
+
+    const content = `## Phase 1: Setup
+
+### Task 1.1: First Task
+**Priority**: High
+
+**Acceptance Criteria**:
+- [ ] Ticked on GitHub
+- [ ] Untouched
+- [x] Ticked locally
+- [ ] Renamed locally
+`;
+    const task = {
+        id: '1.1',
+        title: 'First Task',
+        acceptanceCriteria: [
+            { text: 'Ticked on GitHub', completed: false },
+            { text: 'Untouched', completed: false },
+            { text: 'Ticked locally', completed: false },
+            { text: 'Renamed criterion', completed: false }
+        ]
+    };
+    const synced = creator.generateIssueBody(task);
+    runner.assertEqual(
+        synchronizer.extractSyncedState(synced).join(','),
+        'false,false,false,false'
+    );
+
+    const body = synced
+        .replace('- [ ] Ticked on GitHub', '- [x] Ticked on GitHub')
+        .replace('- [ ] Renamed criterion', '- [x] Renamed criterion');
+    const issues = [{ number: 7, title: 'Task 1.1: First Task', body }];
+
+    const { writer, changes, conflicts } = synchronizer.reconcile(content, issues);
+    runner.assertEqual(changes.length, 1, 'Only the GitHub tick should be applied');
+    runner.assertEqual(changes[0].text, 'Ticked on GitHub');
+    runner.assertEqual(conflicts.length, 1, 'Criterion missing locally should conflict');
+    runner.assertEqual(conflicts[0].text, 'Renamed criterion');
+    runner.assert(writer.toString().includes('- [x] Ticked on GitHub\n'), 'Tick should be applied');
+    runner.assert(writer.toString().includes('- [x] Ticked locally\n'), 'Local tick is kept');
+
+    const patch = synchronizer.createPatch(content, writer.toString(), 'TASKS.md');
+    runner.assert(patch.startsWith('--- a/TASKS.md\n+++ b/TASKS.md\n@@ -4,7 +4,7 @@'));
+    runner.assert(patch.includes('\n-- [ ] Ticked on GitHub\n+- [x] Ticked on GitHub\n'));
+
+    const unsynced = body.replace(/<!-- synced-criteria: \d+ -->\n/, '');
+    const legacy = synchronizer.reconcile(content, [{ ...issues[0], body: unsynced }]);
+    runner.assertEqual(legacy.changes.length, 0, 'Without a baseline nothing is applied');
+    runner.assert(
+        legacy.conflicts.some(c => c.reason.includes('no synced checkbox state')),
+        'Differences without a baseline should be reported'
+    );
+    runner.assertEqual(synchronizer.createPatch(content, content, 'TASKS.md'), '', 'No diff');
+});
+
+// Test: Review documents are parsed into namespaced tasks
+runner.test('Task sources parse review documents into namespaced tasks', async () => {
+    const { TestReviewParser } = require('./test-review-parser.js');
+    const { ImplementationReviewParser } = require('./implementation-review-parser.js');
+    const { TASK_SOURCES, loadSourceTasks, findTaskSource } = require('./task-sources.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const { TASK_SOURCE_NAMESPACES, TASK_UTILS } = require('./config.js');
+
+    const testReview = new TestReviewParser('TEST_REVIEW_ISSUES.md');
+    testReview.content = `# Test Review Issues
+
+## Previously Resolved Issues ✅
+
+### 1. Missing Integration Tests ✅ FIXED
+
+- **Issue**: No integration tests
+- **Resolution**: Added tests covering:
+  - Memory system
+- **Status**: Complete
+
+## Remaining Gaps
+
+### 1. Extended Instruction Set Coverage (LOW PRIORITY)
+
+- **Current State**: Core instructions tested
+
+### Phase 1: Immediate Actions
+
+1. **Not a review item**
+`;
+    testReview.extractTasks();
+    runner.assertEqual(testReview.tasks.map(t => t.id).join(','), 'TR-R1,TR-RG1');
+    const [fixed, open] = testReview.tasks;
+    runner.assertEqual(fixed.title, 'Missing Integration Tests');
+    runner.assert(fixed.completed, 'FIXED items should be completed');
+    runner.assertEqual(fixed.description, 'No integration tests');
+    runner.assertEqual(fixed.sections.Resolution, 'Added tests covering:\n\n- Memory system');
+    runner.assertEqual(open.title, 'Extended Instruction Set Coverage');
+    runner.assertEqual(open.priority, 'Low');
+    runner.assert(!open.completed, 'Unmarked items should be incomplete');
+    runner.assertEqual(open.phase, 'Test Review');
+    runner.assertEqual(open.location.startLine, 14);
+
+    const review = new ImplementationReviewParser('SLAU445_IMPLEMENTATION_REVIEW.md');
+    review.content = `# SLAU445 Implementation Review
+
+### Strengths ✅
+
+1. **Register Implementation** - Not an improvement
+
+### Areas for Improvement ⚠️
+
+#### High Priority
+
+1. **Instruction Cycle Counts** - Use a lookup table
+
+#### Low Priority
+
+1. ✅ **MSP430X Instructions** - Add extension words
+
+### Implementation Quality Assessment
+
+1. **Not an improvement**
+`;
+    review.extractTasks();
+    runner.assertEqual(
+        review.tasks.map(t => `${t.id}:${t.priority}`).join(','),
+        'SLAU-H1:High,SLAU-L1:Low'
+    );
+
+    // Items are numbered per priority, so adding one leaves the other priorities alone,
+    // and retitling an item keeps its ID
+    const inserted = new ImplementationReviewParser('SLAU445_IMPLEMENTATION_REVIEW.md');
+    inserted.content = review.content
+        .replace('1. **Instruction Cycle Counts**', '1. **Cycle Count Table**')
+        .replace(
+            '#### Low Priority',
+            '2. **Interrupt Handling** - Add a controller\n\n#### Low Priority'
+        );
+    inserted.extractTasks();
+    runner.assertEqual(inserted.tasks.map(t => t.id).join(','), 'SLAU-H1,SLAU-H2,SLAU-L1');
+    runner.assertEqual(inserted.tasks[0].title, 'Cycle Count Table');
+    runner.assertEqual(review.tasks[0].title, 'Instruction Cycle Counts');
+    runner.assertEqual(review.tasks[0].description, 'Use a lookup table');
+    runner.assert(review.tasks[1].completed, 'Ticked improvements should be completed');
+
+    const creator = new GitHubIssuesCreator('fake-token', 'owner', 'repo');
+    runner.assertEqual(
+        creator.formatIssueData(open).title,
+        'Task TR-RG1: Extended Instruction Set Coverage'
+    );
+    runner.assert(creator.generateLabels(open).includes('test-review'), 'Source phase label');
+    runner.assert(
+        creator.generateIssueBody(fixed).includes('generated from TEST_REVIEW_ISSUES.md'),
+        'Issue footer should name the source document'
+    );
+    runner.assertEqual(TASK_UTILS.extractTaskIdFromTitle('Task SLAU-M2: Title'), 'SLAU-M2');
+    // Only registered namespaces with section-qualified numbers are task IDs
+    runner.assertEqual(TASK_UTILS.extractTaskIdFromTitle('Task CI-fix: Flaky build'), null);
+    runner.assertEqual(TASK_UTILS.extractTaskIdFromTitle('Task XY-G2: Other'), null);
+    runner.assertEqual(findTaskSource('TR-G3').file, 'TEST_REVIEW_ISSUES.md');
+    runner.assert(
+        TASK_SOURCES.every(source => TASK_SOURCE_NAMESPACES.includes(source.namespace)),
+        'Every task source namespace should be registered in config.js'
+    );
+    runner.assertEqual(findTaskSource('1.1'), null);
+
+    const { tasks } = await loadSourceTasks(path.resolve(__dirname, '../..'));
+    runner.assertEqual(tasks.find(t => t.id === 'TR-R1').title, 'Missing Integration Tests');
+    runner.assertEqual(tasks.find(t => t.id === 'SLAU-M1').title, 'Interrupt Handling');
+});
+
+// Test: File evidence compares task files with the working tree
+runner.test('FileEvidenceChecker flags tasks whose files disagree with their status', () => {
+    const { FileEvidenceChecker } = require('./file-evidence.js');
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const root = path.resolve(__dirname, '../..');
+    const checker = new FileEvidenceChecker(root);
+
+    const task = {
+        id: '1.5',
+        title: 'Automation',
+        completed: true,
+        filesToCreate: ['.github/scripts/parse-tasks.js', 'docs/missing/ (directory)'],
+        acceptanceCriteria: [
+            { text: 'Parse tasks with `parse-tasks.js` into `TaskParser`', completed: true },
+            { text: 'Run `dotnet build` in `.github/scripts/`', completed: true }
+        ]
+    };
+
+    runner.assertEqual(
+        checker
+            .extractPaths(task)
+            .map(file => `${file.origin}:${file.path}`)
+            .join(','),
+        'files:.github/scripts/parse-tasks.js,files:docs/missing/,criteria:parse-tasks.js,criteria:.github/scripts/'
+    );
+
+    const completed = checker.checkTask(task);
+    runner.assertEqual(completed.missing, 1, 'Only the missing directory should be missing');
+    runner.assertEqual(completed.finding, 'missing-files');
+
+    const incomplete = checker.checkTask({
+        ...task,
+        completed: false,
+        filesToCreate: ['.github/scripts/parse-tasks.js']
+    });
+    runner.assertEqual(incomplete.finding, 'files-exist');
+
+    const report = checker.createReport([
+        task,
+        { ...task, id: '1.6', filesToCreate: [], acceptanceCriteria: [] }
+    ]);
+    runner.assertEqual(report.checkedTasks, 1);
+    runner.assertEqual(report.completedWithMissingFiles.length, 1);
+    runner.assert(checker.toMarkdown(report).includes('- ❌ `docs/missing/`'));
+
+    const creator = new GitHubIssuesCreator('fake-token', 'owner', 'repo');
+    const fullTask = {
+        ...task,
+        priority: 'High',
+        effort: 'TBD',
+        phase: 'Phase 1',
+        dependencies: []
+    };
+    runner.assert(!creator.generateIssueBody(fullTask).includes('## Files\n'), 'Off by default');
+    creator.enableFileEvidence(root);
+    const body = creator.generateIssueBody(fullTask);
+    runner.assert(
+        body.includes('## Files\n\n- ✅ `.github/scripts/parse-tasks.js`\n- ❌ `docs/missing/`\n')
+    );
+});
+
+// Test: Content hashes let unchanged tasks be skipped
+runner.test('Task content hashes skip unchanged tasks in incremental sync', async () => {
+    const { TaskParser, hashTask } = require('./parse-tasks.js');
+    const { GitHubIssuesUpdater } = require('./update-issues.js');
+    const { GitHubIssuesSynchronizer } = require('./sync-tasks.js');
+    const { parseChangedLines, findTasksChangedSince } = require('./task-changes.js');
+    const { TASK_UTILS } = require('./config.js');
+
+    const tasksPath = path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md');
+    const parser = new TaskParser(tasksPath);
+    const tasks = await parser.parse();
+    const task = tasks.find(t => !t.completed && t.dependencies.length > 0);
+
+    runner.assert(/^[0-9a-f]{16}$/.test(task.hash), 'Parsed tasks should have a hash');
+    runner.assertEqual(hashTask({ ...task, location: { startLine: 1, endLine: 2 } }), task.hash);
+    runner.assert(hashTask({ ...task, priority: 'Low' }) !== task.hash, 'Content changes hash');
+    const ticked = task.acceptanceCriteria.map(c => ({ ...c, completed: !c.completed }));
+    runner.assert(hashTask({ ...task, acceptanceCriteria: ticked }) !== task.hash);
+
+    const updater = new GitHubIssuesUpdater('fake-token', 'owner', 'repo');
+    const body = updater.generateIssueBody(task);
+    runner.assertEqual(TASK_UTILS.extractTaskHash(body), task.hash, 'Body records the hash');
+    const issue = { number: 1, title: `Task ${task.id}: ${task.title}`, body, labels: [] };
+    runner.assert(updater.isUnchanged(issue, task), 'Issue synced from this content');
+    runner.assert(
+        !updater.isUnchanged(issue, { ...task, hash: hashTask({ ...task, title: 'x' }) })
+    );
+    runner.assert(!updater.isUnchanged({ ...issue, body: 'old body' }, task), 'No marker');
+
+    // Inputs besides the task content are covered by the render hash
+    const { IssueTemplateRenderer, hashTaskRender } = require('./issue-templates.js');
+    runner.assertEqual(TASK_UTILS.extractIssueMarker(body).renderHash, hashTaskRender(task));
+    const withoutRenderHash = body.replace(/render-hash: .*\n/, '');
+    runner.assert(!updater.isUnchanged({ ...issue, body: withoutRenderHash }, task), 'Old marker');
+    const templates = require('../config/issue-templates.json');
+    const edited = new IssueTemplateRenderer({
+        ...templates,
+        templates: { ...templates.templates, task: { ...templates.templates.task, body: 'x' } }
+    });
+    runner.assert(edited.hashTaskRender(task) !== hashTaskRender(task), 'Template edits count');
+    const files = [{ path: 'src/cpu.c', exists: false }];
+    runner.assert(hashTaskRender(task, files) !== hashTaskRender(task), 'File evidence counts');
+    const parentTask = { ...task, children: [{ id: '9.9.1', title: 'Child', completed: false }] };
+    const childIssues = new Map([['9.9.1', { number: 42 }]]);
+    runner.assert(hashTaskRender(parentTask, [], childIssues) !== hashTaskRender(parentTask));
+    const evidenceUpdater = new GitHubIssuesUpdater('fake-token', 'owner', 'repo');
+    evidenceUpdater.fileEvidence = { checkTask: () => ({ files }) };
+    runner.assert(!evidenceUpdater.isUnchanged(issue, task), 'Evidence changes reach the issue');
+
+    // Labels, assignees and state are reconciled even when the content is unchanged
+    const reconciler = new GitHubIssuesUpdater('fake-token', 'owner', 'repo');
+    const done = tasks.find(t => t.completed && reconciler.selection.matches(t));
+    const assigned = { ...task, metadata: { ...task.metadata, assignees: ['octocat'] } };
+    const staleIssues = [
+        { ...issue, labels: [{ name: 'task' }], assignees: [], state: 'open' },
+        {
+            number: 2,
+            state: 'open',
+            title: TASK_UTILS.formatIssueTitle(done.id, done.title),
+            body: updater.generateIssueBody(done),
+            labels: TASK_UTILS.getTaskLabels(done).map(name => ({ name })),
+            assignees: []
+        }
+    ];
+    const requests = [];
+    reconciler.octokit = {
+        rest: {
+            issues: {
+                update: async params => requests.push(params),
+                createComment: async params => requests.push(params)
+            }
+        }
+    };
+    reconciler.delay = async () => {};
+    reconciler.getAllTaskIssues = async () => staleIssues;
+    const log = console.log;
+    console.log = () => {};
+    let reconciled;
+    try {
+        reconciled = await reconciler.updateIssuesFromTasks([assigned, done]);
+    } finally {
+        console.log = log;
+    }
+    runner.assert(reconciler.isUnchanged(staleIssues[0], assigned), 'Content is unchanged');
+    runner.assertEqual(
+        reconciled.updated[0].changes.map(change => change.field).join(','),
+        'labels,assignees'
+    );
+    runner.assertEqual(requests[0].body, undefined, 'The body edited on GitHub is kept');
+    runner.assertEqual(reconciled.closed.map(entry => entry.issueNumber).join(','), '2');
+
+    const synchronizer = new GitHubIssuesSynchronizer('fake-token', 'owner', 'repo');
+    const dependencyIssues = task.dependencies
+        .map(depId => tasks.find(t => t.id === depId))
+        .map((dep, index) => ({
+            number: 10 + index,
+            title: `Task ${dep.id}: ${dep.title}`,
+            body: updater.generateIssueBody(dep)
+        }));
+    synchronizer.getAllTaskIssues = async () => [issue, ...dependencyIssues];
+    runner.assertEqual((await synchronizer.findChangedTaskIds([task], tasks)).size, 0);
+    synchronizer.getAllTaskIssues = async () => [issue];
+    runner.assert(
+        (await synchronizer.findChangedTaskIds([task], tasks)).has(task.id),
+        'A task whose dependency has no issue should count as changed'
+    );
+
+    runner.assertEqual(
+        [...parseChangedLines('@@ -3 +3 @@\n-a\n+b\n@@ -10,2 +9,0 @@\n@@ -20,0 +19,2 @@\n')].join(
+            ','
+        ),
+        '3,9,19,20'
+    );
+    runner.assertEqual(
+        findTasksChangedSince(tasks, 'HEAD', tasksPath).length,
+        0,
+        'Nothing changed in the committed task list'
+    );
+});
+
+// Test: Identity marker identifies generated issues before titles and footers
+runner.test('Issue identity marker takes precedence over title and footer', () => {
+    const { GitHubIssuesCreator } = require('./create-issues.js');
+    const { GitHubIssuesUpdater } = require('./update-issues.js');
+    const { DisasterRecovery } = require('./disaster-recovery.js');
+    const { ManualIssueProtector } = require('./manual-issue-protector.js');
+    const { TASK_UTILS, GENERATOR_VERSION } = require('./config.js');
+    const { hashTaskRender } = require('./issue-templates.js');
+
+    const task = {
+        id: 'TR-G3',
+        title: 'Fix flaky timer test',
+        description: 'Timer test fails intermittently',
+        acceptanceCriteria: [],
+        filesToCreate: [],
+        dependencies: [],
+        source: 'TEST_REVIEW.md',
+        hash: '0123456789abcdef'
+    };
+    const body = new GitHubIssuesCreator('fake-token', 'owner', 'repo').generateIssueBody(task);
+    runner.assertEqual(
+        JSON.stringify(TASK_UTILS.extractIssueMarker(body)),
+        JSON.stringify({
+            taskId: 'TR-G3',
+            source: 'TEST_REVIEW.md',
+            hash: '0123456789abcdef',
+            renderHash: hashTaskRender(task),
+            generator: GENERATOR_VERSION
+        })
+    );
+    runner.assertEqual(TASK_UTILS.extractIssueMarker('No marker here'), null);
+
+    // Hand-edited title and footer: the marker still identifies the issue
+    const edited = {
+        number: 7,
+        title: 'Flaky timer test (see Task 1.1: Setup)',
+        body: body.replace('🤖 Managed by GitHub Issues Automation', 'Edited by hand'),
+        labels: []
+    };
+    runner.assert(TASK_UTILS.issueMatchesTaskId(edited, 'TR-G3'), 'Marker should match task');
+    runner.assert(!TASK_UTILS.issueMatchesTaskId(edited, '1.1'), 'Title should be ignored');
+    runner.assert(!new GitHubIssuesUpdater('t', 'o', 'r').isManuallyCreated(edited));
+    runner.assert(new DisasterRecovery('t', 'o', 'r').isAutomatedIssue(edited));
+    const analysis = new ManualIssueProtector('t', 'o', 'r').analyzeIssue(edited);
+    runner.assert(!analysis.isManual, 'Marked issue should not be considered manual');
+
+    // Without a marker, the title and footer are still used
+    const legacy = {
+        number: 8,
+        title: 'Task 1.1: Setup',
+        body: '*🤖 Managed by GitHub Issues Automation*'
+    };
+    runner.assertEqual(TASK_UTILS.getIssueTaskId(legacy), '1.1');
+    runner.assert(TASK_UTILS.isAutomatedIssue(legacy), 'Footer should identify older issues');
+    runner.assert(!TASK_UTILS.isAutomatedIssue({ title: 'Task 1.1: Setup', body: 'Manual' }));
+});
+
+// Test: An issue whose title was edited by hand is still synced through its marker
+runner.test('Issues retitled by hand are found by their marker and retitled', async () => {
+    const { TaskParser } = require('./parse-tasks.js');
+    const { GitHubIssuesUpdater } = require('./update-issues.js');
+    const { GitHubIssuesSynchronizer } = require('./sync-tasks.js');
+    const { TASK_UTILS } = require('./config.js');
+
+    const parser = new TaskParser(path.resolve(__dirname, '../../MSP430_EMULATOR_TASKS.md'));
+    const task = (await parser.parse()).find(t => !t.completed);
+    const updater = new GitHubIssuesUpdater('fake-token', 'owner', 'repo');
+    const issue = {
+        number: 5,
+        state: 'open',
+        title: 'Renamed by hand',
+        body: updater.generateIssueBody(task),
+        labels: TASK_UTILS.getTaskLabels(task).map(name => ({ name })),
+        assignees: []
+    };
+    const updates = [];
+    const octokit = {
+        rest: {
+            issues: {
+                listForRepo: async () => ({ data: [issue], headers: {} }),
+                update: async params => updates.push(params)
+            }
+        }
+    };
+
+    const synchronizer = new GitHubIssuesSynchronizer('fake-token', 'owner', 'repo');
+    synchronizer.octokit = octokit;
+    runner.assertEqual((await synchronizer.getAllTaskIssues()).length, 1);
+
+    updater.octokit = octokit;
+    updater.delay = async () => {};
+    const log = console.log;
+    console.log = () => {};
+    let results;
+    try {
+        results = await updater.updateIssuesFromTasks([task]);
+    } finally {
+        console.log = log;
+    }
+    runner.assertEqual(results.updated.length, 1, 'The retitled issue should be found');
+    runner.assertEqual(updates.length, 1);
+    runner.assertEqual(updates[0].issue_number, 5);
+    runner.assertEqual(updates[0].title, TASK_UTILS.formatIssueTitle(task.id, task.title));
+});
+
+// Test: Task linter reports structural problems with positions
+runner.test('TaskLinter reports line-numbered diagnostics', () => {
+    const { TaskLinter } = require('./lint-tasks.js');
+    const linter = new TaskLinter('MSP430_EMULATOR_TASKS.md');
+
+    const mockContent = `## Phase 1: Setup
+
+### Task 1.1: First Task
+**Priority**: Urgent
+**Estimated Effort**: 2 hours
+**Dependencies**: Task 1.2
+
+**Acceptance Criteria**:
+- [ ] Criterion
+
+### Task 1.2: Second Task
+**Priority**: High
+**Dependencies**: Task 1.1, Task 9.9
+
+### Task 2.1: Misplaced Task
+**Priority**: Low
+**Estimated Effort**: 1 hour
+**Dependencies**: None
+
+**Acceptance Criteria**:
+- [ ] Criterion
+
+### Task 1.1: Duplicate Task
+**Priority**: Medium
+**Estimated Effort**: 1 hour
+**Dependencies**: None
+
+**Acceptance Criteria**:
+- [ ] Criterion`;
+
+    const diagnostics = linter.lintContent(mockContent);
+    const find = rule => diagnostics.filter(d => d.rule === rule);
+
+    runner.assertEqual(find('duplicate-task-id').length, 1, 'Should report duplicate task ID');
+    runner.assertEqual(find('duplicate-task-id')[0].line, 23, 'Duplicate should point at line 23');
+    runner.assertEqual(find('unknown-dependency').length, 1, 'Should report unknown dependency');
+    runner.assertEqual(find('unknown-dependency')[0].line, 13, 'Dependency should be on line 13');
+    runner.assertEqual(find('unknown-dependency')[0].column, 29, 'Dependency column should be 29');
+    runner.assertEqual(find('dependency-cycle').length, 1, 'Should report cycle once');
+    runner.assertEqual(find('missing-section').length, 2, 'Should report 2 missing sections');
+    runner.assertEqual(find('unknown-priority').length, 1, 'Should report unknown priority');
+    runner.assertEqual(find('unknown-priority')[0].column, 15, 'Priority column should be 15');
+    runner.assertEqual(find('phase-mismatch').length, 1, 'Should report phase mismatch');
+    runner.assert(
+        linter
+            .formatAnnotation(diagnostics[0], 'MSP430_EMULATOR_TASKS.md')
+            .startsWith('::error file=MSP430_EMULATOR_TASKS.md,line='),
+        'Annotation should use the GitHub workflow command format'
+    );
+});
+
+// Test: Task linter accepts the real task list
+runner.test('TaskLinter finds no problems in MSP430_EMULATOR_TASKS.md', async () => {
+    const { TaskLinter } = require('./lint-tasks.js');
+    const linter = new TaskLinter(path.resolve('../../MSP430_EMULATOR_TASKS.md'));
+
+    const diagnostics = await linter.lint();
+    runner.assertEqual(
+        diagnostics.length,
+        0,
+        `Expected no diagnostics, got: ${diagnostics.map(d => `${d.line}: ${d.message}`).join('; ')}`
+    );
+});
+
+// Test: Dependency graph analysis
+runner.test('DependencyGraph orders tasks, finds cycles and the critical path', () => {
+    const { DependencyGraph } = require('./dependency-graph.js');
+    const { TaskParser } = require('./parse-tasks.js');
+    const parser = new TaskParser();
+    const task = (id, dependencies, effort, completed = false) => ({
+        id,
+        title: `Task ${id}`,
+        priority: 'High',
+        effort,
+        effortEstimate: parser.extractEffortEstimate(effort),
+        dependencies,
+        completed
+    });
+
+    const graph = new DependencyGraph([
+        task('1.1', [], '2-3 hours', true),
+        task('1.2', ['1.1'], '1-2 hours'),
+        task('2.1', ['1.1'], '4-6 hours'),
+        task('2.2', ['1.2', '2.1'], '3 hours'),
+        task('3.1', ['1.2'], '1 hour')
+    ]);
+
+    runner.assertEqual(graph.findCycles().length, 0, 'Graph should have no cycles');
+    runner.assertEqual(graph.topologicalOrder().join(','), '1.1,1.2,2.1,2.2,3.1');
+    runner.assertEqual(
+        graph
+            .getReadyTasks()
+            .map(t => t.id)
+            .join(','),
+        '1.2,2.1',
+        'Ready tasks have all dependencies complete'
+    );
+
+    const criticalPath = graph.getCriticalPath();
+    runner.assertEqual(criticalPath.tasks.join(','), '2.1,2.2', 'Completed tasks take no time');
+    runner.assertEqual(criticalPath.hours.min, 7);
+    runner.assertEqual(criticalPath.hours.max, 9);
+
+    const cyclic = new DependencyGraph([task('1.1', ['1.2'], ''), task('1.2', ['1.1'], '')]);
+    runner.assertEqual(cyclic.findCycles().length, 1, 'Cycle should be reported once');
+    runner.assertEqual(cyclic.topologicalOrder(), null, 'Cyclic graphs have no ordering');
+    runner.assertEqual(cyclic.getCriticalPath(), null);
+});
+
+// Test: Effort estimates, phase rollups and effort labels
+runner.test('TaskParser parses effort estimates and rolls them up by phase', () => {
+    const { TaskParser, summarizeEffort, formatHours } = require('./parse-tasks.js');
+    const { TASK_UTILS } = require('./config.js');
+    const parser = new TaskParser();
+
+    const estimate = effort => parser.extractEffortEstimate(effort);
+    runner.assertEqual(JSON.stringify(estimate('2-3 hours')), '{"min":2,"max":3,"unit":"hours"}');
+    runner.assertEqual(estimate('1-2 days').max, 16, 'Days count as 8 hours');
+    runner.assertEqual(estimate('30 minutes').min, 0.5, 'Minutes are converted to hours');
+    runner.assertEqual(estimate('4').min, 4, 'Bare numbers are hours');
+    runner.assertEqual(estimate('TBD'), null, 'TBD is not estimated');
+
+    const summary = summarizeEffort([
+        { effortEstimate: estimate('2-3 hours'), completed: true },
+        { effortEstimate: estimate('4-5 hours'), completed: false },
+        { effortEstimate: estimate('1 hour'), completed: false },
+        { effortEstimate: null, completed: false }
+    ]);
+    runner.assertEqual(formatHours(summary.remaining), '5-6', 'Remaining hours exclude completed');
+    runner.assertEqual(formatHours(summary.completed), '2-3');
+    runner.assertEqual(summary.unestimated, 1);
+
+    runner.assertEqual(TASK_UTILS.getEffortLabel(estimate('1-2 hours')), 'effort-small');
+    runner.assertEqual(TASK_UTILS.getEffortLabel(estimate('3-4 hours')), 'effort-medium');
+    runner.assertEqual(TASK_UTILS.getEffortLabel(estimate('1 day')), 'effort-large');
+    runner.assertEqual(TASK_UTILS.getEffortLabel(estimate('TBD')), null);
+});
+
+// Test: Dependency diagrams in Mermaid and DOT
+runner.test('DependencyDiagram renders Mermaid and DOT grouped by phase', () => {
+    const { DependencyDiagram } = require('./dependency-diagram.js');
+    const task = (id, dependencies, completed = false) => ({
+        id,
+        title: `Task "${id}"`,
+        phase: `Phase ${id.split('.')[0]}`,
+        priority: 'High',
+        effort: '2-3 hours',
+        dependencies,
+        completed
+    });
+
+    const diagram = new DependencyDiagram(
+        [task('1.1', [], true), task('1.2', ['1.1']), task('2.1', ['1.2'])],
+        new Map([['1.2', 'https://github.com/example/repo/issues/7']])
+    );
+
+    const mermaid = diagram.toMermaid();
+    runner.assert(mermaid.startsWith('flowchart TD'), 'Should be a Mermaid flowchart');
+    runner.assert(mermaid.includes('subgraph Phase_2["Phase 2"]'), 'Should group by phase');
+    runner.assert(mermaid.includes('T1_1 --> T1_2'), 'Should draw dependency edges');
+    runner.assert(mermaid.includes('#quot;1.2#quot;'), 'Should escape quotes in labels');
+    runner.assert(mermaid.includes('class T1_1 completed'), 'Completed tasks are coloured');
+    runner.assert(mermaid.includes('class T1_2 ready'), 'Ready tasks are coloured');
+    runner.assert(mermaid.includes('class T2_1 blocked'), 'Blocked tasks are coloured');
+    runner.assert(
+        mermaid.includes('click T1_2 href "https://github.com/example/repo/issues/7"'),
+        'Known issues should be linked'
+    );
+
+    const dot = diagram.toDot();
+    runner.assert(dot.includes('subgraph "cluster_Phase 1"'), 'DOT should cluster by phase');
+    runner.assert(dot.includes('"1.2" -> "2.1";'), 'DOT should draw dependency edges');
+    runner.assert(dot.includes('URL="https://github.com/example/repo/issues/7"'));
+    runner.assert(dot.includes('label="1.2: Task \\"1.2\\""'), 'DOT labels should be escaped');
+});
+
 // Test: Sync-tasks module structure
 runner.test('sync-tasks.js has required exports', () => {
     const syncTasksPath = path.resolve('./sync-tasks.js');
@@ -693,6 +2732,16 @@ runner.test('TASK_UTILS.compareTaskIds correctly sorts task IDs', () => {
     runner.assert(TASK_UTILS.compareTaskIds('5.5', '5.5.1') < 0, '5.5 should come before 5.5.1');
     runner.assert(TASK_UTILS.compareTaskIds('5.5.1', '5.5') > 0, '5.5.1 should come after 5.5');
     runner.assert(TASK_UTILS.compareTaskIds('5.5', '5.5.0') === 0, '5.5 should equal 5.5.0');
+
+    // Test namespaced task IDs from other task sources
+    runner.assert(
+        TASK_UTILS.compareTaskIds('TR-G2', 'TR-G10') < 0,
+        'TR-G2 should come before TR-G10'
+    );
+    runner.assert(TASK_UTILS.compareTaskIds('9.9', 'SLAU-H1') < 0, 'Task list IDs come first');
+    runner.assert(TASK_UTILS.compareTaskIds('SLAU-L9', 'TR-A1') < 0, 'Namespaces sort by name');
+    runner.assert(TASK_UTILS.compareTaskIds('TR-R1', 'TR-G2') > 0, 'Sections sort by code');
+    runner.assert(!TASK_UTILS.parseTaskId('TR-fram-tests').valid, 'Slug IDs are not valid');
 });
 
 // Test: TASK_UTILS extractTaskIdsFromIssues function
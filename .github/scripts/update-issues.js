@@ -7,9 +7,14 @@
  * Compares current task state with GitHub issue state and updates only changed fields.
  */
 
+const path = require('path');
 const { Octokit } = require('@octokit/rest');
 const { TaskParser } = require('./parse-tasks.js');
-const { BOT_USER_AGENT, EXCLUDED_TASKS, TASK_UTILS } = require('./config.js');
+const { FileEvidenceChecker } = require('./file-evidence.js');
+const { paginate } = require('./github-utils.js');
+const { hashTaskRender, renderTaskBody, renderTaskTitle } = require('./issue-templates.js');
+const { TaskSelector, isSelectionOption } = require('./task-selection.js');
+const { AUTOMATION_CONFIG, BOT_USER_AGENT, TASK_UTILS } = require('./config.js');
 
 class GitHubIssuesUpdater {
     constructor(token, owner, repo) {
@@ -21,8 +26,24 @@ class GitHubIssuesUpdater {
         this.repo = repo;
         this.dryRun = false;
 
-        // Tasks to exclude from issue updates (already implemented or actively being developed)
-        this.excludedTasks = EXCLUDED_TASKS;
+        // Tasks that have their issues updated (by default, all but those already implemented or actively being developed)
+        this.selection = new TaskSelector();
+
+        // File evidence checker for the Files checklist in issue bodies (off by default)
+        this.fileEvidence = null;
+
+        // Compare every task with its issue, even when its content hash is unchanged
+        this.fullSync = false;
+
+        // Task issues keyed by task ID, referenced from the issues of parent tasks
+        this.issueIndex = new Map();
+    }
+
+    /**
+     * Use task selection rules other than the configured ones (see task-selection.js)
+     */
+    setSelection(selection) {
+        this.selection = selection;
     }
 
     /**
@@ -32,10 +53,33 @@ class GitHubIssuesUpdater {
         this.dryRun = true;
     }
 
+    /**
+     * Enable full sync mode (compare tasks whose content hash is unchanged as well)
+     */
+    enableFullSync() {
+        this.fullSync = true;
+    }
+
+    /**
+     * Add a checklist of the task's files found in the working tree to issue bodies
+     */
+    enableFileEvidence(rootDir) {
+        this.fileEvidence = new FileEvidenceChecker(rootDir);
+    }
+
+    /**
+     * Use the given task issues for references to child issues in issue bodies
+     */
+    useIssues(issues) {
+        this.issueIndex = TASK_UTILS.indexIssuesByTaskId(issues);
+    }
+
     /**
      * Update GitHub issues based on task changes
+     *
+     * Task issues fetched by the caller can be passed in; otherwise they are fetched.
      */
-    async updateIssuesFromTasks(tasks) {
+    async updateIssuesFromTasks(tasks, issues = null) {
         const results = {
             updated: [],
             closed: [],
@@ -44,15 +88,26 @@ class GitHubIssuesUpdater {
         };
 
         // Get all task-related issues
-        const existingIssues = await this.getAllTaskIssues();
+        const existingIssues = issues || (await this.getAllTaskIssues());
+        this.useIssues(existingIssues);
 
         for (const task of tasks) {
             try {
                 // Check if task is excluded from issue updates
-                if (this.excludedTasks.includes(task.id)) {
+                if (!this.selection.matches(task)) {
+                    results.skipped.push({
+                        task: task,
+                        reason: 'Task excluded by task selection rules',
+                        issueNumber: null
+                    });
+                    continue;
+                }
+
+                // Check if the task opts out of having an issue
+                if (task.metadata && task.metadata.skipIssue) {
                     results.skipped.push({
                         task: task,
-                        reason: 'Task excluded (already implemented or actively being developed)',
+                        reason: 'skip-issue set in task metadata',
                         issueNumber: null
                     });
                     continue;
@@ -78,40 +133,41 @@ class GitHubIssuesUpdater {
                     continue;
                 }
 
-                const changes = this.detectChanges(issue, task);
-
-                if (changes.length === 0) {
-                    results.skipped.push({
-                        task: task,
-                        reason: 'No changes detected',
-                        issueNumber: issue.number
-                    });
-                    continue;
-                }
+                // The title and body of a task whose content is unchanged since the issue was
+                // last synced are left alone, so edits made on GitHub (such as ticked criteria,
+                // see reverse-sync.js) are kept. Labels, assignees and state are still compared:
+                // they are part of the fetched issue, so that costs no extra requests.
+                const unchanged = !this.fullSync && this.isUnchanged(issue, task);
+                const changes = this.detectChanges(issue, task, { compareContent: !unchanged });
 
-                // Apply updates
-                if (this.dryRun) {
-                    console.log(
-                        `[DRY RUN] Would update issue #${issue.number} for Task ${task.id}:`
-                    );
-                    changes.forEach(change =>
-                        console.log(`  - ${change.field}: ${change.description}`)
-                    );
-                    results.updated.push({
-                        task,
-                        issueNumber: issue.number,
-                        changes,
-                        dryRun: true
-                    });
-                } else {
-                    await this.applyUpdates(issue, task, changes);
-                    results.updated.push({ task, issueNumber: issue.number, changes });
+                if (changes.length > 0) {
+                    // Apply updates
+                    if (this.dryRun) {
+                        console.log(
+                            `[DRY RUN] Would update issue #${issue.number} for Task ${task.id}:`
+                        );
+                        changes.forEach(change =>
+                            console.log(`  - ${change.field}: ${change.description}`)
+                        );
+                        results.updated.push({
+                            task,
+                            issueNumber: issue.number,
+                            changes,
+                            dryRun: true
+                        });
+                    } else {
+                        await this.applyUpdates(issue, task, changes);
+                        results.updated.push({ task, issueNumber: issue.number, changes });
 
-                    // Small delay to respect rate limits
-                    await this.delay(500);
+                        // Small delay to respect rate limits
+                        await this.delay(500);
+                    }
                 }
 
                 // Handle completion status
+                const contentChanged = changes.some(
+                    change => change.field === 'title' || change.field === 'body'
+                );
                 if (task.completed && issue.state === 'open') {
                     if (this.dryRun) {
                         console.log(`[DRY RUN] Would close completed issue #${issue.number}`);
@@ -120,7 +176,12 @@ class GitHubIssuesUpdater {
                         await this.closeIssue(issue.number, 'Task completed');
                         results.closed.push({ task, issueNumber: issue.number });
                     }
-                } else if (!task.completed && issue.state === 'closed') {
+                } else if (
+                    contentChanged &&
+                    !task.completed &&
+                    issue.state === 'closed' &&
+                    !this.isClosedWithChildren(task)
+                ) {
                     if (this.dryRun) {
                         console.log(
                             `[DRY RUN] Would create impact analysis for issue #${issue.number}`
@@ -128,6 +189,12 @@ class GitHubIssuesUpdater {
                     } else {
                         await this.createImpactAnalysis(issue, task);
                     }
+                } else if (changes.length === 0) {
+                    results.skipped.push({
+                        task: task,
+                        reason: unchanged ? 'Unchanged since last sync' : 'No changes detected',
+                        issueNumber: issue.number
+                    });
                 }
             } catch (error) {
                 results.errors.push({
@@ -155,20 +222,22 @@ class GitHubIssuesUpdater {
             await this.delay(1000);
 
             // Use the regular issues list API instead of deprecated search API
-            const issues = await this.octokit.rest.issues.listForRepo({
-                owner: this.owner,
-                repo: this.repo,
-                state: 'all',
-                labels: 'task',
-                per_page: 100,
-                sort: 'created',
-                direction: 'desc'
-            });
-
-            // Filter to only issues that have "Task" in the title (to match the previous search behavior)
-            return issues.data.filter(
-                issue => issue.title.includes('Task') && TASK_UTILS.isTaskIssueTitle(issue.title)
+            const issues = await paginate(
+                params => this.octokit.rest.issues.listForRepo(params),
+                {
+                    owner: this.owner,
+                    repo: this.repo,
+                    state: 'all',
+                    labels: 'task',
+                    sort: 'created',
+                    direction: 'desc'
+                },
+                { operationName: 'list task issues', logProgress: true }
             );
+
+            // Keep issues identified as task issues by their marker or else their title, so
+            // issues whose title was edited by hand are still found
+            return issues.filter(issue => TASK_UTILS.getIssueTaskId(issue));
         } catch (error) {
             console.warn(`Warning: Could not fetch task issues: ${error.message}`);
             // If rate limited, wait longer and return empty array
@@ -191,20 +260,57 @@ class GitHubIssuesUpdater {
      * Check if an issue was manually created (not managed by automation)
      */
     isManuallyCreated(issue) {
-        // Check if issue body contains automation footer
-        const automationFooter = '🤖 Managed by GitHub Issues Automation';
-        return !issue.body || !issue.body.includes(automationFooter);
+        // Generated issues carry an identity marker, or the automation footer if older
+        return !TASK_UTILS.isAutomatedIssue(issue);
+    }
+
+    /**
+     * Check if a task is a parent whose child tasks are all complete
+     *
+     * Its issue is closed automatically (see sync-tasks.js), so a closed issue is
+     * expected even while the parent task itself is not marked complete.
+     */
+    isClosedWithChildren(task) {
+        return (task.children || []).length > 0 && task.children.every(child => child.completed);
+    }
+
+    /**
+     * Check if an issue was last synced from the current content of the task
+     *
+     * Both hashes in the identity marker must match: the task hash for the task content,
+     * the render hash for templates, configuration, file evidence and child issues. The
+     * title is compared as well, since issues retitled by hand are found by their marker.
+     */
+    isUnchanged(issue, task) {
+        const marker = TASK_UTILS.extractIssueMarker(issue.body);
+        return (
+            Boolean(task.hash && marker) &&
+            issue.title === renderTaskTitle(task) &&
+            marker.hash === task.hash &&
+            marker.renderHash === this.getRenderHash(task)
+        );
+    }
+
+    /**
+     * Render hash the issue body of a task would record now
+     */
+    getRenderHash(task) {
+        const files = this.fileEvidence ? this.fileEvidence.checkTask(task).files : [];
+        return hashTaskRender(task, files, this.issueIndex);
     }
 
     /**
      * Detect changes between the GitHub issue and the task
+     *
+     * With compareContent false, only labels and assignees are compared, not the title
+     * and body (used for tasks unchanged since the last sync, see isUnchanged).
      */
-    detectChanges(issue, task) {
+    detectChanges(issue, task, { compareContent = true } = {}) {
         const changes = [];
 
         // Check title changes
-        const expectedTitle = `Task ${task.id}: ${task.title}`;
-        if (issue.title !== expectedTitle) {
+        const expectedTitle = renderTaskTitle(task);
+        if (compareContent && issue.title !== expectedTitle) {
             changes.push({
                 field: 'title',
                 current: issue.title,
@@ -214,8 +320,8 @@ class GitHubIssuesUpdater {
         }
 
         // Check body changes
-        const expectedBody = this.generateIssueBody(task);
-        if (issue.body !== expectedBody) {
+        const expectedBody = compareContent ? this.generateIssueBody(task) : null;
+        if (compareContent && issue.body !== expectedBody) {
             changes.push({
                 field: 'body',
                 current: issue.body?.length || 0,
@@ -244,6 +350,24 @@ class GitHubIssuesUpdater {
             });
         }
 
+        // Check assignee changes (only for tasks whose metadata lists assignees)
+        const expectedAssignees = task.metadata ? task.metadata.assignees : null;
+        if (expectedAssignees) {
+            const currentAssignees = (issue.assignees || []).map(user => user.login);
+            const same =
+                currentAssignees.length === expectedAssignees.length &&
+                expectedAssignees.every(login => currentAssignees.includes(login));
+
+            if (!same) {
+                changes.push({
+                    field: 'assignees',
+                    current: currentAssignees,
+                    expected: expectedAssignees,
+                    description: `Assignees updated (${expectedAssignees.join(', ') || 'none'})`
+                });
+            }
+        }
+
         return changes;
     }
 
@@ -264,6 +388,9 @@ class GitHubIssuesUpdater {
                 case 'labels':
                     updateData.labels = change.expected;
                     break;
+                case 'assignees':
+                    updateData.assignees = change.expected;
+                    break;
             }
         }
 
@@ -278,103 +405,20 @@ class GitHubIssuesUpdater {
     }
 
     /**
-     * Generate issue body markdown from task data (same as create-issues.js)
+     * Generate issue body markdown from task data with the "task" issue template
+     *
+     * Child tasks are referenced by their issues, as far as the issue index has them.
      */
     generateIssueBody(task) {
-        let body = '';
-
-        // Task metadata
-        body += `**Priority**: ${task.priority}\n`;
-        body += `**Estimated Effort**: ${task.effort}\n`;
-        body += `**Phase**: ${task.phase}\n`;
-
-        if (task.dependencies && task.dependencies.length > 0) {
-            body += `**Dependencies**: ${task.dependencies.map(dep => `Task ${dep}`).join(', ')}\n`;
-        } else {
-            body += '**Dependencies**: None\n';
-        }
-        body += '\n';
-
-        // Description
-        if (task.description) {
-            body += `${task.description}\n\n`;
-        }
-
-        // Acceptance Criteria
-        if (task.acceptanceCriteria && task.acceptanceCriteria.length > 0) {
-            body += '## Acceptance Criteria\n\n';
-            for (const criterion of task.acceptanceCriteria) {
-                const checkbox = criterion.completed ? '[x]' : '[ ]';
-                body += `- ${checkbox} ${criterion.text}\n`;
-            }
-            body += '\n';
-        }
-
-        // Files to Create
-        if (task.filesToCreate && task.filesToCreate.length > 0) {
-            body += '## Files to Create\n\n';
-            body += '```\n';
-            for (const file of task.filesToCreate) {
-                body += `${file}\n`;
-            }
-            body += '```\n\n';
-        }
-
-        // Testing Strategy
-        if (task.testingStrategy && task.testingStrategy.length > 0) {
-            body += '## Testing Strategy\n\n';
-            for (const strategy of task.testingStrategy) {
-                body += `- ${strategy}\n`;
-            }
-            body += '\n';
-        }
-
-        // Automation footer
-        body += '---\n\n';
-        body += '*This issue was automatically generated from MSP430_EMULATOR_TASKS.md*\n';
-        body += '*🤖 Managed by GitHub Issues Automation*';
-
-        return body;
+        const files = this.fileEvidence ? this.fileEvidence.checkTask(task).files : [];
+        return renderTaskBody(task, files, this.issueIndex);
     }
 
     /**
      * Generate labels for the task (same as create-issues.js)
      */
     generateLabels(task) {
-        const labels = [];
-
-        // Phase label
-        labels.push(task.phase.toLowerCase().replace(' ', '-'));
-
-        // Priority label
-        labels.push(`priority-${task.priority.toLowerCase()}`);
-
-        // Task type label
-        labels.push('task');
-
-        // Effort label (if contains hours)
-        if (task.effort.includes('hours')) {
-            const hours = task.effort.match(/(\d+)-?(\d+)?/);
-            if (hours) {
-                const minHours = parseInt(hours[1]);
-                if (minHours <= 2) {
-                    labels.push('effort-small');
-                } else if (minHours <= 4) {
-                    labels.push('effort-medium');
-                } else {
-                    labels.push('effort-large');
-                }
-            }
-        }
-
-        // Status label
-        if (task.completed) {
-            labels.push('status-completed');
-        } else {
-            labels.push('status-pending');
-        }
-
-        return labels;
+        return TASK_UTILS.getTaskLabels(task);
     }
 
     /**
@@ -489,12 +533,17 @@ module.exports = { GitHubIssuesUpdater };
 // Main function for CLI usage
 async function main() {
     const token = process.env.GITHUB_TOKEN;
-    const owner = process.env.GITHUB_REPOSITORY?.split('/')[0] || 'grahame-white';
-    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || 'ai_msp430_emulator';
+    const owner =
+        process.env.GITHUB_REPOSITORY?.split('/')[0] || AUTOMATION_CONFIG.repository.owner;
+    const repo = process.env.GITHUB_REPOSITORY?.split('/')[1] || AUTOMATION_CONFIG.repository.repo;
     const dryRun = process.argv.includes('--dry-run');
+    const fileEvidence = process.argv.includes('--file-evidence');
+    const fullSync = process.argv.includes('--full');
 
-    // Get tasks file path from arguments, excluding flags
-    const taskFileArg = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    // Get tasks file path from arguments, excluding flags and selection rules
+    const taskFileArg = process.argv
+        .slice(2)
+        .find((arg, index, args) => !arg.startsWith('--') && !isSelectionOption(args[index - 1]));
     const tasksFile = taskFileArg || '../../MSP430_EMULATOR_TASKS.md';
 
     // For dry-run mode, we can operate with a dummy token since no API calls will be made
@@ -521,6 +570,7 @@ async function main() {
 
         // Update issues
         const updater = new GitHubIssuesUpdater(effectiveToken, owner, repo);
+        updater.setSelection(TaskSelector.fromArgs(process.argv.slice(2)));
         if (dryRun) {
             updater.enableDryRun();
             console.log('🔍 Running in DRY RUN mode - no actual changes will be made\n');
@@ -528,6 +578,12 @@ async function main() {
                 console.log('ℹ️  No GITHUB_TOKEN provided - running in offline preview mode\n');
             }
         }
+        if (fileEvidence) {
+            updater.enableFileEvidence(path.dirname(path.resolve(tasksFile)));
+        }
+        if (fullSync) {
+            updater.enableFullSync();
+        }
 
         const results = await updater.updateIssuesFromTasks(tasks);
 